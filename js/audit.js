@@ -0,0 +1,389 @@
+/**
+ * ====================================
+ * AUDIT SERVICE
+ * Change history, undo and redo per tournament
+ * ====================================
+ */
+
+const AuditService = {
+    /**
+     * Number of most recent operations that can be undone
+     */
+    UNDO_LIMIT: 20,
+
+    /**
+     * Operations kept per tournament (older ones are dropped)
+     */
+    MAX_OPERATIONS: 200,
+
+    /**
+     * Write actions
+     */
+    ACTIONS: {
+        insert: { label: 'Ditambahkan', icon: 'fa-plus', color: 'success' },
+        update: { label: 'Diubah', icon: 'fa-pen', color: 'primary' },
+        delete: { label: 'Dihapus', icon: 'fa-trash', color: 'danger' }
+    },
+
+    /**
+     * Collection labels
+     */
+    COLLECTIONS: {
+        [DB.KEYS.TOURNAMENTS]: 'Turnamen',
+        [DB.KEYS.PARTICIPANTS]: 'Peserta',
+        [DB.KEYS.MATCHES]: 'Match',
+        [DB.KEYS.RESULTS]: 'Hasil'
+    },
+
+    /**
+     * Fields left out of the history, with the value a record re-created
+     * by undo or redo gets: accounts must never come back with old
+     * passwords or sessions, and logos are kept out to keep the log small
+     */
+    UNTRACKED_FIELDS: {
+        [DB.KEYS.TOURNAMENTS]: { credentials: [] },
+        [DB.KEYS.PARTICIPANTS]: { logo: null }
+    },
+
+    // Entries of the operation in progress, written once it finishes
+    pending: [],
+    operationId: null,
+
+    /**
+     * Record a database write (called through DB.subscribe).
+     * Every write made in the same call stack, such as all the matches
+     * updateScore touches, belongs to one operation.
+     * @param {Object} change - { action, key, before, after }
+     */
+    record(change) {
+        if (!this.COLLECTIONS[change.key]) return;
+
+        const tournamentId = this.getTournamentId(change);
+        if (!tournamentId) return;
+
+        const before = this.strip(change.key, change.before);
+        const after = this.strip(change.key, change.after);
+
+        // Account changes and logins alone are not part of the history
+        if (change.action === 'update' && this.getChangedFields({ action: 'update', before, after }).length === 0) return;
+
+        if (!this.operationId) {
+            this.operationId = DB.generateId();
+            Promise.resolve().then(() => this.flush());
+        }
+
+        const existing = this.pending.find(entry => entry.tournamentId === tournamentId);
+
+        this.pending.push({
+            id: DB.generateId(),
+            operationId: this.operationId,
+            tournamentId,
+            action: change.action,
+            collection: change.key,
+            recordId: (change.after || change.before).id,
+            before,
+            after,
+            timestamp: new Date().toISOString(),
+            session: existing ? existing.session : this.getSession(tournamentId),
+            status: 'applied'
+        });
+    },
+
+    /**
+     * Copy a record without its untracked fields
+     * @param {string} key - Collection key
+     * @param {Object|null} record - Record
+     * @returns {Object|null} Copy for the log
+     */
+    strip(key, record) {
+        if (!record) return record;
+
+        const copy = { ...record };
+        Object.keys(this.UNTRACKED_FIELDS[key] || {}).forEach(field => delete copy[field]);
+        return copy;
+    },
+
+    /**
+     * Work out which tournament a write belongs to
+     * @param {Object} change - { action, key, before, after }
+     * @returns {string|null} Tournament ID
+     */
+    getTournamentId(change) {
+        const record = change.after || change.before;
+        if (!record) return null;
+        return change.key === DB.KEYS.TOURNAMENTS ? record.id : (record.tournamentId || null);
+    },
+
+    /**
+     * Describe the browser session making a change and the account it is
+     * logged in with (none on tournaments without accounts)
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object} { id, isAdmin, role, credentialId, credentialName }
+     */
+    getSession(tournamentId) {
+        let id = sessionStorage.getItem('tb_session_id');
+        if (!id) {
+            id = 'session_' + DB.generateId();
+            sessionStorage.setItem('tb_session_id', id);
+        }
+
+        const credential = TournamentService.getCredential(tournamentId);
+        return {
+            id,
+            isAdmin: TournamentService.isAdmin(tournamentId),
+            role: TournamentService.getRole(tournamentId),
+            credentialId: credential ? credential.id : null,
+            credentialName: credential ? credential.name : null
+        };
+    },
+
+    /**
+     * Write the operation in progress to the log
+     */
+    flush() {
+        if (this.pending.length === 0) {
+            this.operationId = null;
+            return;
+        }
+
+        const entries = this.pending;
+        this.pending = [];
+        this.operationId = null;
+
+        const touched = [...new Set(entries.map(entry => entry.tournamentId))];
+        const deleted = entries
+            .filter(entry => entry.collection === DB.KEYS.TOURNAMENTS && entry.action === 'delete')
+            .map(entry => entry.recordId);
+
+        let log = DB.getAll(DB.KEYS.AUDIT)
+            // A new operation replaces whatever could still be redone
+            .map(entry => touched.includes(entry.tournamentId) && entry.status === 'undone'
+                ? { ...entry, status: 'discarded' }
+                : entry)
+            .concat(entries)
+            // History goes with a deleted tournament
+            .filter(entry => !deleted.includes(entry.tournamentId));
+
+        touched.forEach(tournamentId => {
+            const operationIds = [...new Set(
+                log.filter(entry => entry.tournamentId === tournamentId).map(entry => entry.operationId)
+            )];
+            const dropped = operationIds.slice(0, Math.max(0, operationIds.length - this.MAX_OPERATIONS));
+            if (dropped.length) {
+                log = log.filter(entry => entry.tournamentId !== tournamentId || !dropped.includes(entry.operationId));
+            }
+        });
+
+        DB.save(DB.KEYS.AUDIT, log);
+    },
+
+    /**
+     * Get a tournament's operations, newest first
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} Operations with their entries
+     */
+    getLog(tournamentId) {
+        this.flush();
+
+        const operations = {};
+        DB.find(DB.KEYS.AUDIT, { tournamentId }).forEach(entry => {
+            if (!operations[entry.operationId]) {
+                operations[entry.operationId] = {
+                    id: entry.operationId,
+                    tournamentId,
+                    timestamp: entry.timestamp,
+                    session: entry.session,
+                    status: entry.status,
+                    undoneAt: entry.undoneAt || null,
+                    entries: []
+                };
+            }
+            operations[entry.operationId].entries.push(entry);
+        });
+
+        return Object.values(operations).reverse();
+    },
+
+    /**
+     * Get the operation the next undo would revert
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object|null} Operation
+     */
+    getUndoable(tournamentId) {
+        const operations = this.getLog(tournamentId).filter(op => op.status !== 'discarded');
+        const index = operations.findIndex(op => op.status === 'applied');
+        return index !== -1 && index < this.UNDO_LIMIT ? operations[index] : null;
+    },
+
+    /**
+     * Get the operation the next redo would re-apply
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object|null} Operation
+     */
+    getRedoable(tournamentId) {
+        const undone = this.getLog(tournamentId).filter(op => op.status === 'undone');
+        return undone.length ? undone[undone.length - 1] : null;
+    },
+
+    /**
+     * Revert the most recent operation of a tournament
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object} Reverted operation
+     */
+    undo(tournamentId) {
+        TournamentService.requireAdmin(tournamentId);
+
+        const operation = this.getUndoable(tournamentId);
+        if (!operation) {
+            throw new Error('Tidak ada perubahan yang dapat dibatalkan');
+        }
+
+        // Records must still be exactly as the operation left them
+        this.checkState([...operation.entries].reverse(), 'after');
+
+        [...operation.entries].reverse().forEach(entry => {
+            this.restoreRecord(entry.collection, entry.recordId, entry.before);
+        });
+
+        this.setStatus(operation, 'undone');
+
+        console.log('↩️ Operation undone:', this.describe(operation));
+        return operation;
+    },
+
+    /**
+     * Re-apply the most recently undone operation of a tournament
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object} Re-applied operation
+     */
+    redo(tournamentId) {
+        TournamentService.requireAdmin(tournamentId);
+
+        const operation = this.getRedoable(tournamentId);
+        if (!operation) {
+            throw new Error('Tidak ada perubahan yang dapat diulang');
+        }
+
+        this.checkState(operation.entries, 'before');
+
+        operation.entries.forEach(entry => {
+            this.restoreRecord(entry.collection, entry.recordId, entry.after);
+        });
+
+        this.setStatus(operation, 'applied');
+
+        console.log('↪️ Operation redone:', this.describe(operation));
+        return operation;
+    },
+
+    /**
+     * Make sure no record was changed outside the history since an
+     * operation, comparing each record with its first listed state
+     * @param {Array} entries - Entries in the order they'll be reverted or re-applied
+     * @param {string} field - 'after' (undo) or 'before' (redo)
+     * @throws {Error} If a record has changed
+     */
+    checkState(entries, field) {
+        const checked = new Set();
+
+        entries.forEach(entry => {
+            const key = `${entry.collection}:${entry.recordId}`;
+            if (checked.has(key)) return;
+            checked.add(key);
+
+            const expected = entry[field];
+            const current = DB.getById(entry.collection, entry.recordId);
+            // Untracked fields (a login, a new logo) may have changed meanwhile
+            const unchanged = expected
+                ? current && this.getChangedFields({ action: 'update', before: expected, after: this.strip(entry.collection, current) }).length === 0
+                : !current;
+
+            if (!unchanged) {
+                throw new Error('Data sudah berubah sejak operasi ini, tidak dapat dikembalikan');
+            }
+        });
+    },
+
+    /**
+     * Put a record back into a given state without recording it again.
+     * Untracked fields keep their current value.
+     * @param {string} key - Collection key
+     * @param {string} id - Record ID
+     * @param {Object|null} state - Record to restore, or null to remove it
+     */
+    restoreRecord(key, id, state) {
+        const items = DB.getAll(key);
+        const index = items.findIndex(item => item.id === id);
+        const untracked = this.UNTRACKED_FIELDS[key] || {};
+
+        if (!state) {
+            if (index !== -1) items.splice(index, 1);
+        } else if (index !== -1) {
+            const current = items[index];
+            items[index] = { ...state, ...Object.fromEntries(Object.keys(untracked).map(field => [field, current[field]])) };
+        } else {
+            items.push({ ...untracked, ...state });
+        }
+
+        DB.save(key, items);
+    },
+
+    /**
+     * Mark every entry of an operation as undone or applied
+     * @param {Object} operation - Operation
+     * @param {string} status - New status
+     */
+    setStatus(operation, status) {
+        const undoneAt = status === 'undone' ? new Date().toISOString() : null;
+        const log = DB.getAll(DB.KEYS.AUDIT).map(entry =>
+            entry.operationId === operation.id && entry.tournamentId === operation.tournamentId
+                ? { ...entry, status, undoneAt }
+                : entry
+        );
+        DB.save(DB.KEYS.AUDIT, log);
+    },
+
+    /**
+     * Get the fields an update changed
+     * @param {Object} entry - Log entry
+     * @returns {Array} Field names
+     */
+    getChangedFields(entry) {
+        if (entry.action !== 'update') return [];
+
+        return Object.keys({ ...entry.before, ...entry.after })
+            .filter(field => field !== 'updatedAt')
+            .filter(field => JSON.stringify(entry.before[field]) !== JSON.stringify(entry.after[field]));
+    },
+
+    /**
+     * Name a logged record for display
+     * @param {Object} entry - Log entry
+     * @returns {string} Record name
+     */
+    getRecordName(entry) {
+        const record = entry.after || entry.before;
+        if (entry.collection === DB.KEYS.MATCHES) return `#${record.matchNumber}`;
+        return record.name || '';
+    },
+
+    /**
+     * Summarise an operation in one line
+     * @param {Object} operation - Operation
+     * @returns {string} Description
+     */
+    describe(operation) {
+        const [first] = operation.entries;
+        const fields = this.getChangedFields(first);
+        const records = new Set(operation.entries.map(entry => `${entry.collection}:${entry.recordId}`)).size;
+
+        let text = `${this.COLLECTIONS[first.collection]} ${this.getRecordName(first)} ${this.ACTIONS[first.action].label.toLowerCase()}`;
+        if (fields.length) text += ` (${fields.join(', ')})`;
+        if (records > 1) text += ` +${records - 1} perubahan lain`;
+
+        return text.replace(/\s+/g, ' ');
+    }
+};
+
+// Record every tournament write
+DB.subscribe(change => AuditService.record(change));
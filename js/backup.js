@@ -0,0 +1,425 @@
+/**
+ * ====================================
+ * BACKUP SERVICE
+ * Export, validate and import tournament data
+ * ====================================
+ */
+
+const BackupService = {
+    /**
+     * Marker written into every backup file
+     */
+    APP: 'tournament-bracket',
+
+    /**
+     * Backup kinds
+     */
+    KINDS: {
+        tournament: { label: 'Turnamen' },
+        database: { label: 'Seluruh Data' }
+    },
+
+    /**
+     * Import modes
+     */
+    MODES: {
+        merge: { label: 'Gabung', description: 'Tambahkan sebagai turnamen baru (ID baru), data yang ada tidak diubah' },
+        replace: { label: 'Timpa', description: 'Ganti turnamen dengan ID yang sama, atau seluruh data untuk backup lengkap' }
+    },
+
+    /**
+     * Required fields and their types per collection
+     */
+    SCHEMAS: {
+        TOURNAMENTS: { id: 'string', name: 'string', type: 'string', status: 'string', participantCount: 'number' },
+        PARTICIPANTS: { id: 'string', tournamentId: 'string', name: 'string', status: 'string' },
+        MATCHES: { id: 'string', tournamentId: 'string', round: 'number', matchNumber: 'number', status: 'string' },
+        RESULTS: { id: 'string', tournamentId: 'string' }
+    },
+
+    /**
+     * Export one tournament with its participants, matches and results.
+     * The file carries the accounts' password hashes, so only an
+     * organiser may take it.
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object} Backup bundle
+     * @throws {Error} If the tournament is missing or the user isn't admin
+     */
+    exportTournament(tournamentId) {
+        const data = this.getTournamentData(tournamentId);
+        TournamentService.requireAdmin(tournamentId);
+
+        return this.createBackup('tournament', data);
+    },
+
+    /**
+     * Collect one tournament with its participants, matches and results
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object} Collections by KEYS name
+     * @throws {Error} If the tournament is missing
+     */
+    getTournamentData(tournamentId) {
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+        if (!tournament) {
+            throw new Error('Tournament tidak ditemukan');
+        }
+
+        return {
+            TOURNAMENTS: [this.withoutSessions(tournament)],
+            PARTICIPANTS: DB.find(DB.KEYS.PARTICIPANTS, { tournamentId }),
+            MATCHES: DB.find(DB.KEYS.MATCHES, { tournamentId }),
+            RESULTS: DB.find(DB.KEYS.RESULTS, { tournamentId })
+        };
+    },
+
+    /**
+     * Export every tournament, including change history
+     * @returns {Object} Backup
+     * @throws {Error} If the user isn't admin of every tournament
+     */
+    exportDatabase() {
+        const data = DB.exportData();
+        data.TOURNAMENTS.forEach(t => TournamentService.requireAdmin(t.id));
+        return this.createBackup('database', {
+            TOURNAMENTS: data.TOURNAMENTS.map(tournament => this.withoutSessions(tournament)),
+            PARTICIPANTS: data.PARTICIPANTS,
+            MATCHES: data.MATCHES,
+            RESULTS: data.RESULTS,
+            AUDIT: data.AUDIT
+        });
+    },
+
+    /**
+     * Copy a tournament without its accounts' login sessions: a backup
+     * must not let anyone in, only the passwords do
+     * @param {Object} tournament - Tournament
+     * @returns {Object} Copy
+     */
+    withoutSessions(tournament) {
+        if (!tournament.credentials) return tournament;
+
+        return {
+            ...tournament,
+            credentials: tournament.credentials.map(({ token, sessions, ...credential }) => ({ ...credential, sessions: [] }))
+        };
+    },
+
+    /**
+     * Wrap collections in a backup envelope
+     * @param {string} kind - 'tournament' or 'database'
+     * @param {Object} data - Collections by KEYS name
+     * @returns {Object} Backup
+     */
+    createBackup(kind, data) {
+        return {
+            app: this.APP,
+            kind,
+            schemaVersion: DB.SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            data
+        };
+    },
+
+    /**
+     * Suggest a file name for a backup
+     * @param {Object} backup - Backup
+     * @returns {string} File name
+     */
+    getFilename(backup) {
+        const date = backup.exportedAt.split('T')[0];
+        if (backup.kind === 'database') {
+            return `backup-turnamen-${date}.json`;
+        }
+
+        const slug = backup.data.TOURNAMENTS[0].name
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+        return `${slug || 'turnamen'}-${date}.json`;
+    },
+
+    /**
+     * Parse a backup file's text
+     * @param {string} text - File content
+     * @returns {Object} Backup
+     * @throws {Error} If the file isn't JSON
+     */
+    parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new Error('File bukan JSON yang valid');
+        }
+    },
+
+    /**
+     * Validate a backup's envelope, record schemas and references
+     * @param {Object} backup - Backup
+     * @returns {Object} Summary { kind, schemaVersion, exportedAt, tournaments, counts }
+     * @throws {Error} Listing what's wrong
+     */
+    validate(backup) {
+        if (!backup || backup.app !== this.APP || !this.KINDS[backup.kind] || !backup.data) {
+            throw new Error('File bukan backup Tournament Bracket');
+        }
+
+        if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion > DB.SCHEMA_VERSION) {
+            throw new Error(`Backup dibuat oleh versi aplikasi yang lebih baru (skema v${backup.schemaVersion})`);
+        }
+
+        const errors = [];
+        const data = backup.data;
+
+        Object.keys(this.SCHEMAS).forEach(name => {
+            if (!Array.isArray(data[name])) {
+                errors.push(`Koleksi ${name} tidak ada atau bukan daftar`);
+            }
+        });
+
+        if (data.AUDIT !== undefined && !Array.isArray(data.AUDIT)) {
+            errors.push('Koleksi AUDIT bukan daftar');
+        }
+
+        if (errors.length) this.throwErrors(errors);
+
+        if (backup.kind === 'tournament' && data.TOURNAMENTS.length !== 1) {
+            errors.push('Backup turnamen harus berisi tepat satu turnamen');
+        }
+
+        // Record schemas
+        Object.entries(this.SCHEMAS).forEach(([name, schema]) => {
+            const seen = new Set();
+            data[name].forEach((record, index) => {
+                const label = `${name}[${index}]`;
+                if (!record || typeof record !== 'object') {
+                    errors.push(`${label} bukan objek`);
+                    return;
+                }
+
+                Object.entries(schema).forEach(([field, type]) => {
+                    if (typeof record[field] !== type) {
+                        errors.push(`${label}: ${field} harus ${type}`);
+                    }
+                });
+
+                if (seen.has(record.id)) {
+                    errors.push(`${label}: ID ${record.id} ganda`);
+                }
+                seen.add(record.id);
+            });
+        });
+
+        if (errors.length) this.throwErrors(errors);
+
+        // Known values
+        data.TOURNAMENTS.forEach(t => {
+            if (!TournamentService.TYPES[t.type]) errors.push(`Turnamen "${t.name}": jenis ${t.type} tidak dikenal`);
+            if (!TournamentService.STATUSES[t.status]) errors.push(`Turnamen "${t.name}": status ${t.status} tidak dikenal`);
+        });
+        data.PARTICIPANTS.forEach(p => {
+            if (!ParticipantService.STATUSES[p.status]) errors.push(`Peserta "${p.name}": status ${p.status} tidak dikenal`);
+        });
+        data.MATCHES.forEach(m => {
+            if (!BracketService.STATUSES[m.status]) errors.push(`Match #${m.matchNumber}: status ${m.status} tidak dikenal`);
+        });
+
+        // Referential integrity
+        const tournamentIds = new Set(data.TOURNAMENTS.map(t => t.id));
+        const participantTournament = new Map(data.PARTICIPANTS.map(p => [p.id, p.tournamentId]));
+
+        ['PARTICIPANTS', 'MATCHES', 'RESULTS'].forEach(name => {
+            data[name].forEach(record => {
+                if (!tournamentIds.has(record.tournamentId)) {
+                    errors.push(`${name} ${record.id}: turnamen ${record.tournamentId} tidak ada di backup`);
+                }
+            });
+        });
+
+        [...data.MATCHES.map(m => ({ record: m, label: `Match #${m.matchNumber}` })),
+            ...data.RESULTS.map(r => ({ record: r, label: 'Hasil turnamen' }))]
+            .forEach(({ record, label }) => {
+                this.getParticipantRefs(record).forEach(([field, id]) => {
+                    if (participantTournament.get(id) !== record.tournamentId) {
+                        errors.push(`${label}: ${field} merujuk peserta yang tidak ada (${id})`);
+                    }
+                });
+            });
+
+        // Roster players named in match events belong to that event's team
+        const playerTeam = new Map(data.PARTICIPANTS.flatMap(p => (p.players || []).map(player => [player.id, p.id])));
+        data.MATCHES.forEach(m => {
+            (m.events || []).forEach(event => {
+                [['playerId', event.playerId], ['playerOutId', event.playerOutId]]
+                    .filter(([, id]) => id)
+                    .forEach(([field, id]) => {
+                        if (playerTeam.get(id) !== event.participantId) {
+                            errors.push(`Match #${m.matchNumber}: events.${field} merujuk pemain yang tidak ada (${id})`);
+                        }
+                    });
+            });
+        });
+
+        const matchTournament = new Map(data.MATCHES.map(m => [m.id, m.tournamentId]));
+        data.TOURNAMENTS.forEach(t => {
+            (t.credentials || []).forEach(c => {
+                (c.matchIds || []).forEach(id => {
+                    if (matchTournament.get(id) !== t.id) {
+                        errors.push(`Turnamen "${t.name}": akun ${c.name} ditugaskan ke match yang tidak ada (${id})`);
+                    }
+                });
+            });
+        });
+
+        if (errors.length) this.throwErrors(errors);
+
+        return {
+            kind: backup.kind,
+            schemaVersion: backup.schemaVersion,
+            exportedAt: backup.exportedAt || null,
+            tournaments: data.TOURNAMENTS.map(t => ({ id: t.id, name: t.name, exists: !!DB.getById(DB.KEYS.TOURNAMENTS, t.id) })),
+            counts: {
+                tournaments: data.TOURNAMENTS.length,
+                participants: data.PARTICIPANTS.length,
+                matches: data.MATCHES.length,
+                results: data.RESULTS.length
+            }
+        };
+    },
+
+    /**
+     * Throw a validation error listing the first problems
+     * @param {Array} errors - Problems found
+     * @throws {Error} Always
+     */
+    throwErrors(errors) {
+        const shown = errors.slice(0, 5).join('; ');
+        const more = errors.length > 5 ? ` (dan ${errors.length - 5} lainnya)` : '';
+        throw new Error(`Backup tidak valid: ${shown}${more}`);
+    },
+
+    /**
+     * List the participant references a match or result holds
+     * @param {Object} record - Match or result
+     * @returns {Array} [field, participantId] pairs (empty slots left out)
+     */
+    getParticipantRefs(record) {
+        const refs = [
+            ['participant1Id', record.participant1Id],
+            ['participant2Id', record.participant2Id],
+            ['winnerId', record.winnerId],
+            ['championId', record.championId],
+            ['runnerUpId', record.runnerUpId],
+            ['fourthPlaceId', record.fourthPlaceId],
+            ...(record.thirdPlaceIds || []).map(id => ['thirdPlaceIds', id]),
+            ...(record.games || []).map(game => ['games.winnerId', game.winnerId]),
+            ...(record.events || []).map(event => ['events.participantId', event.participantId])
+        ];
+
+        return refs.filter(([, id]) => id !== null && id !== undefined);
+    },
+
+    /**
+     * Give every record in a backup a new ID, keeping references intact
+     * @param {Object} data - Collections by KEYS name
+     * @returns {Object} Collections with new IDs
+     */
+    remapIds(data) {
+        const ids = new Map();
+        const remap = id => {
+            if (id === null || id === undefined) return id;
+            if (!ids.has(id)) ids.set(id, DB.generateId());
+            return ids.get(id);
+        };
+
+        return {
+            TOURNAMENTS: data.TOURNAMENTS.map(t => ({
+                ...t,
+                id: remap(t.id),
+                credentials: t.credentials && t.credentials.map(c => ({ ...c, matchIds: (c.matchIds || []).map(remap) }))
+            })),
+            PARTICIPANTS: data.PARTICIPANTS.map(p => ({
+                ...p,
+                id: remap(p.id),
+                tournamentId: remap(p.tournamentId),
+                players: (p.players || []).map(player => ({ ...player, id: remap(player.id) }))
+            })),
+            MATCHES: data.MATCHES.map(m => ({
+                ...m,
+                id: remap(m.id),
+                tournamentId: remap(m.tournamentId),
+                participant1Id: remap(m.participant1Id),
+                participant2Id: remap(m.participant2Id),
+                winnerId: remap(m.winnerId),
+                games: (m.games || []).map(game => ({ ...game, winnerId: remap(game.winnerId) })),
+                events: (m.events || []).map(event => ({
+                    ...event,
+                    id: remap(event.id),
+                    participantId: remap(event.participantId),
+                    playerId: remap(event.playerId),
+                    playerOutId: remap(event.playerOutId)
+                }))
+            })),
+            RESULTS: data.RESULTS.map(r => ({
+                ...r,
+                id: remap(r.id),
+                tournamentId: remap(r.tournamentId),
+                championId: remap(r.championId),
+                runnerUpId: remap(r.runnerUpId),
+                thirdPlaceIds: (r.thirdPlaceIds || []).map(remap),
+                fourthPlaceId: remap(r.fourthPlaceId)
+            }))
+        };
+    },
+
+    /**
+     * Import a validated backup
+     * @param {Object} backup - Backup
+     * @param {string} mode - 'merge' (new IDs, nothing overwritten) or 'replace'
+     * @returns {Promise<Array>} Imported tournaments
+     */
+    async import(backup, mode = 'merge') {
+        if (!this.MODES[mode]) {
+            throw new Error('Mode impor tidak valid');
+        }
+
+        this.validate(backup);
+
+        const collections = ['TOURNAMENTS', 'PARTICIPANTS', 'MATCHES', 'RESULTS'];
+        // Sessions from the file (or older backups' tokens) never log anyone in
+        let data = { ...backup.data, TOURNAMENTS: backup.data.TOURNAMENTS.map(t => this.withoutSessions(t)) };
+
+        // Overwriting a tournament takes the same rights as deleting it
+        if (mode === 'replace') {
+            const replaced = backup.kind === 'database'
+                ? DB.getAll(DB.KEYS.TOURNAMENTS)
+                : data.TOURNAMENTS.filter(t => DB.getById(DB.KEYS.TOURNAMENTS, t.id));
+            replaced.forEach(t => TournamentService.requireAdmin(t.id));
+        }
+
+        if (mode === 'merge') {
+            // History refers to the old IDs, so it stays behind
+            data = this.remapIds(data);
+        } else if (backup.kind === 'database') {
+            [...collections, 'AUDIT'].forEach(name => DB.save(DB.KEYS[name], data[name] || []));
+        } else {
+            // Drop the current copy of the tournament, including its history
+            const replaced = data.TOURNAMENTS.map(t => t.id);
+            DB.save(DB.KEYS.TOURNAMENTS, DB.getAll(DB.KEYS.TOURNAMENTS).filter(t => !replaced.includes(t.id)));
+            [...collections.slice(1), 'AUDIT'].forEach(name => {
+                DB.save(DB.KEYS[name], DB.getAll(DB.KEYS[name]).filter(r => !replaced.includes(r.tournamentId)));
+            });
+        }
+
+        if (mode === 'merge' || backup.kind === 'tournament') {
+            collections.forEach(name => {
+                DB.save(DB.KEYS[name], [...DB.getAll(DB.KEYS[name]), ...data[name]]);
+            });
+        }
+
+        // Older backups get the fields added since
+        await DB.applyMigrations(backup.schemaVersion);
+
+        console.log(`📥 Backup imported (${backup.kind}, ${mode}):`, data.TOURNAMENTS.length, 'tournaments');
+        return data.TOURNAMENTS.map(t => DB.getById(DB.KEYS.TOURNAMENTS, t.id));
+    }
+};
@@ -16,10 +16,73 @@ const BracketService = {
         completed: { label: 'Selesai', color: '#10b981' }
     },
 
+    /**
+     * Results awarded without the match being played out
+     */
+    RESULT_TYPES: {
+        walkover: { label: 'Walkover', short: 'WO' },
+        forfeit: { label: 'Forfeit', short: 'FF' },
+        disqualification: { label: 'Diskualifikasi', short: 'DQ' }
+    },
+
+    /**
+     * Allowed series lengths (best-of-N games)
+     */
+    BEST_OF_OPTIONS: [1, 3, 5, 7],
+
+    /**
+     * Match events announced to listeners (see subscribe)
+     */
+    EVENTS: {
+        match_started: { label: 'Match dimulai' },
+        live_score: { label: 'Skor live berubah' },
+        live_clock: { label: 'Jam match berubah' },
+        live_cancelled: { label: 'Live dibatalkan' },
+        match_event: { label: 'Kejadian match dicatat' },
+        score_saved: { label: 'Skor disimpan' },
+        winner_advanced: { label: 'Pemenang maju' },
+        tournament_completed: { label: 'Turnamen selesai' }
+    },
+
+    // Match event listeners
+    listeners: [],
+
+    /**
+     * Bracket sections a match can belong to
+     */
+    BRACKETS: {
+        winners: { label: 'Winners Bracket' },
+        losers: { label: 'Losers Bracket' },
+        grand_final: { label: 'Grand Final' },
+        third_place: { label: 'Perebutan Juara 3' },
+        group: { label: 'Fase Grup' },
+        swiss: { label: 'Swiss' }
+    },
+
     /**
      * Round Names
      */
-    getRoundName(round, totalRounds) {
+    getRoundName(round, totalRounds, bracket = 'winners') {
+        if (bracket === 'losers') {
+            return round === totalRounds ? 'Losers Final' : `Losers Round ${round}`;
+        }
+
+        if (bracket === 'grand_final') {
+            return round === 1 ? 'Grand Final' : 'Grand Final Reset';
+        }
+
+        if (bracket === 'third_place') {
+            return 'Perebutan Juara 3';
+        }
+
+        if (bracket === 'group') {
+            return `Matchday ${round}`;
+        }
+
+        if (bracket === 'swiss') {
+            return `Round ${round}`;
+        }
+
         const roundsFromEnd = totalRounds - round;
 
         switch (roundsFromEnd) {
@@ -42,6 +105,114 @@ const BracketService = {
         return n > 0 && (n & (n - 1)) === 0;
     },
 
+    /**
+     * Get the knockout bracket size for a participant count (next power of 2)
+     * @param {number} participantCount - Number of participants
+     * @returns {number} Bracket size
+     */
+    getBracketSize(participantCount) {
+        let size = 2;
+        while (size < participantCount) {
+            size *= 2;
+        }
+        return size;
+    },
+
+    /**
+     * Get round name for a match, taking its bracket section into account
+     * @param {Object} match - Match object
+     * @param {Object} tournament - Tournament object
+     * @returns {string} Round name
+     */
+    getMatchRoundName(match, tournament) {
+        const bracket = match.bracket || 'winners';
+        const totalRounds = bracket === 'losers' ? tournament.losersRounds : tournament.totalRounds;
+        const roundName = this.getRoundName(match.round, totalRounds, bracket);
+        return bracket === 'group' ? `Grup ${match.group} - ${roundName}` : roundName;
+    },
+
+    /**
+     * Check if tournament uses double elimination
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} Is double elimination
+     */
+    isDoubleElimination(tournament) {
+        return tournament.format === 'double_elimination';
+    },
+
+    /**
+     * Check if tournament is played as round robin groups only
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} Is round robin
+     */
+    isRoundRobin(tournament) {
+        return tournament.format === 'round_robin';
+    },
+
+    /**
+     * Check if tournament is paired with the Swiss system
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} Is Swiss
+     */
+    isSwiss(tournament) {
+        return tournament.format === 'swiss';
+    },
+
+    /**
+     * Check if a match may end in a draw (group and Swiss games)
+     * @param {Object} match - Match object
+     * @returns {boolean} Draw allowed
+     */
+    allowsDraw(match) {
+        return GroupService.isGroupMatch(match) || SwissService.isSwissMatch(match);
+    },
+
+    /**
+     * Check if tournament plays a bronze match between the semifinal losers
+     * (double elimination settles third place in the losers bracket instead)
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} Has third place match
+     */
+    hasThirdPlaceMatch(tournament) {
+        return !!tournament.thirdPlaceMatch &&
+            !this.isDoubleElimination(tournament) &&
+            !this.isRoundRobin(tournament) &&
+            !this.isSwiss(tournament);
+    },
+
+    /**
+     * Get the bronze match of a tournament
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object|null} Third place match
+     */
+    getThirdPlaceMatch(tournamentId) {
+        return DB.find(DB.KEYS.MATCHES, { tournamentId }).find(m => m.bracket === 'third_place') || null;
+    },
+
+    /**
+     * Check if tournament opens with a group stage (round robin or hybrid)
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} Has group stage
+     */
+    hasGroupStage(tournament) {
+        return tournament.format === 'round_robin' || tournament.format === 'hybrid';
+    },
+
+    /**
+     * Generate a power-of-two sized list of seed positions in standard bracket order
+     * (1, 8, 4, 5, 2, 7, 3, 6 for 8) so the top seeds only meet late
+     * @param {number} size - Bracket size
+     * @returns {Array} Seed numbers in bracket order
+     */
+    getSeedOrder(size) {
+        let order = [1];
+        while (order.length < size) {
+            const nextSize = order.length * 2;
+            order = order.flatMap(seed => [seed, nextSize + 1 - seed]);
+        }
+        return order;
+    },
+
     /**
      * Generate bracket structure for tournament
      * @param {string} tournamentId - Tournament ID
@@ -53,53 +224,150 @@ const BracketService = {
             throw new Error('Tournament tidak ditemukan');
         }
 
+        TournamentService.requireAdmin(tournamentId);
+
         if (tournament.status !== 'draft') {
             throw new Error('Bracket sudah di-generate');
         }
 
-        const participantCount = tournament.participantCount;
+        if (this.isSwiss(tournament)) {
+            return SwissService.generate(tournament);
+        }
+
+        let groupRounds = null;
+        if (this.hasGroupStage(tournament)) {
+            groupRounds = GroupService.generate(tournament);
+        }
+
+        if (this.isRoundRobin(tournament)) {
+            DB.update(DB.KEYS.TOURNAMENTS, tournamentId, {
+                status: 'registration',
+                totalRounds: groupRounds
+            });
+            return [];
+        }
 
-        if (!this.isPowerOfTwo(participantCount)) {
-            throw new Error('Jumlah peserta harus kelipatan 2 (4, 8, 16, 32, 64)');
+        // Hybrid knockout is sized for the group qualifiers, who are placed
+        // later by group finish, so their total can't be padded with byes
+        const qualifierCount = GroupService.getQualifierCount(tournament);
+        if (tournament.format === 'hybrid' && !this.isPowerOfTwo(qualifierCount)) {
+            throw new Error(
+                `Total peserta lolos (${tournament.groupCount || 1} grup x ${tournament.qualifiersPerGroup || 2} lolos per grup = ${qualifierCount}) harus 2, 4, 8, 16, ...`
+            );
         }
 
-        const totalRounds = Math.log2(participantCount);
+        // Other participant counts are padded up to the next power of 2 with byes
+        const bracketSize = tournament.format === 'hybrid'
+            ? qualifierCount
+            : this.getBracketSize(tournament.participantCount);
+
+        const totalRounds = Math.log2(bracketSize);
+        const bestOf = tournament.bestOf || 1;
+        const finalBestOf = tournament.finalBestOf || bestOf;
         const matches = [];
         let matchNumber = 1;
 
         // Generate matches for each round
         for (let round = 1; round <= totalRounds; round++) {
-            const matchesInRound = participantCount / Math.pow(2, round);
+            const matchesInRound = bracketSize / Math.pow(2, round);
 
             for (let i = 0; i < matchesInRound; i++) {
-                const match = DB.insert(DB.KEYS.MATCHES, {
-                    tournamentId,
+                matches.push(this.createMatch(tournamentId, {
+                    bracket: 'winners',
                     round,
                     matchNumber: matchNumber++,
-                    participant1Id: null,
-                    participant2Id: null,
-                    winnerId: null,
-                    score1: null,
-                    score2: null,
-                    status: 'pending',
-                    schedule: null,
-                    venue: null,
-                    notes: null
-                });
-                matches.push(match);
+                    bestOf: round === totalRounds && !this.isDoubleElimination(tournament) ? finalBestOf : bestOf
+                }));
             }
         }
 
+        // Losers bracket: odd rounds pair up survivors, even rounds take the
+        // drop-downs from the winners bracket, so it has 2 * (rounds - 1) rounds
+        let losersRounds = 0;
+        if (this.isDoubleElimination(tournament)) {
+            losersRounds = 2 * (totalRounds - 1);
+
+            for (let round = 1; round <= losersRounds; round++) {
+                const matchesInRound = bracketSize / Math.pow(2, Math.ceil(round / 2) + 1);
+
+                for (let i = 0; i < matchesInRound; i++) {
+                    matches.push(this.createMatch(tournamentId, {
+                        bracket: 'losers',
+                        round,
+                        matchNumber: matchNumber++,
+                        bestOf
+                    }));
+                }
+            }
+
+            matches.push(this.createMatch(tournamentId, {
+                bracket: 'grand_final',
+                round: 1,
+                matchNumber: matchNumber++,
+                bestOf: finalBestOf
+            }));
+        }
+
+        // Bronze match between the semifinal losers, played alongside the final
+        if (this.hasThirdPlaceMatch(tournament) && totalRounds >= 2) {
+            matches.push(this.createMatch(tournamentId, {
+                bracket: 'third_place',
+                round: totalRounds,
+                matchNumber: matchNumber++,
+                bestOf
+            }));
+        }
+
         // Update tournament status
         DB.update(DB.KEYS.TOURNAMENTS, tournamentId, {
             status: 'registration',
-            totalRounds
+            bracketSize,
+            totalRounds,
+            losersRounds
         });
 
         console.log(`✅ Bracket generated: ${matches.length} matches in ${totalRounds} rounds`);
         return matches;
     },
 
+    /**
+     * Insert an empty match record
+     * @param {string} tournamentId - Tournament ID
+     * @param {Object} data - Bracket, round and match number
+     * @returns {Object} Created match
+     */
+    createMatch(tournamentId, data) {
+        return DB.insert(DB.KEYS.MATCHES, {
+            tournamentId,
+            bracket: data.bracket,
+            group: data.group || null,
+            round: data.round,
+            matchNumber: data.matchNumber,
+            participant1Id: data.participant1Id || null,
+            participant2Id: data.participant2Id || null,
+            winnerId: data.winnerId || null,
+            isBye: !!data.isBye,
+            bye1: false,
+            bye2: false,
+            bestOf: data.bestOf || 1,
+            games: [],
+            score1: null,
+            score2: null,
+            extraTime1: null,
+            extraTime2: null,
+            penalties1: null,
+            penalties2: null,
+            resultType: null,
+            status: data.status || 'pending',
+            schedule: null,
+            venue: null,
+            delay: 0,
+            clock: null,
+            events: [],
+            notes: null
+        });
+    },
+
     /**
      * Assign participants to first round matches
      * @param {string} tournamentId - Tournament ID
@@ -116,9 +384,16 @@ const BracketService = {
             throw new Error(`Jumlah peserta tidak sesuai (${participants.length}/${tournament.participantCount})`);
         }
 
+        if (this.hasGroupStage(tournament)) {
+            return GroupService.assignParticipants(tournamentId);
+        }
+
+        if (this.isSwiss(tournament)) {
+            return SwissService.assignParticipants(tournamentId);
+        }
+
         // Get first round matches
-        const firstRoundMatches = DB.find(DB.KEYS.MATCHES, { tournamentId, round: 1 })
-            .sort((a, b) => a.matchNumber - b.matchNumber);
+        const firstRoundMatches = this.getRoundMatches(tournamentId, 'winners', 1);
 
         // Sort participants by seed (seeded participants first)
         const sortedParticipants = [...participants].sort((a, b) => {
@@ -128,41 +403,150 @@ const BracketService = {
             return 0;
         });
 
-        // Standard seeding pattern for single elimination
-        // Seed 1 vs Seed N, Seed 2 vs Seed N-1, etc.
-        const pairedParticipants = this.createSeedPairings(sortedParticipants);
+        // Standard seeding pattern: Seed 1 vs Seed N, Seed 2 vs Seed N-1, etc.,
+        // spread so the top two seeds can only meet in the final.
+        // Missing opponents of the top seeds are byes
+        const pairedParticipants = this.createSeedPairings(sortedParticipants, firstRoundMatches.length * 2, {
+            protect: !!tournament.protectedSeeding
+        });
 
         // Assign to matches
         pairedParticipants.forEach((pair, index) => {
-            if (firstRoundMatches[index]) {
-                DB.update(DB.KEYS.MATCHES, firstRoundMatches[index].id, {
-                    participant1Id: pair[0].id,
-                    participant2Id: pair[1].id,
-                    status: 'upcoming'
-                });
-            }
+            const match = firstRoundMatches[index];
+            if (!match) return;
+
+            DB.update(DB.KEYS.MATCHES, match.id, {
+                participant1Id: pair[0] ? pair[0].id : null,
+                participant2Id: pair[1] ? pair[1].id : null,
+                status: pair[0] && pair[1] ? 'upcoming' : 'pending'
+            });
+
+            // Bye winners move on straight away
+            if (!pair[0]) this.placeBye(match, 1);
+            if (!pair[1]) this.placeBye(match, 2);
         });
 
         console.log('✅ Participants assigned to bracket');
-        return DB.find(DB.KEYS.MATCHES, { tournamentId, round: 1 });
+        return this.getRoundMatches(tournamentId, 'winners', 1);
     },
 
     /**
-     * Create seed pairings (1 vs N, 2 vs N-1, etc.)
+     * Create seed pairings (1 vs N, 2 vs N-1, etc.) in standard bracket order
+     * (1-16, 8-9, 4-13, 5-12, ... for 16)
      * @param {Array} participants - Sorted participants
-     * @returns {Array} Paired participants
+     * @param {number} size - Bracket size (empty slots become byes, null)
+     * @param {Object} options - { protect: keep teams of the same club apart }
+     * @returns {Array} Paired participants in first round match order
      */
-    createSeedPairings(participants) {
-        const n = participants.length;
-        const pairs = [];
+    createSeedPairings(participants, size = participants.length, options = {}) {
+        let slots = this.getSeedOrder(size).map(seed => participants[seed - 1] || null);
+
+        if (options.protect) {
+            slots = this.protectSeeding(slots);
+        }
 
-        for (let i = 0; i < n / 2; i++) {
-            pairs.push([participants[i], participants[n - 1 - i]]);
+        const pairs = [];
+        for (let i = 0; i < slots.length; i += 2) {
+            pairs.push([slots[i], slots[i + 1]]);
         }
 
         return pairs;
     },
 
+    /**
+     * Get the seeding tier of a seed (1 | 2 | 3-4 | 5-8 | 9-16 ...).
+     * Seeds in the same tier may swap places without favouring anyone.
+     * @param {number} seed - Seed number
+     * @returns {number} Tier
+     */
+    getSeedTier(seed) {
+        return Math.ceil(Math.log2(seed));
+    },
+
+    /**
+     * Get the round in which two bracket slots can first meet
+     * @param {number} slotA - First slot index (0-based)
+     * @param {number} slotB - Second slot index (0-based)
+     * @returns {number} Round number
+     */
+    getMeetingRound(slotA, slotB) {
+        return Math.floor(Math.log2(slotA ^ slotB)) + 1;
+    },
+
+    /**
+     * Swap participants within their seeding tier so teams from the same
+     * club or region meet as late as possible
+     * @param {Array} slots - Participants (or null for byes) in bracket order
+     * @returns {Array} Rearranged slots
+     */
+    protectSeeding(slots) {
+        const totalRounds = Math.log2(slots.length);
+        const result = [...slots];
+        const seedOf = new Map();
+        this.getSeedOrder(slots.length).forEach((seed, index) => {
+            if (result[index]) seedOf.set(result[index].id, seed);
+        });
+
+        const clubs = result.map(participant => participant?.club?.toLowerCase() || null);
+
+        // An early meeting of club-mates costs more than a late one
+        const clashCost = (index) => {
+            if (!clubs[index]) return 0;
+
+            let cost = 0;
+            clubs.forEach((club, otherIndex) => {
+                if (otherIndex !== index && club === clubs[index]) {
+                    cost += Math.pow(2, totalRounds - this.getMeetingRound(index, otherIndex));
+                }
+            });
+            return cost;
+        };
+
+        const swap = (i, j) => {
+            [result[i], result[j]] = [result[j], result[i]];
+            [clubs[i], clubs[j]] = [clubs[j], clubs[i]];
+        };
+
+        let improved = true;
+        while (improved) {
+            improved = false;
+
+            for (let i = 0; i < result.length; i++) {
+                if (!result[i] || clashCost(i) === 0) continue;
+                const tier = this.getSeedTier(seedOf.get(result[i].id));
+
+                for (let j = 0; j < result.length; j++) {
+                    if (i === j || !result[j] || clubs[i] === clubs[j]) continue;
+                    if (this.getSeedTier(seedOf.get(result[j].id)) !== tier) continue;
+
+                    const before = clashCost(i) + clashCost(j);
+                    swap(i, j);
+
+                    if (clashCost(i) + clashCost(j) < before) {
+                        improved = true;
+                    } else {
+                        swap(i, j);
+                    }
+                }
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Get matches of one bracket round, ordered by match number
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} bracket - 'winners', 'losers' or 'grand_final'
+     * @param {number} round - Round number
+     * @returns {Array} Round matches
+     */
+    getRoundMatches(tournamentId, bracket, round) {
+        return DB.find(DB.KEYS.MATCHES, { tournamentId, round })
+            .filter(m => (m.bracket || 'winners') === bracket)
+            .sort((a, b) => a.matchNumber - b.matchNumber);
+    },
+
     /**
      * Get bracket data organized by rounds
      * @param {string} tournamentId - Tournament ID
@@ -178,13 +562,17 @@ const BracketService = {
                 return a.matchNumber - b.matchNumber;
             });
 
-        // Group by round
-        const rounds = {};
+        // Group by bracket section, then by round
+        const sections = { winners: {}, losers: {}, grand_final: {}, third_place: {}, group: {}, swiss: {} };
         matches.forEach(match => {
+            const rounds = sections[match.bracket || 'winners'];
+
             if (!rounds[match.round]) {
                 rounds[match.round] = {
                     round: match.round,
-                    name: this.getRoundName(match.round, tournament.totalRounds),
+                    bracket: match.bracket || 'winners',
+                    name: this.getMatchRoundName(match, tournament),
+                    bestOf: match.bestOf || 1,
                     matches: []
                 };
             }
@@ -217,7 +605,15 @@ const BracketService = {
 
         return {
             tournament,
-            rounds: Object.values(rounds),
+            format: tournament.format || 'single_elimination',
+            rounds: Object.values(sections.winners),
+            losers: Object.values(sections.losers),
+            grandFinal: Object.values(sections.grand_final),
+            thirdPlace: Object.values(sections.third_place),
+            groups: this.hasGroupStage(tournament) ? GroupService.getGroups(tournamentId) : [],
+            swiss: this.isSwiss(tournament)
+                ? { rounds: SwissService.getRounds(tournamentId), standings: SwissService.getStandings(tournamentId) }
+                : null,
             totalRounds: tournament.totalRounds,
             champion
         };
@@ -236,7 +632,7 @@ const BracketService = {
 
         return {
             ...match,
-            roundName: this.getRoundName(match.round, tournament.totalRounds),
+            roundName: this.getMatchRoundName(match, tournament),
             participant1: match.participant1Id
                 ? ParticipantService.getById(match.participant1Id)
                 : null,
@@ -262,6 +658,8 @@ const BracketService = {
             throw new Error('Match tidak ditemukan');
         }
 
+        TournamentService.requireAdmin(match.tournamentId);
+
         const updates = {};
         if (data.schedule !== undefined) updates.schedule = data.schedule;
         if (data.venue !== undefined) updates.venue = data.venue;
@@ -274,16 +672,20 @@ const BracketService = {
     /**
      * Update match score and determine winner
      * @param {string} matchId - Match ID
-     * @param {number} score1 - Participant 1 score
-     * @param {number} score2 - Participant 2 score
+     * @param {number} score1 - Participant 1 score (regulation time)
+     * @param {number} score2 - Participant 2 score (regulation time)
+     * @param {Object} tiebreak - Optional knockout tiebreak:
+     *   { extraTime1, extraTime2 } score after extra time, { penalties1, penalties2 } shoot-out
      * @returns {Object} Updated match
      */
-    updateScore(matchId, score1, score2) {
+    updateScore(matchId, score1, score2, tiebreak = {}) {
         const match = DB.getById(DB.KEYS.MATCHES, matchId);
         if (!match) {
             throw new Error('Match tidak ditemukan');
         }
 
+        TournamentService.requireScorer(match);
+
         if (match.status === 'pending') {
             throw new Error('Match belum siap dimainkan');
         }
@@ -292,117 +694,858 @@ const BracketService = {
             throw new Error('Peserta belum lengkap');
         }
 
+        const { tiebreakScores, winnerId, loserId } = this.resolveResult(match, score1, score2, tiebreak);
+
+        // Update match
+        DB.update(DB.KEYS.MATCHES, matchId, {
+            score1,
+            score2,
+            ...tiebreakScores,
+            winnerId,
+            status: 'completed'
+        });
+
+        this.emit('score_saved', match.tournamentId, { matchId, score1, score2, winnerId });
+
+        this.processResult(match, winnerId, loserId);
+
+        console.log('✅ Score updated');
+        return this.getMatch(matchId);
+    },
+
+    /**
+     * Validate a score and work out who won it
+     * @param {Object} match - Match object
+     * @param {number} score1 - Participant 1 score
+     * @param {number} score2 - Participant 2 score
+     * @param {Object} tiebreak - Optional extra-time and penalty scores
+     * @returns {Object} { tiebreakScores, winnerId, loserId }
+     * @throws {Error} If the score is invalid
+     */
+    resolveResult(match, score1, score2, tiebreak = {}) {
         // Validate scores
         if (score1 < 0 || score2 < 0) {
             throw new Error('Skor tidak boleh negatif');
         }
 
-        if (score1 === score2) {
-            throw new Error('Skor tidak boleh sama (seri). Tentukan pemenang.');
+        // Series are scored in games won
+        if ((match.bestOf || 1) > 1) {
+            this.validateSeriesScore(match.bestOf, score1, score2);
         }
 
-        // Determine winner
-        const winnerId = score1 > score2 ? match.participant1Id : match.participant2Id;
-        const loserId = score1 > score2 ? match.participant2Id : match.participant1Id;
+        const tiebreakScores = this.validateTiebreak(match, score1, score2, tiebreak);
+
+        // Determine winner by the last phase played (group and Swiss games may end in a draw)
+        const [decider1, decider2] = this.getDecidingScore({ score1, score2, ...tiebreakScores });
+        const isDraw = decider1 === decider2;
+
+        return {
+            tiebreakScores,
+            winnerId: isDraw ? null : (decider1 > decider2 ? match.participant1Id : match.participant2Id),
+            loserId: isDraw ? null : (decider1 > decider2 ? match.participant2Id : match.participant1Id)
+        };
+    },
+
+    /**
+     * Correct the result of a completed match. A knockout match that keeps
+     * its winner only gets the new score; otherwise every match the old
+     * result fed is rolled back and the corrected result is played through
+     * again (re-finalizing the tournament if it was already decided)
+     * @param {string} matchId - Match ID
+     * @param {number} score1 - Corrected participant 1 score
+     * @param {number} score2 - Corrected participant 2 score
+     * @param {Object} tiebreak - Optional extra-time and penalty scores
+     * @returns {Object} Updated match
+     */
+    correctScore(matchId, score1, score2, tiebreak = {}) {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match) {
+            throw new Error('Match tidak ditemukan');
+        }
+
+        TournamentService.requireAdmin(match.tournamentId);
+
+        if (match.status !== 'completed') {
+            throw new Error('Hanya match yang sudah selesai yang dapat dikoreksi');
+        }
+
+        if (match.isBye) {
+            throw new Error('Match bye tidak dapat dikoreksi');
+        }
+
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, match.tournamentId);
+        const isGroupMatch = GroupService.isGroupMatch(match);
+        const isSwissMatch = SwissService.isSwissMatch(match);
+
+        // Qualifiers and later pairings were built from the old standings
+        if (isGroupMatch && tournament.format === 'hybrid' && tournament.status !== 'group_stage') {
+            throw new Error('Hasil fase grup tidak dapat dikoreksi setelah babak gugur dimulai');
+        }
+
+        const laterSwissRound = isSwissMatch && DB.find(DB.KEYS.MATCHES, { tournamentId: tournament.id })
+            .some(m => SwissService.isSwissMatch(m) && m.round > match.round);
+        if (laterSwissRound) {
+            throw new Error('Hasil ronde Swiss tidak dapat dikoreksi setelah ronde berikutnya dipasangkan');
+        }
+
+        const { tiebreakScores, winnerId } = this.resolveResult(match, score1, score2, tiebreak);
+
+        // A series score that no longer matches its games drops the game list
+        const { wins1, wins2 } = this.getSeriesScore(match);
+        const games = (match.games || []).length && (wins1 !== score1 || wins2 !== score2) ? [] : match.games;
+
+        // Same knockout winner: nothing downstream changes
+        if (!isGroupMatch && !isSwissMatch && winnerId === match.winnerId) {
+            DB.update(DB.KEYS.MATCHES, matchId, {
+                score1,
+                score2,
+                extraTime1: null,
+                extraTime2: null,
+                penalties1: null,
+                penalties2: null,
+                ...tiebreakScores,
+                games,
+                resultType: null
+            });
+
+            console.log('✏️ Score corrected');
+            return this.getMatch(matchId);
+        }
+
+        this.rollbackMatch(matchId);
+
+        // A decided tournament is open again until the result is replayed
+        if (tournament.status === 'completed') {
+            DB.deleteWhere(DB.KEYS.RESULTS, { tournamentId: tournament.id });
+            DB.update(DB.KEYS.TOURNAMENTS, tournament.id, {
+                status: tournament.format === 'hybrid' ? 'knockout' : 'ongoing'
+            });
+        }
+
+        DB.update(DB.KEYS.MATCHES, matchId, { games, events: match.events, status: 'upcoming' });
+        this.updateScore(matchId, score1, score2, tiebreak);
+
+        console.log('✏️ Result corrected');
+        return this.getMatch(matchId);
+    },
+
+    /**
+     * Undo a completed match: roll back every match its winner or loser
+     * was sent into, take them out of those slots, restore the loser's
+     * elimination and clear the result
+     * @param {string} matchId - Match ID
+     */
+    rollbackMatch(matchId) {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match || match.status !== 'completed') return;
+
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, match.tournamentId);
+        const isKnockout = !GroupService.isGroupMatch(match) && !SwissService.isSwissMatch(match);
+
+        if (isKnockout) {
+            const destinations = [
+                this.getWinnerDestination(match, tournament),
+                this.getLoserDestination(match, tournament)
+            ].filter(Boolean);
+
+            destinations.forEach(({ match: target, slot }) => {
+                this.rollbackMatch(target.id);
+
+                const current = DB.getById(DB.KEYS.MATCHES, target.id);
+                // A live match loses its running score along with its player
+                DB.update(DB.KEYS.MATCHES, target.id, {
+                    ...(slot === 1 ? { participant1Id: null } : { participant2Id: null }),
+                    ...(current.status === 'live' ? { score1: null, score2: null } : {}),
+                    clock: null,
+                    events: [],
+                    status: 'pending'
+                });
+                console.log(`↩️ Slot ${slot} of match ${current.matchNumber} cleared`);
+            });
+
+            // The bracket reset only exists because of the first grand final result
+            if (match.bracket === 'grand_final' && match.round === 1) {
+                this.getRoundMatches(match.tournamentId, 'grand_final', 2).forEach(reset => {
+                    this.rollbackMatch(reset.id);
+                    DB.delete(DB.KEYS.MATCHES, reset.id);
+                });
+            }
+
+            const loserId = match.winnerId === match.participant1Id ? match.participant2Id : match.participant1Id;
+            if (loserId && this.eliminatesLoser(match, tournament)) {
+                ParticipantService.restore(loserId);
+            }
+        }
 
-        // Update match
         DB.update(DB.KEYS.MATCHES, matchId, {
-            score1,
-            score2,
-            winnerId,
-            status: 'completed'
+            score1: null,
+            score2: null,
+            extraTime1: null,
+            extraTime2: null,
+            penalties1: null,
+            penalties2: null,
+            winnerId: null,
+            resultType: null,
+            isBye: false,
+            games: [],
+            clock: null,
+            events: [],
+            status: match.participant1Id && match.participant2Id ? 'upcoming' : 'pending'
         });
 
-        // Eliminate loser
+        this.updateCurrentRound(match.tournamentId);
+    },
+
+    /**
+     * Check if losing a knockout match knocks the loser out (a winners
+     * bracket loss only drops to the losers bracket, and semifinal losers
+     * still play the bronze match)
+     * @param {Object} match - Match object
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} Loser is eliminated
+     */
+    eliminatesLoser(match, tournament) {
+        return !this.getLoserDestination(match, tournament);
+    },
+
+    /**
+     * Apply a completed result: refresh standings, or eliminate the loser,
+     * advance the winner and finish the tournament when it's decided
+     * @param {Object} match - Match as it was before completion
+     * @param {string|null} winnerId - Winner participant ID
+     * @param {string|null} loserId - Loser participant ID
+     */
+    processResult(match, winnerId, loserId) {
+        // Group and Swiss games only feed the standings
+        if (GroupService.isGroupMatch(match)) {
+            GroupService.onMatchCompleted(match);
+            console.log('✅ Standings refreshed');
+            return;
+        }
+
+        if (SwissService.isSwissMatch(match)) {
+            SwissService.onMatchCompleted(match);
+            console.log('✅ Standings refreshed');
+            return;
+        }
+
         const tournament = DB.getById(DB.KEYS.TOURNAMENTS, match.tournamentId);
-        ParticipantService.eliminate(loserId, match.round);
+
+        // Losers-side finalist took the grand final: both sides now have one loss
+        if (this.needsGrandFinalReset(match, tournament, winnerId)) {
+            this.createGrandFinalReset(match);
+            console.log('🔁 Grand final reset scheduled');
+            return;
+        }
+
+        // Eliminate loser
+        if (this.eliminatesLoser(match, tournament)) {
+            ParticipantService.eliminate(loserId, match.round);
+        }
 
         // Advance winner to next round
-        this.advanceWinner(match, winnerId);
+        this.advanceWinner(match, winnerId, loserId);
 
-        // Check if tournament is complete
-        if (match.round === tournament.totalRounds) {
+        // Check if tournament is complete (the final and the bronze match may finish in either order)
+        const thirdPlaceMatch = this.getThirdPlaceMatch(match.tournamentId);
+        const thirdPlacePending = thirdPlaceMatch && thirdPlaceMatch.status !== 'completed';
+        const finalMatch = this.getRoundMatches(match.tournamentId, 'winners', tournament.totalRounds)[0];
+
+        if (this.isDecidingMatch(match, tournament) && !thirdPlacePending) {
             this.finalizeTournament(match.tournamentId, winnerId, loserId);
+        } else if (match.bracket === 'third_place' && finalMatch && finalMatch.status === 'completed') {
+            this.finalizeTournament(
+                match.tournamentId,
+                finalMatch.winnerId,
+                finalMatch.participant1Id === finalMatch.winnerId ? finalMatch.participant2Id : finalMatch.participant1Id
+            );
         } else {
             // Update current round if all matches in this round are complete
             this.updateCurrentRound(match.tournamentId);
         }
 
-        console.log('✅ Score updated, winner advanced');
+        console.log('✅ Winner advanced');
+    },
+
+    /**
+     * Award a match to the opponent of a participant who didn't play it
+     * (walkover, forfeit or disqualification), with the tournament's
+     * default forfeit score if one is configured
+     * @param {string} matchId - Match ID
+     * @param {string} forfeitingId - Participant who forfeits
+     * @param {string} type - 'walkover', 'forfeit' or 'disqualification'
+     * @returns {Object} Updated match
+     */
+    recordForfeit(matchId, forfeitingId, type = 'walkover') {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match) {
+            throw new Error('Match tidak ditemukan');
+        }
+
+        TournamentService.requireScorer(match);
+
+        return this.applyForfeit(match, forfeitingId, type);
+    },
+
+    /**
+     * Record a forfeit without checking who asks for it, for walkovers that
+     * follow from a change already allowed (a withdrawal, or a winner
+     * meeting an absent opponent)
+     * @param {Object} match - Match object
+     * @param {string} forfeitingId - Participant who forfeits
+     * @param {string} type - 'walkover', 'forfeit' or 'disqualification'
+     * @returns {Object} Updated match
+     */
+    applyForfeit(match, forfeitingId, type) {
+        const matchId = match.id;
+
+        if (!this.RESULT_TYPES[type]) {
+            throw new Error('Jenis hasil tidak valid');
+        }
+
+        if (match.status === 'completed') {
+            throw new Error('Match sudah selesai');
+        }
+
+        if (!match.participant1Id || !match.participant2Id) {
+            throw new Error('Peserta belum lengkap');
+        }
+
+        if (forfeitingId !== match.participant1Id && forfeitingId !== match.participant2Id) {
+            throw new Error('Peserta tidak bermain di match ini');
+        }
+
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, match.tournamentId);
+        const winnerId = forfeitingId === match.participant1Id ? match.participant2Id : match.participant1Id;
+
+        // Series are awarded on games, everything else on the default score
+        let winnerScore = null;
+        let loserScore = null;
+        if ((match.bestOf || 1) > 1) {
+            winnerScore = this.getRequiredWins(match.bestOf);
+            loserScore = 0;
+        } else if (tournament.forfeitScore) {
+            winnerScore = tournament.forfeitScore.winner;
+            loserScore = tournament.forfeitScore.loser;
+        }
+
+        const winnerIsFirst = winnerId === match.participant1Id;
+        DB.update(DB.KEYS.MATCHES, matchId, {
+            score1: winnerIsFirst ? winnerScore : loserScore,
+            score2: winnerIsFirst ? loserScore : winnerScore,
+            winnerId,
+            resultType: type,
+            status: 'completed'
+        });
+
+        this.processResult(match, winnerId, forfeitingId);
+
+        console.log(`🏳️ ${this.RESULT_TYPES[type].label} recorded`);
         return this.getMatch(matchId);
     },
 
     /**
-     * Advance winner to next round
-     * @param {Object} match - Current match
+     * Forfeit every open match of a participant who left the tournament
+     * @param {string} participantId - Participant ID
+     * @param {string} type - Result type to record
+     * @returns {Array} Forfeited matches
+     */
+    forfeitRemaining(participantId, type = 'walkover') {
+        const participant = ParticipantService.getById(participantId);
+        if (!participant) return [];
+
+        return DB.find(DB.KEYS.MATCHES, { tournamentId: participant.tournamentId })
+            .filter(m =>
+                (m.participant1Id === participantId || m.participant2Id === participantId) &&
+                m.participant1Id && m.participant2Id &&
+                m.status !== 'completed'
+            )
+            .sort((a, b) => a.matchNumber - b.matchNumber)
+            .map(m => {
+                // An earlier forfeit may already have settled this match
+                const current = DB.getById(DB.KEYS.MATCHES, m.id);
+                return current.status === 'completed' ? current : this.applyForfeit(current, participantId, type);
+            });
+    },
+
+    /**
+     * Hand a walkover to whoever meets a withdrawn or disqualified participant
+     * @param {string} matchId - Match ID
+     */
+    resolveWithdrawal(matchId) {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match || match.status === 'completed' || !match.participant1Id || !match.participant2Id) return;
+
+        const absent = [match.participant1Id, match.participant2Id]
+            .map(id => ParticipantService.getById(id))
+            .find(p => p && (p.status === 'withdrawn' || p.status === 'disqualified'));
+
+        if (absent) {
+            this.applyForfeit(match, absent.id, absent.status === 'disqualified' ? 'disqualification' : 'walkover');
+        }
+    },
+
+    /**
+     * Validate extra-time and penalty scores of a knockout match
+     * @param {Object} match - Match object
+     * @param {number} score1 - Participant 1 regulation score
+     * @param {number} score2 - Participant 2 regulation score
+     * @param {Object} tiebreak - { extraTime1, extraTime2, penalties1, penalties2 }
+     * @returns {Object} Normalised tiebreak fields to store on the match
+     * @throws {Error} If the scores don't produce a winner where one is required
+     */
+    validateTiebreak(match, score1, score2, tiebreak = {}) {
+        const isSet = value => value !== undefined && value !== null && value !== '';
+        const hasExtraTime = isSet(tiebreak.extraTime1) || isSet(tiebreak.extraTime2);
+        const hasPenalties = isSet(tiebreak.penalties1) || isSet(tiebreak.penalties2);
+
+        if ((hasExtraTime || hasPenalties) && (this.allowsDraw(match) || (match.bestOf || 1) > 1)) {
+            throw new Error('Perpanjangan waktu dan adu penalti hanya untuk babak gugur');
+        }
+
+        if (hasExtraTime && score1 !== score2) {
+            throw new Error('Perpanjangan waktu hanya dimainkan jika skor normal imbang');
+        }
+
+        const result = {
+            extraTime1: hasExtraTime ? Number(tiebreak.extraTime1) : null,
+            extraTime2: hasExtraTime ? Number(tiebreak.extraTime2) : null,
+            penalties1: hasPenalties ? Number(tiebreak.penalties1) : null,
+            penalties2: hasPenalties ? Number(tiebreak.penalties2) : null
+        };
+
+        if (hasExtraTime && (!(result.extraTime1 >= score1) || !(result.extraTime2 >= score2))) {
+            throw new Error('Skor perpanjangan waktu tidak boleh lebih kecil dari skor normal');
+        }
+
+        const [level1, level2] = hasExtraTime ? [result.extraTime1, result.extraTime2] : [score1, score2];
+
+        if (hasPenalties && level1 !== level2) {
+            throw new Error('Adu penalti hanya dilakukan jika skor masih imbang');
+        }
+
+        if (hasPenalties && (!(result.penalties1 >= 0) || !(result.penalties2 >= 0))) {
+            throw new Error('Skor adu penalti tidak valid');
+        }
+
+        if (hasPenalties && result.penalties1 === result.penalties2) {
+            throw new Error('Skor adu penalti tidak boleh sama');
+        }
+
+        if (level1 === level2 && !hasPenalties && !this.allowsDraw(match)) {
+            throw new Error('Skor tidak boleh sama (seri). Isi perpanjangan waktu atau adu penalti.');
+        }
+
+        return result;
+    },
+
+    /**
+     * Get the score pair that decided a match (penalties, then extra time, then regulation)
+     * @param {Object} match - Match or score object
+     * @returns {Array} [score1, score2]
+     */
+    getDecidingScore(match) {
+        if (match.penalties1 !== null && match.penalties1 !== undefined) {
+            return [match.penalties1, match.penalties2];
+        }
+        if (match.extraTime1 !== null && match.extraTime1 !== undefined) {
+            return [match.extraTime1, match.extraTime2];
+        }
+        return [match.score1, match.score2];
+    },
+
+    /**
+     * Format a match score, e.g. "2–2 (4–3 pen)", "1–1 (2–1 aet)" or "3–0 (WO)"
+     * @param {Object} match - Match object
+     * @param {boolean} reversed - Show participant 2's score first
+     * @returns {string} Score text, or '-' if not played
+     */
+    formatScore(match, reversed = false) {
+        const resultTag = match.resultType ? this.RESULT_TYPES[match.resultType]?.short : null;
+        if (match.score1 === null || match.score1 === undefined) return resultTag || '-';
+
+        const pair = (a, b) => reversed ? `${b}–${a}` : `${a}–${b}`;
+        const extras = [];
+
+        if (match.extraTime1 !== null && match.extraTime1 !== undefined) {
+            extras.push(`${pair(match.extraTime1, match.extraTime2)} aet`);
+        }
+        if (match.penalties1 !== null && match.penalties1 !== undefined) {
+            extras.push(`${pair(match.penalties1, match.penalties2)} pen`);
+        }
+
+        if (resultTag) {
+            extras.push(resultTag);
+        }
+
+        const text = pair(match.score1, match.score2);
+        return extras.length ? `${text} (${extras.join(', ')})` : text;
+    },
+
+    /**
+     * Number of game wins needed to take a best-of-N series
+     * @param {number} bestOf - Series length
+     * @returns {number} Required wins
+     */
+    getRequiredWins(bestOf) {
+        return Math.ceil((bestOf || 1) / 2);
+    },
+
+    /**
+     * Count game wins per side from a match's game list
+     * @param {Object} match - Match object
+     * @returns {Object} { wins1, wins2 }
+     */
+    getSeriesScore(match) {
+        const games = match.games || [];
+        return {
+            wins1: games.filter(g => g.winnerId === match.participant1Id).length,
+            wins2: games.filter(g => g.winnerId === match.participant2Id).length
+        };
+    },
+
+    /**
+     * Validate a final series score (one side on exactly the required wins)
+     * @param {number} bestOf - Series length
+     * @param {number} score1 - Participant 1 game wins
+     * @param {number} score2 - Participant 2 game wins
+     * @throws {Error} If the series isn't decided by the score
+     */
+    validateSeriesScore(bestOf, score1, score2) {
+        const requiredWins = this.getRequiredWins(bestOf);
+        const isWholeNumber = Number.isInteger(score1) && Number.isInteger(score2);
+
+        if (!isWholeNumber || Math.max(score1, score2) !== requiredWins || Math.min(score1, score2) >= requiredWins) {
+            throw new Error(`Seri Bo${bestOf} dimenangkan tim pertama yang meraih ${requiredWins} game`);
+        }
+    },
+
+    /**
+     * Set the series length for every match in a knockout round
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} bracket - Bracket section
+     * @param {number} round - Round number
+     * @param {number} bestOf - Series length (1, 3, 5 or 7)
+     * @returns {Array} Updated matches
+     */
+    setRoundBestOf(tournamentId, bracket, round, bestOf) {
+        TournamentService.requireAdmin(tournamentId);
+
+        if (!this.BEST_OF_OPTIONS.includes(bestOf)) {
+            throw new Error('Format seri harus Bo1, Bo3, Bo5, atau Bo7');
+        }
+
+        if (bracket === 'group' || bracket === 'swiss') {
+            throw new Error('Format seri hanya untuk babak gugur');
+        }
+
+        const roundMatches = this.getRoundMatches(tournamentId, bracket, round);
+        if (roundMatches.some(m => (m.status === 'completed' && !m.isBye) || (m.games || []).length > 0)) {
+            throw new Error('Tidak dapat mengubah format seri setelah babak dimulai');
+        }
+
+        return roundMatches.map(m => DB.update(DB.KEYS.MATCHES, m.id, { bestOf }));
+    },
+
+    /**
+     * Record one game of a best-of-N series; the match is completed
+     * through updateScore once a side reaches the required wins
+     * @param {string} matchId - Match ID
+     * @param {Object} data - { map, score1, score2 }
+     * @returns {Object} Updated match
+     */
+    addGame(matchId, data) {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match) {
+            throw new Error('Match tidak ditemukan');
+        }
+
+        TournamentService.requireScorer(match);
+
+        if ((match.bestOf || 1) <= 1) {
+            throw new Error('Match ini bukan format seri (best-of)');
+        }
+
+        if (match.status === 'pending' || match.status === 'completed') {
+            throw new Error('Match belum siap dimainkan atau sudah selesai');
+        }
+
+        if (!match.participant1Id || !match.participant2Id) {
+            throw new Error('Peserta belum lengkap');
+        }
+
+        if (data.score1 < 0 || data.score2 < 0) {
+            throw new Error('Skor tidak boleh negatif');
+        }
+
+        if (data.score1 === data.score2) {
+            throw new Error('Skor game tidak boleh sama (seri). Tentukan pemenang.');
+        }
+
+        const games = [...(match.games || []), {
+            number: (match.games || []).length + 1,
+            map: data.map?.trim() || null,
+            score1: data.score1,
+            score2: data.score2,
+            winnerId: data.score1 > data.score2 ? match.participant1Id : match.participant2Id
+        }];
+
+        DB.update(DB.KEYS.MATCHES, matchId, { games });
+
+        const { wins1, wins2 } = this.getSeriesScore({ ...match, games });
+        const requiredWins = this.getRequiredWins(match.bestOf);
+
+        if (wins1 >= requiredWins || wins2 >= requiredWins) {
+            return this.updateScore(matchId, wins1, wins2);
+        }
+
+        console.log(`🎮 Game ${games.length} recorded (${wins1}-${wins2})`);
+        return this.getMatch(matchId);
+    },
+
+    /**
+     * Remove the last recorded game of an unfinished series
+     * @param {string} matchId - Match ID
+     * @returns {Object} Updated match
+     */
+    removeLastGame(matchId) {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match) {
+            throw new Error('Match tidak ditemukan');
+        }
+
+        TournamentService.requireScorer(match);
+
+        if (match.status === 'completed') {
+            throw new Error('Seri sudah selesai');
+        }
+
+        DB.update(DB.KEYS.MATCHES, matchId, { games: (match.games || []).slice(0, -1) });
+        return this.getMatch(matchId);
+    },
+
+    /**
+     * Check if a completed match decides the champion
+     * @param {Object} match - Completed match
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} Is deciding match
+     */
+    isDecidingMatch(match, tournament) {
+        if (this.isDoubleElimination(tournament)) {
+            return match.bracket === 'grand_final';
+        }
+        return (match.bracket || 'winners') === 'winners' && match.round === tournament.totalRounds;
+    },
+
+    /**
+     * Check if the grand final has to be replayed
+     * @param {Object} match - Completed match
+     * @param {Object} tournament - Tournament object
      * @param {string} winnerId - Winner participant ID
+     * @returns {boolean} Needs reset match
      */
-    advanceWinner(match, winnerId) {
+    needsGrandFinalReset(match, tournament, winnerId) {
+        return match.bracket === 'grand_final' &&
+            match.round === 1 &&
+            !!tournament.grandFinalReset &&
+            winnerId === match.participant2Id;
+    },
+
+    /**
+     * Create the bracket reset match after the first grand final
+     * @param {Object} match - First grand final match
+     * @returns {Object} Created reset match
+     */
+    createGrandFinalReset(match) {
+        const lastMatchNumber = Math.max(
+            ...DB.find(DB.KEYS.MATCHES, { tournamentId: match.tournamentId }).map(m => m.matchNumber)
+        );
+
+        return this.createMatch(match.tournamentId, {
+            bracket: 'grand_final',
+            round: 2,
+            matchNumber: lastMatchNumber + 1,
+            participant1Id: match.participant1Id,
+            participant2Id: match.participant2Id,
+            bestOf: match.bestOf || 1,
+            status: 'upcoming'
+        });
+    },
+
+    /**
+     * Advance winner to next round, and drop the loser of a winners bracket
+     * match into the losers bracket or the bronze match.
+     * A missing winner or loser (bye) is passed on as a bye slot.
+     * @param {Object} match - Current match
+     * @param {string|null} winnerId - Winner participant ID
+     * @param {string|null} loserId - Loser participant ID
+     */
+    advanceWinner(match, winnerId, loserId = null) {
         const tournament = DB.getById(DB.KEYS.TOURNAMENTS, match.tournamentId);
-        const nextRound = match.round + 1;
 
-        // No next round for final
-        if (nextRound > tournament.totalRounds) {
-            return;
+        const next = this.getWinnerDestination(match, tournament);
+        if (next) {
+            if (winnerId) {
+                this.placeParticipant(next.match, next.slot, winnerId);
+                this.emit('winner_advanced', match.tournamentId, {
+                    matchId: match.id,
+                    nextMatchId: next.match.id,
+                    participantId: winnerId
+                });
+            } else {
+                this.placeBye(next.match, next.slot);
+            }
         }
 
-        // Calculate position in next round
-        // Matches 1-2 go to Match 1 of next round
-        // Matches 3-4 go to Match 2 of next round, etc.
-        const firstMatchOfRound = DB.find(DB.KEYS.MATCHES, { tournamentId: match.tournamentId, round: 1 })
-            .sort((a, b) => a.matchNumber - b.matchNumber)[0];
+        const drop = this.getLoserDestination(match, tournament);
+        if (drop) {
+            if (loserId) {
+                this.placeParticipant(drop.match, drop.slot, loserId);
+            } else {
+                this.placeBye(drop.match, drop.slot);
+            }
+        }
+    },
 
-        const matchIndexInRound = match.matchNumber - this.getFirstMatchNumberOfRound(match.tournamentId, match.round);
-        const nextMatchIndex = Math.floor(matchIndexInRound / 2);
-        const nextMatchNumber = this.getFirstMatchNumberOfRound(match.tournamentId, nextRound) + nextMatchIndex;
+    /**
+     * Get the match and slot the winner of a match moves into
+     * @param {Object} match - Current match
+     * @param {Object} tournament - Tournament object
+     * @returns {Object|null} { match, slot } or null if the winner leaves the bracket
+     */
+    getWinnerDestination(match, tournament) {
+        const bracket = match.bracket || 'winners';
+        if (bracket === 'grand_final' || bracket === 'third_place') return null;
+
+        const roundMatches = this.getRoundMatches(match.tournamentId, bracket, match.round);
+        const matchIndexInRound = roundMatches.findIndex(m => m.id === match.id);
+        const lastRound = bracket === 'losers' ? tournament.losersRounds : tournament.totalRounds;
 
-        // Find next round match
-        const nextMatches = DB.find(DB.KEYS.MATCHES, {
-            tournamentId: match.tournamentId,
-            round: nextRound
-        }).sort((a, b) => a.matchNumber - b.matchNumber);
+        // Bracket winner goes to the grand final (winners side in slot 1)
+        if (match.round === lastRound) {
+            if (!this.isDoubleElimination(tournament)) return null;
 
-        const nextMatch = nextMatches[nextMatchIndex];
+            const grandFinal = this.getRoundMatches(match.tournamentId, 'grand_final', 1)[0];
+            return grandFinal ? { match: grandFinal, slot: bracket === 'winners' ? 1 : 2 } : null;
+        }
+
+        const nextMatches = this.getRoundMatches(match.tournamentId, bracket, match.round + 1);
+
+        // Odd losers rounds feed straight across to meet a winners bracket drop-down
+        if (bracket === 'losers' && match.round % 2 === 1) {
+            return nextMatches[matchIndexInRound]
+                ? { match: nextMatches[matchIndexInRound], slot: 1 }
+                : null;
+        }
 
+        // Matches 1-2 go to Match 1 of next round
+        // Matches 3-4 go to Match 2 of next round, etc.
+        const nextMatch = nextMatches[Math.floor(matchIndexInRound / 2)];
         if (!nextMatch) {
             console.error('Next match not found');
-            return;
+            return null;
         }
 
-        // Assign to correct slot
+        return { match: nextMatch, slot: matchIndexInRound % 2 === 0 ? 1 : 2 };
+    },
+
+    /**
+     * Get the match and slot a winners bracket loser drops into
+     * (losers bracket, or the bronze match for semifinal losers)
+     * @param {Object} match - Current match
+     * @param {Object} tournament - Tournament object
+     * @returns {Object|null} { match, slot } or null if the loser is eliminated
+     */
+    getLoserDestination(match, tournament) {
+        if ((match.bracket || 'winners') !== 'winners') {
+            return null;
+        }
+
+        const roundMatches = this.getRoundMatches(match.tournamentId, 'winners', match.round);
+        const matchIndexInRound = roundMatches.findIndex(m => m.id === match.id);
+
+        // Semifinal losers meet in the bronze match
+        if (!this.isDoubleElimination(tournament)) {
+            const thirdPlaceMatch = match.round === tournament.totalRounds - 1
+                ? this.getThirdPlaceMatch(match.tournamentId)
+                : null;
+            return thirdPlaceMatch ? { match: thirdPlaceMatch, slot: matchIndexInRound % 2 === 0 ? 1 : 2 } : null;
+        }
+
+        // First round losers pair up against each other
+        if (match.round === 1) {
+            const losersMatch = this.getRoundMatches(match.tournamentId, 'losers', 1)[Math.floor(matchIndexInRound / 2)];
+            return losersMatch ? { match: losersMatch, slot: matchIndexInRound % 2 === 0 ? 1 : 2 } : null;
+        }
+
+        // Later losers meet a losers bracket survivor; the order is flipped
+        // every other round so players don't face the same opponent again soon
+        const losersMatches = this.getRoundMatches(match.tournamentId, 'losers', 2 * (match.round - 1));
+        const targetIndex = match.round % 2 === 0
+            ? losersMatches.length - 1 - matchIndexInRound
+            : matchIndexInRound;
+
+        return losersMatches[targetIndex] ? { match: losersMatches[targetIndex], slot: 2 } : null;
+    },
+
+    /**
+     * Put a participant into a match slot
+     * @param {Object} match - Target match
+     * @param {number} slot - 1 or 2
+     * @param {string} participantId - Participant ID
+     */
+    placeParticipant(match, slot, participantId) {
         const updates = {};
-        if (matchIndexInRound % 2 === 0) {
-            updates.participant1Id = winnerId;
+        if (slot === 1) {
+            updates.participant1Id = participantId;
         } else {
-            updates.participant2Id = winnerId;
+            updates.participant2Id = participantId;
         }
 
         // Update status if both participants are set
-        const currentData = DB.getById(DB.KEYS.MATCHES, nextMatch.id);
+        const currentData = DB.getById(DB.KEYS.MATCHES, match.id);
         const updatedData = { ...currentData, ...updates };
 
         if (updatedData.participant1Id && updatedData.participant2Id) {
             updates.status = 'upcoming';
         }
 
-        DB.update(DB.KEYS.MATCHES, nextMatch.id, updates);
+        DB.update(DB.KEYS.MATCHES, match.id, updates);
+        this.resolveBye(match.id);
+        this.resolveWithdrawal(match.id);
     },
 
     /**
-     * Get first match number of a round
-     * @param {string} tournamentId - Tournament ID
-     * @param {number} round - Round number
-     * @returns {number} First match number
+     * Mark a match slot as a bye (no participant will ever arrive)
+     * @param {Object} match - Target match
+     * @param {number} slot - 1 or 2
      */
-    getFirstMatchNumberOfRound(tournamentId, round) {
-        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
-        const participantCount = tournament.participantCount;
+    placeBye(match, slot) {
+        DB.update(DB.KEYS.MATCHES, match.id, slot === 1 ? { bye1: true } : { bye2: true });
+        this.resolveBye(match.id);
+    },
 
-        let matchNumber = 1;
-        for (let r = 1; r < round; r++) {
-            matchNumber += participantCount / Math.pow(2, r);
-        }
-        return matchNumber;
+    /**
+     * Complete a match that has a bye once both slots are known,
+     * sending the lone participant (or another bye) onwards
+     * @param {string} matchId - Match ID
+     */
+    resolveBye(matchId) {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match || match.status === 'completed' || !(match.bye1 || match.bye2)) return;
+
+        const slot1Known = match.participant1Id || match.bye1;
+        const slot2Known = match.participant2Id || match.bye2;
+        if (!slot1Known || !slot2Known) return;
+
+        const winnerId = match.participant1Id || match.participant2Id || null;
+        DB.update(DB.KEYS.MATCHES, matchId, {
+            winnerId,
+            isBye: true,
+            status: 'completed'
+        });
+
+        this.advanceWinner(match, winnerId, null);
     },
 
     /**
@@ -411,7 +1554,8 @@ const BracketService = {
      */
     updateCurrentRound(tournamentId) {
         const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
-        const matches = DB.find(DB.KEYS.MATCHES, { tournamentId });
+        const matches = DB.find(DB.KEYS.MATCHES, { tournamentId })
+            .filter(m => (m.bracket || 'winners') === 'winners');
 
         // Find the first round with incomplete matches
         for (let round = 1; round <= tournament.totalRounds; round++) {
@@ -432,17 +1576,32 @@ const BracketService = {
      * @param {string} tournamentId - Tournament ID
      * @param {string} championId - Champion participant ID
      * @param {string} runnerUpId - Runner-up participant ID
+     * @param {Array|null} thirdPlaceIds - Third place IDs (derived from the bracket if omitted)
+     * @param {string|null} fourthPlaceId - Fourth place ID (derived from the bronze match if omitted)
      */
-    finalizeTournament(tournamentId, championId, runnerUpId) {
+    finalizeTournament(tournamentId, championId, runnerUpId, thirdPlaceIds = null, fourthPlaceId = null) {
         const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
         const matches = DB.find(DB.KEYS.MATCHES, { tournamentId });
+        const thirdPlaceMatch = this.getThirdPlaceMatch(tournamentId);
+
+        // The bronze match decides a single third and a fourth place
+        if (!thirdPlaceIds && thirdPlaceMatch && thirdPlaceMatch.winnerId) {
+            thirdPlaceIds = [thirdPlaceMatch.winnerId];
+            fourthPlaceId = (thirdPlaceMatch.participant1Id === thirdPlaceMatch.winnerId
+                ? thirdPlaceMatch.participant2Id
+                : thirdPlaceMatch.participant1Id) || null;
+        }
 
-        // Find third place (semi-final losers)
-        const semiFinalMatches = matches.filter(m => m.round === tournament.totalRounds - 1);
-        const thirdPlaceIds = semiFinalMatches
-            .filter(m => m.winnerId)
-            .map(m => m.participant1Id === m.winnerId ? m.participant2Id : m.participant1Id)
-            .filter(id => id);
+        // Otherwise third place is shared by the semi-final losers, or is the losers final loser
+        if (!thirdPlaceIds) {
+            const semiFinalMatches = this.isDoubleElimination(tournament)
+                ? this.getRoundMatches(tournamentId, 'losers', tournament.losersRounds)
+                : this.getRoundMatches(tournamentId, 'winners', tournament.totalRounds - 1);
+            thirdPlaceIds = semiFinalMatches
+                .filter(m => m.winnerId)
+                .map(m => m.participant1Id === m.winnerId ? m.participant2Id : m.participant1Id)
+                .filter(id => id);
+        }
 
         // Create tournament result
         DB.insert(DB.KEYS.RESULTS, {
@@ -450,6 +1609,7 @@ const BracketService = {
             championId,
             runnerUpId,
             thirdPlaceIds,
+            fourthPlaceId,
             totalMatches: matches.length,
             totalParticipants: tournament.participantCount
         });
@@ -461,9 +1621,37 @@ const BracketService = {
             endDate: new Date().toISOString().split('T')[0]
         });
 
+        this.emit('tournament_completed', tournamentId, { championId, runnerUpId });
+
         console.log('🏆 Tournament completed! Champion:', championId);
     },
 
+    /**
+     * Register a listener for match events (score saved, winner
+     * advanced, tournament completed)
+     * @param {Function} listener - Receives { type, tournamentId, ...data }
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    },
+
+    /**
+     * Announce a match event
+     * @param {string} type - Event type (see EVENTS)
+     * @param {string} tournamentId - Tournament ID
+     * @param {Object} data - Event details
+     */
+    emit(type, tournamentId, data) {
+        const event = { type, tournamentId, ...data, timestamp: new Date().toISOString() };
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (e) {
+                console.error('Error in match event listener:', e);
+            }
+        });
+    },
+
     /**
      * Reset bracket (delete all matches and reset status)
      * @param {string} tournamentId - Tournament ID
@@ -474,6 +1662,8 @@ const BracketService = {
             throw new Error('Tournament tidak ditemukan');
         }
 
+        TournamentService.requireAdmin(tournamentId);
+
         if (tournament.status === 'completed') {
             throw new Error('Tidak dapat reset tournament yang sudah selesai');
         }
@@ -489,7 +1679,8 @@ const BracketService = {
         participants.forEach(p => {
             DB.update(DB.KEYS.PARTICIPANTS, p.id, {
                 status: 'active',
-                eliminatedAtRound: null
+                eliminatedAtRound: null,
+                group: null
             });
         });
 
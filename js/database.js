@@ -1,6 +1,6 @@
 /**
  * ====================================
- * DATABASE SERVICE (LocalStorage)
+ * DATABASE SERVICE (IndexedDB / LocalStorage)
  * Handles all data persistence
  * ====================================
  */
@@ -12,19 +12,1039 @@ const DB = {
         PARTICIPANTS: 'tb_participants',
         MATCHES: 'tb_matches',
         RESULTS: 'tb_results',
-        SETTINGS: 'tb_settings'
+        SETTINGS: 'tb_settings',
+        AUDIT: 'tb_audit'
+    },
+
+    // Version of the stored data layout (see MIGRATIONS)
+    SCHEMA_VERSION: 12,
+
+    /**
+     * Ordered migration steps; each brings data from version - 1 to version.
+     * Fields are only filled in where a record doesn't have them yet.
+     * A step may return a Promise; the next one waits for it.
+     */
+    MIGRATIONS: [
+        {
+            version: 1,
+            description: 'Tournament formats, admin token, match brackets and byes',
+            migrate(db) {
+                db.fillDefaults(db.KEYS.TOURNAMENTS, tournament => ({
+                    format: 'single_elimination',
+                    grandFinalReset: false,
+                    protectedSeeding: false,
+                    thirdPlaceMatch: false,
+                    groupCount: null,
+                    qualifiersPerGroup: null,
+                    swissRounds: null,
+                    bracketSize: tournament.totalRounds ? Math.pow(2, tournament.totalRounds) : null,
+                    losersRounds: 0,
+                    adminPassword: null,
+                    adminToken: 'admin_' + db.generateId()
+                }));
+                db.fillDefaults(db.KEYS.PARTICIPANTS, () => ({
+                    club: null,
+                    group: null,
+                    eliminatedAtRound: null
+                }));
+                db.fillDefaults(db.KEYS.MATCHES, () => ({
+                    bracket: 'winners',
+                    group: null,
+                    isBye: false,
+                    bye1: false,
+                    bye2: false
+                }));
+            }
+        },
+        {
+            version: 2,
+            description: 'Best-of series, tiebreaks and forfeits',
+            migrate(db) {
+                db.fillDefaults(db.KEYS.TOURNAMENTS, tournament => ({
+                    bestOf: 1,
+                    finalBestOf: tournament.bestOf || 1,
+                    forfeitScore: null
+                }));
+                db.fillDefaults(db.KEYS.MATCHES, () => ({
+                    bestOf: 1,
+                    games: [],
+                    extraTime1: null,
+                    extraTime2: null,
+                    penalties1: null,
+                    penalties2: null,
+                    resultType: null
+                }));
+                db.fillDefaults(db.KEYS.RESULTS, () => ({
+                    fourthPlaceId: null
+                }));
+            }
+        },
+        {
+            version: 3,
+            description: 'Hashed admin passwords, also in the change history',
+            async migrate(db) {
+                const isTournament = entry => entry.collection === db.KEYS.TOURNAMENTS;
+                const history = db.getAll(db.KEYS.AUDIT).filter(isTournament);
+                const records = [
+                    ...db.getAll(db.KEYS.TOURNAMENTS),
+                    ...history.map(entry => entry.before),
+                    ...history.map(entry => entry.after)
+                ].filter(record => record && record.adminPassword && record.adminPasswordHash === undefined);
+
+                // Hashed here (same format as TournamentService.hashPassword):
+                // migrations run as soon as this file loads, before the
+                // services' scripts may have been evaluated
+                const toBase64 = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+                const hashPassword = async password => {
+                    const salt = crypto.getRandomValues(new Uint8Array(16));
+                    const iterations = 310000;
+                    const key = await crypto.subtle.importKey(
+                        'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+                    );
+                    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+                    return { algorithm: 'PBKDF2-SHA256', iterations, salt: toBase64(salt), hash: toBase64(bits) };
+                };
+
+                // Hash first (one hash per tournament and password, so history
+                // entries stay comparable), then rewrite without yielding
+                const hashes = new Map();
+                for (const record of records) {
+                    const cacheKey = `${record.id}:${record.adminPassword}`;
+                    if (!hashes.has(cacheKey)) {
+                        hashes.set(cacheKey, await hashPassword(record.adminPassword));
+                    }
+                }
+
+                const upgrade = ({ adminPassword, ...tournament }) => tournament.adminPasswordHash !== undefined
+                    ? tournament
+                    : { ...tournament, adminPasswordHash: adminPassword ? hashes.get(`${tournament.id}:${adminPassword}`) : null };
+
+                db.save(db.KEYS.TOURNAMENTS, db.getAll(db.KEYS.TOURNAMENTS).map(upgrade));
+                db.save(db.KEYS.AUDIT, db.getAll(db.KEYS.AUDIT).map(entry => isTournament(entry)
+                    ? { ...entry, before: entry.before && upgrade(entry.before), after: entry.after && upgrade(entry.after) }
+                    : entry));
+            }
+        },
+        {
+            version: 4,
+            description: 'Login credentials with roles',
+            migrate(db) {
+                // The admin password becomes the first organiser account;
+                // its token is kept so logged-in admins stay logged in
+                const ids = new Map();
+                const upgrade = ({ adminPasswordHash, adminToken, ...tournament }) => {
+                    if (tournament.credentials !== undefined) return tournament;
+                    if (!adminPasswordHash) return { ...tournament, credentials: [] };
+
+                    if (!ids.has(tournament.id)) ids.set(tournament.id, db.generateId());
+                    return {
+                        ...tournament,
+                        credentials: [{
+                            id: ids.get(tournament.id),
+                            name: 'Admin',
+                            role: 'organiser',
+                            passwordHash: adminPasswordHash,
+                            token: adminToken,
+                            matchIds: [],
+                            venues: []
+                        }]
+                    };
+                };
+
+                db.save(db.KEYS.TOURNAMENTS, db.getAll(db.KEYS.TOURNAMENTS).map(upgrade));
+                db.save(db.KEYS.AUDIT, db.getAll(db.KEYS.AUDIT).map(entry => entry.collection === db.KEYS.TOURNAMENTS
+                    ? { ...entry, before: entry.before && upgrade(entry.before), after: entry.after && upgrade(entry.after) }
+                    : entry));
+            }
+        },
+        {
+            version: 5,
+            description: 'Automatic match scheduling',
+            migrate(db) {
+                db.fillDefaults(db.KEYS.TOURNAMENTS, () => ({
+                    scheduleSettings: null
+                }));
+            }
+        },
+        {
+            version: 6,
+            description: 'Match delays',
+            migrate(db) {
+                db.fillDefaults(db.KEYS.MATCHES, () => ({
+                    delay: 0
+                }));
+            }
+        },
+        {
+            version: 7,
+            description: 'Live match clock',
+            migrate(db) {
+                db.fillDefaults(db.KEYS.MATCHES, () => ({
+                    clock: null
+                }));
+            }
+        },
+        {
+            version: 8,
+            description: 'Match events timeline',
+            migrate(db) {
+                db.fillDefaults(db.KEYS.MATCHES, () => ({
+                    events: []
+                }));
+            }
+        },
+        {
+            version: 9,
+            description: 'Team rosters',
+            migrate(db) {
+                db.fillDefaults(db.KEYS.PARTICIPANTS, () => ({
+                    players: []
+                }));
+            }
+        },
+        {
+            version: 10,
+            description: 'Hashed session tokens',
+            migrate(db) {
+                // Plain tokens are dropped everywhere they were copied to, so
+                // everyone logs in once more and gets a hashed session
+                const upgrade = tournament => !tournament.credentials ? tournament : {
+                    ...tournament,
+                    credentials: tournament.credentials.map(({ token, ...credential }) => ({
+                        ...credential,
+                        sessions: credential.sessions || []
+                    }))
+                };
+
+                db.save(db.KEYS.TOURNAMENTS, db.getAll(db.KEYS.TOURNAMENTS).map(upgrade));
+                db.save(db.KEYS.AUDIT, db.getAll(db.KEYS.AUDIT).map(entry => entry.collection === db.KEYS.TOURNAMENTS
+                    ? { ...entry, before: entry.before && upgrade(entry.before), after: entry.after && upgrade(entry.after) }
+                    : entry));
+            }
+        },
+        {
+            version: 11,
+            description: 'No accounts or logos in the change history',
+            migrate(db) {
+                // Undo must never bring back old passwords or sessions;
+                // entries that only changed those are dropped
+                const untracked = { [db.KEYS.TOURNAMENTS]: 'credentials', [db.KEYS.PARTICIPANTS]: 'logo' };
+                const strip = (field, record) => {
+                    if (!record) return record;
+                    const { [field]: removed, ...rest } = record;
+                    return rest;
+                };
+                const changed = ({ before, after }) => Object.keys({ ...before, ...after })
+                    .some(field => field !== 'updatedAt' && JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+                db.save(db.KEYS.AUDIT, db.getAll(db.KEYS.AUDIT)
+                    .map(entry => untracked[entry.collection]
+                        ? { ...entry, before: strip(untracked[entry.collection], entry.before), after: strip(untracked[entry.collection], entry.after) }
+                        : entry)
+                    .filter(entry => entry.action !== 'update' || changed(entry)));
+            }
+        },
+        {
+            version: 12,
+            description: 'Semifinal losers stay active for the bronze match',
+            migrate(db) {
+                const waiting = new Set(db.getAll(db.KEYS.MATCHES)
+                    .filter(match => match.bracket === 'third_place' && match.status !== 'completed')
+                    .flatMap(match => [match.participant1Id, match.participant2Id])
+                    .filter(id => id));
+
+                db.save(db.KEYS.PARTICIPANTS, db.getAll(db.KEYS.PARTICIPANTS).map(participant =>
+                    waiting.has(participant.id) && participant.status === 'eliminated'
+                        ? { ...participant, status: 'active', eliminatedAtRound: null }
+                        : participant));
+            }
+        }
+    ],
+
+    // Collections each device keeps to itself, also on a sync server
+    // (the schema version its data is at and its quarantine)
+    LOCAL_KEYS: ['tb_settings'],
+
+    // Collections whose records belong to a tournament
+    CHILD_KEYS: ['tb_participants', 'tb_matches', 'tb_results', 'tb_audit'],
+
+    // Data problems found during this session (see getProblems)
+    problems: [],
+
+    // IndexedDB database
+    IDB_NAME: 'tournament_bracket',
+    IDB_VERSION: 1,
+
+    // Active backend: 'remote' (sync server), 'indexedDB', 'localStorage'
+    // where IndexedDB isn't available, or 'memory' (see loadSnapshot)
+    backend: 'localStorage',
+    idb: null,
+
+    // Collections as JSON, so reads stay synchronous on IndexedDB
+    cache: {},
+
+    // Parsed collections by id and tournamentId, rebuilt when the stored JSON changes (see getIndex)
+    indexes: {},
+
+    // IndexedDB writes not yet committed
+    pendingWrites: new Set(),
+
+    // Resolves once the database can be used (see init)
+    ready: null,
+
+    // Change listeners (see subscribe)
+    listeners: [],
+
+    // Other tabs are told which collection changed over this channel
+    CHANNEL_NAME: 'tournament_bracket',
+    channel: null,
+
+    // Listeners for changes made in other tabs (see subscribeRemote)
+    remoteListeners: [],
+    remoteChanges: [],
+    remoteTimer: null,
+
+    // Sync server (see useRemote), remembered per browser
+    REMOTE_URL_KEY: 'tb_remote_url',
+    REMOTE_POLL_INTERVAL: 3000,
+    remoteUrl: null,
+    remoteSeq: 0,
+    remoteQueue: Promise.resolve(),
+    pollTimer: null,
+    polling: false,
+
+    // Listeners for writes that weren't stored (see subscribeSyncErrors)
+    syncErrorListeners: [],
+
+    /**
+     * Initialize database: connect to the sync server if one is set up,
+     * otherwise open IndexedDB, move any localStorage data into it on
+     * first load and fill the cache. Falls back to localStorage when
+     * IndexedDB can't be opened.
+     * @returns {Promise} Resolves when the database is ready
+     */
+    async init() {
+        const remoteUrl = localStorage.getItem(this.REMOTE_URL_KEY);
+        if (remoteUrl) {
+            try {
+                await this.openRemote(remoteUrl);
+            } catch (e) {
+                this.reportProblem(
+                    this.KEYS.SETTINGS,
+                    `Server sinkronisasi ${remoteUrl} tidak dapat dihubungi (${e.message}), memakai data lokal`
+                );
+            }
+        }
+
+        if (this.backend !== 'remote') {
+            try {
+                this.idb = await this.openIndexedDB();
+                await this.migrateFromLocalStorage();
+
+                for (const key of Object.values(this.KEYS)) {
+                    this.cache[key] = JSON.stringify(await this.readStore(key));
+                }
+
+                this.backend = 'indexedDB';
+            } catch (e) {
+                console.warn('IndexedDB unavailable, using localStorage:', e);
+                this.idb = null;
+                this.backend = 'localStorage';
+
+                Object.values(this.KEYS).forEach(key => {
+                    if (!localStorage.getItem(key)) {
+                        localStorage.setItem(key, JSON.stringify([]));
+                    }
+                });
+            }
+        }
+
+        this.checkIntegrity();
+        await this.migrate();
+        this.initSync();
+
+        console.log(`📦 Database initialized (${this.backend})`);
+    },
+
+    /**
+     * Listen for writes made in other tabs. On IndexedDB each tab keeps
+     * its own cache, so tabs announce changed collections over a
+     * BroadcastChannel; localStorage raises storage events by itself.
+     * On the sync server, other devices' changes are polled for.
+     */
+    initSync() {
+        if (this.backend === 'remote') {
+            this.pollTimer = setInterval(() => this.pollRemote(), this.REMOTE_POLL_INTERVAL);
+            return;
+        }
+
+        if (typeof window === 'undefined' || !window.addEventListener) return;
+
+        if (this.backend === 'indexedDB') {
+            if (typeof BroadcastChannel === 'undefined') return;
+
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+            this.channel.onmessage = (e) => {
+                this.reloadCollection(e.data.key)
+                    .catch(err => console.error('Error syncing from another tab:', err));
+            };
+            return;
+        }
+
+        window.addEventListener('storage', (e) => {
+            if (!Object.values(this.KEYS).includes(e.key)) return;
+            this.receiveChanges(e.key, this.parseItems(e.oldValue), this.parseItems(e.newValue));
+        });
+    },
+
+    /**
+     * Re-read a collection another tab has written to and refresh the cache
+     * @param {string} key - Collection key
+     */
+    async reloadCollection(key) {
+        let items;
+
+        // A local write started during the read would be missing from it
+        do {
+            await this.flush();
+            items = await this.readStore(key);
+        } while (this.pendingWrites.size > 0);
+
+        const previous = this.getAll(key);
+        this.cache[key] = JSON.stringify(items);
+        this.receiveChanges(key, previous, items);
+    },
+
+    /**
+     * Parse a collection payload from another tab
+     * @param {string|null} data - JSON payload
+     * @returns {Array} Items (empty if unreadable)
+     */
+    parseItems(data) {
+        try {
+            const items = JSON.parse(data);
+            return Array.isArray(items) ? items : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Work out which records another tab changed and pass them on.
+     * Changes arriving close together (one operation writes several
+     * collections) reach listeners as one batch.
+     * @param {string} key - Collection key
+     * @param {Array} previous - Items before the change
+     * @param {Array} items - Items after the change
+     */
+    receiveChanges(key, previous, items) {
+        this.remoteChanges.push(...this.diffItems(key, previous, items));
+
+        if (this.remoteChanges.length === 0 || this.remoteTimer) return;
+
+        this.remoteTimer = setTimeout(() => {
+            const changes = this.remoteChanges;
+            this.remoteChanges = [];
+            this.remoteTimer = null;
+
+            this.remoteListeners.forEach(listener => {
+                try {
+                    listener(changes);
+                } catch (e) {
+                    console.error('Error in remote change listener:', e);
+                }
+            });
+        }, 100);
+    },
+
+    /**
+     * Get the stored schema version (0 for data saved before versioning)
+     * @returns {number} Schema version
+     */
+    getSchemaVersion() {
+        const record = this.getById(this.KEYS.SETTINGS, 'schema');
+        return record ? record.version : 0;
+    },
+
+    /**
+     * Run every migration newer than the stored schema version, in order
+     * @returns {Promise} Resolves when the data is up to date
+     */
+    async migrate() {
+        const current = this.getSchemaVersion();
+
+        if (current > this.SCHEMA_VERSION) {
+            this.reportProblem(
+                this.KEYS.SETTINGS,
+                `Data disimpan oleh versi aplikasi yang lebih baru (skema v${current}, aplikasi v${this.SCHEMA_VERSION})`
+            );
+            return;
+        }
+
+        if (current === this.SCHEMA_VERSION) return;
+
+        await this.applyMigrations(current);
+
+        const settings = this.getAll(this.KEYS.SETTINGS).filter(item => item.id !== 'schema');
+        settings.push({ id: 'schema', version: this.SCHEMA_VERSION, migratedAt: new Date().toISOString() });
+        this.save(this.KEYS.SETTINGS, settings);
+    },
+
+    /**
+     * Run the migration steps after a given version, in order. Steps only
+     * fill in missing fields, so they are safe on data that is partly
+     * up to date (such as an imported backup next to current data).
+     * @param {number} fromVersion - Version the data is at
+     * @returns {Promise} Resolves when every step has run
+     */
+    async applyMigrations(fromVersion) {
+        const migrations = this.MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .sort((a, b) => a.version - b.version);
+
+        for (const migration of migrations) {
+            await migration.migrate(this);
+            console.log(`🔧 Migrated data to v${migration.version}: ${migration.description}`);
+        }
     },
 
     /**
-     * Initialize database with empty collections
+     * Add missing fields to every record of a collection (used by migrations)
+     * @param {string} key - Collection key
+     * @param {Function} getDefaults - Returns default fields for a record
+     */
+    fillDefaults(key, getDefaults) {
+        const items = this.getAll(key).map(item => {
+            const defaults = getDefaults(item);
+            const missing = Object.keys(defaults).filter(field => item[field] === undefined);
+            if (missing.length === 0) return item;
+
+            const filled = { ...item };
+            missing.forEach(field => { filled[field] = defaults[field]; });
+            return filled;
+        });
+
+        this.save(key, items);
+    },
+
+    /**
+     * Move records that aren't recognisable (no ID, or no tournament for
+     * tournament data) out of their collection into quarantine
      */
-    init() {
+    checkIntegrity() {
         Object.values(this.KEYS).forEach(key => {
-            if (!localStorage.getItem(key)) {
-                localStorage.setItem(key, JSON.stringify([]));
+            const items = this.getAll(key);
+            const invalid = items.filter(item => !this.isRecord(key, item));
+            if (invalid.length === 0) return;
+
+            this.save(key, items.filter(item => this.isRecord(key, item)));
+            this.quarantine(key, `${invalid.length} record tidak dikenali di ${key} dipindahkan ke karantina`, invalid);
+        });
+    },
+
+    /**
+     * Check if a stored value looks like a record of a collection
+     * @param {string} key - Collection key
+     * @param {*} item - Stored value
+     * @returns {boolean} Is a valid record
+     */
+    isRecord(key, item) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) return false;
+        if (typeof item.id !== 'string' && typeof item.id !== 'number') return false;
+        return !this.CHILD_KEYS.includes(key) || typeof item.tournamentId === 'string';
+    },
+
+    /**
+     * Keep a corrupt or unrecognised payload under settings so it can be
+     * recovered, and report it
+     * @param {string} key - Collection the payload came from
+     * @param {string} message - What was wrong
+     * @param {*} payload - Raw payload
+     */
+    quarantine(key, message, payload) {
+        const settings = this.getAll(this.KEYS.SETTINGS);
+        const record = settings.find(item => item.id === 'quarantine') || { id: 'quarantine', items: [] };
+
+        record.items = [...record.items, { key, message, payload, detectedAt: new Date().toISOString() }];
+        this.save(this.KEYS.SETTINGS, [...settings.filter(item => item.id !== 'quarantine'), record]);
+
+        this.reportProblem(key, message);
+    },
+
+    /**
+     * Report a data problem to the console and to the page (see getProblems)
+     * @param {string} key - Collection key
+     * @param {string} message - Problem description
+     */
+    reportProblem(key, message) {
+        console.error(`Data problem in ${key}:`, message);
+        this.problems.push({ key, message, detectedAt: new Date().toISOString() });
+    },
+
+    /**
+     * Get the data problems found during this session
+     * @returns {Array} Problems ({ key, message, detectedAt })
+     */
+    getProblems() {
+        return this.problems;
+    },
+
+    /**
+     * Get payloads moved to quarantine, for recovery
+     * @returns {Array} Quarantined payloads ({ key, message, payload, detectedAt })
+     */
+    getQuarantine() {
+        const record = this.getById(this.KEYS.SETTINGS, 'quarantine');
+        return record ? record.items : [];
+    },
+
+    /**
+     * Open the IndexedDB database, creating one store per collection
+     * with a tournamentId index
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    openIndexedDB() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not supported'));
+                return;
             }
+
+            const request = indexedDB.open(this.IDB_NAME, this.IDB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const idb = request.result;
+                Object.values(this.KEYS).forEach(key => {
+                    if (!idb.objectStoreNames.contains(key)) {
+                        const store = idb.createObjectStore(key, { keyPath: 'id' });
+                        store.createIndex('tournamentId', 'tournamentId', { unique: false });
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    },
+
+    /**
+     * Copy tb_* collections from localStorage into IndexedDB once,
+     * then free the localStorage space
+     */
+    async migrateFromLocalStorage() {
+        const keys = Object.values(this.KEYS).filter(key => localStorage.getItem(key) !== null);
+        if (keys.length === 0) return;
+
+        // Only recognisable records move; anything else is quarantined under settings
+        this.checkIntegrity();
+
+        for (const key of Object.values(this.KEYS)) {
+            await this.writeStore(key, this.getAll(key), []);
+        }
+
+        Object.values(this.KEYS).forEach(key => localStorage.removeItem(key));
+        console.log('📦 Data migrated from localStorage to IndexedDB');
+    },
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - Request
+     * @returns {Promise} Request result
+     */
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Read a whole IndexedDB store
+     * @param {string} key - Collection key
+     * @returns {Promise<Array>} Stored items
+     */
+    readStore(key) {
+        return this.request(this.idb.transaction(key, 'readonly').objectStore(key).getAll());
+    },
+
+    /**
+     * Write changed records to an IndexedDB store in one transaction
+     * @param {string} key - Collection key
+     * @param {Array} puts - Records to add or replace
+     * @param {Array} deletes - IDs to remove
+     * @returns {Promise} Resolves when the transaction commits
+     */
+    writeStore(key, puts, deletes) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.idb.transaction(key, 'readwrite');
+            const store = transaction.objectStore(key);
+
+            puts.forEach(item => store.put(item));
+            deletes.forEach(id => store.delete(id));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Send the records that differ between two versions of a collection
+     * to IndexedDB or the sync server. Writes start right away, so they
+     * are stored in order. A write that fails is rolled back in the cache
+     * and reported through subscribeSyncErrors. On a sync server, local
+     * collections (see LOCAL_KEYS) only live in the cache.
+     * @param {string} key - Collection key
+     * @param {Array} previous - Items before the save
+     * @param {Array} items - Items after the save
+     */
+    persist(key, previous, items) {
+        if (this.backend === 'memory') return;
+        if (this.backend === 'remote' && this.LOCAL_KEYS.includes(key)) return;
+
+        const previousById = new Map(previous.map(item => [item.id, item]));
+        const ids = new Set(items.map(item => item.id));
+
+        const puts = items.filter(item => {
+            const before = previousById.get(item.id);
+            return !before || JSON.stringify(before) !== JSON.stringify(item);
         });
-        console.log('📦 Database initialized');
+        const deletes = [...previousById.keys()].filter(id => !ids.has(id));
+        if (puts.length === 0 && deletes.length === 0) return;
+
+        const stored = this.backend === 'remote'
+            ? this.writeRemote(key, puts, deletes, previousById)
+            : this.writeStore(key, puts, deletes).then(() => {
+                if (this.channel) this.channel.postMessage({ key });
+            });
+
+        const write = stored
+            .catch(e => {
+                console.error('Error saving to database:', e);
+                let message = `Gagal menyimpan ke database (${e.message})`;
+                if (this.backend === 'remote') {
+                    message = e.status ? e.message : 'Server sinkronisasi tidak dapat dihubungi';
+                }
+                this.rollback(key, [
+                    ...puts.map(item => ({ id: item.id, written: item, previous: previousById.get(item.id) || null })),
+                    ...deletes.map(id => ({ id, written: null, previous: previousById.get(id) }))
+                ], message);
+            })
+            .finally(() => this.pendingWrites.delete(write));
+
+        this.pendingWrites.add(write);
+    },
+
+    /**
+     * List the records that differ between two versions of a collection
+     * @param {string} key - Collection key
+     * @param {Array} previous - Items before
+     * @param {Array} items - Items after
+     * @returns {Array} Changes ({ action, key, before, after })
+     */
+    diffItems(key, previous, items) {
+        const previousById = new Map(previous.map(item => [item.id, item]));
+        const ids = new Set(items.map(item => item.id));
+        const changes = [];
+
+        items.forEach(item => {
+            const before = previousById.get(item.id) || null;
+            if (before && JSON.stringify(before) === JSON.stringify(item)) return;
+            changes.push({ action: before ? 'update' : 'insert', key, before, after: item });
+        });
+
+        previous
+            .filter(item => !ids.has(item.id))
+            .forEach(item => changes.push({ action: 'delete', key, before: item, after: null }));
+
+        return changes;
+    },
+
+    /**
+     * Show a read-only copy of tournament data received from elsewhere
+     * (spectator mode). Switches to an in-memory backend, so nothing is
+     * stored and other tabs' writes no longer come in.
+     * @param {Object} data - Collections by KEYS name
+     * @returns {Array} Changes from the previous copy ({ action, key, before, after })
+     */
+    loadSnapshot(data) {
+        if (this.backend !== 'memory') {
+            if (this.channel) this.channel.close();
+            clearInterval(this.pollTimer);
+            this.channel = null;
+            this.backend = 'memory';
+            Object.values(this.KEYS).forEach(key => { this.cache[key] = JSON.stringify([]); });
+        }
+
+        const changes = [];
+        Object.entries(data).forEach(([name, items]) => {
+            const key = this.KEYS[name];
+            if (!key) return;
+
+            changes.push(...this.diffItems(key, this.getAll(key), items));
+            this.cache[key] = JSON.stringify(items);
+        });
+
+        return changes;
+    },
+
+    /**
+     * Switch storage to a sync server, or back to this browser with null.
+     * Takes effect when the page is next loaded.
+     * @param {string|null} url - Server URL, e.g. http://192.168.1.10:3001
+     * @returns {Promise<Object|null>} Server info
+     * @throws {Error} If the server can't be reached
+     */
+    async useRemote(url) {
+        if (!url) {
+            localStorage.removeItem(this.REMOTE_URL_KEY);
+            return null;
+        }
+
+        const remoteUrl = url.trim().replace(/\/+$/, '');
+        const info = await this.fetchRemote('GET', '/api', undefined, remoteUrl);
+        if (info.app !== 'tournament-bracket') {
+            throw new Error('Alamat ini bukan server Tournament Bracket');
+        }
+
+        localStorage.setItem(this.REMOTE_URL_KEY, remoteUrl);
+        return info;
+    },
+
+    /**
+     * Get the sync server this browser is set up to use
+     * @returns {string|null} Server URL
+     */
+    getRemoteUrl() {
+        return localStorage.getItem(this.REMOTE_URL_KEY);
+    },
+
+    /**
+     * Load every collection from the sync server into the cache
+     * @param {string} url - Server URL
+     */
+    async openRemote(url) {
+        this.remoteUrl = url;
+
+        // Changes made while the collections load are polled for again
+        const info = await this.fetchRemote('GET', '/api');
+        const collections = {};
+        for (const key of Object.values(this.KEYS)) {
+            collections[key] = this.LOCAL_KEYS.includes(key) ? [] : await this.fetchRemote('GET', this.getRemotePath(key));
+        }
+
+        Object.entries(collections).forEach(([key, items]) => {
+            this.cache[key] = JSON.stringify(items);
+        });
+        this.remoteSeq = info.seq;
+        this.backend = 'remote';
+    },
+
+    /**
+     * Call the sync server
+     * @param {string} method - HTTP method
+     * @param {string} path - API path
+     * @param {*} body - JSON body
+     * @param {string} url - Server URL (defaults to the connected one)
+     * @param {string|null} token - Session token sent as a bearer token
+     * @returns {Promise<*>} Response body
+     * @throws {Error} With the server's message (and HTTP status) when the request fails
+     */
+    async fetchRemote(method, path, body, url = this.remoteUrl, token = null) {
+        const headers = body === undefined ? {} : { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(url + path, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        const data = response.status === 204 ? null : await response.json();
+        if (!response.ok) {
+            const error = new Error(data && data.error ? data.error : `HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    },
+
+    /**
+     * Get this browser's login session tokens, by tournament ID. The sync
+     * server only accepts writes to protected tournaments with one.
+     * @returns {Object} Tokens by tournament ID
+     */
+    getSessionTokens() {
+        try {
+            const sessions = JSON.parse(sessionStorage.getItem('tb_admin_sessions') || '{}');
+            return Object.fromEntries(Object.entries(sessions).map(([id, session]) => [id, session.token]));
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Get a collection's API path
+     * @param {string} key - Collection key
+     * @returns {string} Path, e.g. /api/matches
+     */
+    getRemotePath(key) {
+        return `/api/${key.replace(/^tb_/, '')}`;
+    },
+
+    /**
+     * Send changed records to the sync server in one batch, each with the
+     * updatedAt it was based on so the server can spot concurrent edits.
+     * Batches are sent one after another, in order.
+     * @param {string} key - Collection key
+     * @param {Array} puts - Records to add or replace
+     * @param {Array} deletes - IDs to remove
+     * @param {Map} previousById - Records before the save
+     * @returns {Promise} Resolves when the server has answered
+     */
+    writeRemote(key, puts, deletes, previousById) {
+        const collection = key.replace(/^tb_/, '');
+        const operations = [
+            ...puts.map(record => ({
+                method: 'PUT',
+                collection,
+                id: record.id,
+                record,
+                baseUpdatedAt: previousById.has(record.id) ? previousById.get(record.id).updatedAt : null
+            })),
+            ...deletes.map(id => ({
+                method: 'DELETE',
+                collection,
+                id,
+                baseUpdatedAt: previousById.get(id).updatedAt
+            }))
+        ];
+
+        // Sent with the sessions active when the change was made (a password
+        // change replaces this browser's token before the batch goes out)
+        const sessions = this.getSessionTokens();
+
+        const send = async () => {
+            const { results } = await this.fetchRemote('POST', '/api/batch', { operations, sessions });
+            results.forEach((result, index) => {
+                if (result.status === 409) {
+                    this.resolveConflict(key, operations[index].id, result.current, result.error);
+                } else if (result.status >= 400 && result.status !== 404) {
+                    const { id, record = null } = operations[index];
+                    this.rollback(key, [{ id, written: record, previous: previousById.get(id) || null }], result.error);
+                }
+            });
+        };
+
+        this.remoteQueue = this.remoteQueue.then(send, send);
+        return this.remoteQueue;
+    },
+
+    /**
+     * Undo a write that wasn't stored and tell the user. Records changed
+     * again since keep their newer version.
+     * @param {string} key - Collection key
+     * @param {Array} records - { id, written, previous } per record (null
+     *   written for a delete, null previous for a new record)
+     * @param {string} message - Why the write failed
+     */
+    rollback(key, records, message) {
+        records.forEach(({ id, written, previous }) => {
+            const current = this.getAll(key).find(item => item.id === id) || null;
+            if (JSON.stringify(current) === JSON.stringify(written)) {
+                this.receiveRecord(key, id, previous);
+            }
+        });
+        this.reportSyncError({ key, id: records[0].id, message: `${message}; perubahan dibatalkan` });
+    },
+
+    /**
+     * Take the server's version of a record another device changed first
+     * @param {string} key - Collection key
+     * @param {string} id - Record ID
+     * @param {Object|null} current - Server's record, null if deleted there
+     * @param {string} reason - Server's message
+     */
+    resolveConflict(key, id, current, reason) {
+        this.receiveRecord(key, id, current);
+        this.reportSyncError({ key, id, message: `${reason}; perubahan Anda diganti dengan data server` });
+    },
+
+    /**
+     * Put a record the sync server sent into the cache (null removes it)
+     * and tell listeners, as for other devices' changes
+     * @param {string} key - Collection key
+     * @param {string} id - Record ID
+     * @param {Object|null} current - Server's record
+     */
+    receiveRecord(key, id, current) {
+        const previous = this.getAll(key);
+        const items = previous.filter(item => item.id !== id || current);
+        const index = items.findIndex(item => item.id === id);
+
+        if (current && index !== -1) {
+            items[index] = current;
+        } else if (current) {
+            items.push(current);
+        }
+
+        this.cache[key] = JSON.stringify(items);
+        this.receiveChanges(key, previous, items);
+    },
+
+    /**
+     * Fetch changes other devices made on the sync server
+     */
+    async pollRemote() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            const result = await this.fetchRemote('GET', `/api/changes?since=${this.remoteSeq}`);
+
+            // Own writes still on their way would be overwritten; try next time
+            if (this.pendingWrites.size > 0) return;
+
+            if (result.reset) {
+                for (const key of Object.values(this.KEYS).filter(key => !this.LOCAL_KEYS.includes(key))) {
+                    const previous = this.getAll(key);
+                    const items = await this.fetchRemote('GET', this.getRemotePath(key));
+                    this.cache[key] = JSON.stringify(items);
+                    this.receiveChanges(key, previous, items);
+                }
+            } else {
+                Object.values(this.KEYS).forEach(key => {
+                    const changes = result.changes.filter(change => change.collection === key.replace(/^tb_/, ''));
+                    if (changes.length === 0) return;
+
+                    const previous = this.getAll(key);
+                    const byId = new Map(previous.map(item => [item.id, item]));
+                    changes.forEach(change => {
+                        if (change.record) byId.set(change.id, change.record);
+                        else byId.delete(change.id);
+                    });
+
+                    const items = [...byId.values()];
+                    this.cache[key] = JSON.stringify(items);
+                    this.receiveChanges(key, previous, items);
+                });
+            }
+
+            this.remoteSeq = result.seq;
+        } catch (e) {
+            console.warn('Sync server unreachable:', e.message);
+        } finally {
+            this.polling = false;
+        }
+    },
+
+    /**
+     * Wait until every write so far is stored (call before leaving the page)
+     * @returns {Promise} Resolves when all writes are committed
+     */
+    flush() {
+        return Promise.all([...this.pendingWrites]);
     },
 
     /**
@@ -33,14 +1053,57 @@ const DB = {
      * @returns {Array} Collection items
      */
     getAll(key) {
+        const data = this.readRaw(key);
+        if (data === null || data === undefined) return [];
+
         try {
-            return JSON.parse(localStorage.getItem(key)) || [];
+            const items = JSON.parse(data);
+            if (!Array.isArray(items)) {
+                throw new Error('bukan daftar record');
+            }
+            return items;
         } catch (e) {
-            console.error('Error reading from database:', e);
+            // Keep the unreadable payload and start the collection afresh,
+            // so the problem is reported once instead of on every read
+            this.save(key, []);
+            this.quarantine(key, `Data ${key} tidak dapat dibaca (${e.message}), isi aslinya disimpan di karantina`, data);
             return [];
         }
     },
 
+    /**
+     * Get the stored JSON of a collection
+     * @param {string} key - Collection key
+     * @returns {string|null|undefined} Collection JSON
+     */
+    readRaw(key) {
+        return this.backend !== 'localStorage' ? this.cache[key] : localStorage.getItem(key);
+    },
+
+    /**
+     * Get a collection indexed by id and by tournamentId. The collection is
+     * only parsed again once its stored JSON changes, so lookups don't scan
+     * every record. Indexed records are shared: hand out copies only.
+     * @param {string} key - Collection key
+     * @returns {Object} { byId, byTournament } Maps of records
+     */
+    getIndex(key) {
+        const cached = this.indexes[key];
+        if (cached && cached.data === this.readRaw(key)) return cached;
+
+        const byId = new Map();
+        const byTournament = new Map();
+        this.getAll(key).forEach(item => {
+            byId.set(item.id, item);
+            if (!byTournament.has(item.tournamentId)) byTournament.set(item.tournamentId, []);
+            byTournament.get(item.tournamentId).push(item);
+        });
+
+        // Read after getAll, which may have reset an unreadable collection
+        this.indexes[key] = { data: this.readRaw(key), byId, byTournament };
+        return this.indexes[key];
+    },
+
     /**
      * Get item by ID
      * @param {string} key - Collection key
@@ -48,18 +1111,20 @@ const DB = {
      * @returns {Object|null} Found item or null
      */
     getById(key, id) {
-        const items = this.getAll(key);
-        return items.find(item => item.id === id) || null;
+        const item = this.getIndex(key).byId.get(id);
+        return item ? JSON.parse(JSON.stringify(item)) : null;
     },
 
     /**
-     * Find items by criteria
+     * Find items by criteria, using the tournamentId index when possible
      * @param {string} key - Collection key
      * @param {Object} criteria - Search criteria
      * @returns {Array} Matching items
      */
     find(key, criteria) {
-        const items = this.getAll(key);
+        const items = criteria.tournamentId !== undefined
+            ? JSON.parse(JSON.stringify(this.getIndex(key).byTournament.get(criteria.tournamentId) || []))
+            : this.getAll(key);
         return items.filter(item => {
             return Object.entries(criteria).every(([field, value]) => {
                 return item[field] === value;
@@ -67,6 +1132,92 @@ const DB = {
         });
     },
 
+    /**
+     * Get all items from a collection, read from storage
+     * @param {string} key - Collection key
+     * @returns {Promise<Array>} Collection items
+     */
+    async getAllAsync(key) {
+        await this.ready;
+        return this.backend === 'indexedDB' ? this.readStore(key) : this.getAll(key);
+    },
+
+    /**
+     * Get item by ID, read from storage
+     * @param {string} key - Collection key
+     * @param {string|number} id - Item ID
+     * @returns {Promise<Object|null>} Found item or null
+     */
+    async getByIdAsync(key, id) {
+        await this.ready;
+        if (this.backend !== 'indexedDB') return this.getById(key, id);
+
+        const item = await this.request(this.idb.transaction(key, 'readonly').objectStore(key).get(id));
+        return item || null;
+    },
+
+    /**
+     * Find items by criteria, using the tournamentId index when possible
+     * @param {string} key - Collection key
+     * @param {Object} criteria - Search criteria
+     * @returns {Promise<Array>} Matching items
+     */
+    async findAsync(key, criteria) {
+        await this.ready;
+        if (this.backend !== 'indexedDB') return this.find(key, criteria);
+
+        const store = this.idb.transaction(key, 'readonly').objectStore(key);
+        const items = criteria.tournamentId !== undefined
+            ? await this.request(store.index('tournamentId').getAll(criteria.tournamentId))
+            : await this.request(store.getAll());
+
+        return items.filter(item => {
+            return Object.entries(criteria).every(([field, value]) => {
+                return item[field] === value;
+            });
+        });
+    },
+
+    /**
+     * Insert new item and wait until it is stored
+     * @param {string} key - Collection key
+     * @param {Object} item - Item to insert
+     * @returns {Promise<Object>} Inserted item with ID
+     */
+    async insertAsync(key, item) {
+        await this.ready;
+        const inserted = this.insert(key, item);
+        await this.flush();
+        return inserted;
+    },
+
+    /**
+     * Update existing item and wait until it is stored
+     * @param {string} key - Collection key
+     * @param {string|number} id - Item ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object|null>} Updated item or null
+     */
+    async updateAsync(key, id, updates) {
+        await this.ready;
+        const updated = this.update(key, id, updates);
+        await this.flush();
+        return updated;
+    },
+
+    /**
+     * Delete item and wait until it is removed from storage
+     * @param {string} key - Collection key
+     * @param {string|number} id - Item ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteAsync(key, id) {
+        await this.ready;
+        const deleted = this.delete(key, id);
+        await this.flush();
+        return deleted;
+    },
+
     /**
      * Insert new item
      * @param {string} key - Collection key
@@ -83,6 +1234,7 @@ const DB = {
         };
         items.push(newItem);
         this.save(key, items);
+        this.notify({ action: 'insert', key, before: null, after: newItem });
         return newItem;
     },
 
@@ -99,6 +1251,7 @@ const DB = {
         
         if (index === -1) return null;
         
+        const before = items[index];
         items[index] = {
             ...items[index],
             ...updates,
@@ -106,6 +1259,7 @@ const DB = {
         };
         
         this.save(key, items);
+        this.notify({ action: 'update', key, before, after: items[index] });
         return items[index];
     },
 
@@ -122,6 +1276,7 @@ const DB = {
         if (filteredItems.length === items.length) return false;
         
         this.save(key, filteredItems);
+        this.notify({ action: 'delete', key, before: items.find(item => item.id === id), after: null });
         return true;
     },
 
@@ -141,6 +1296,9 @@ const DB = {
         
         const deletedCount = items.length - filteredItems.length;
         this.save(key, filteredItems);
+        items
+            .filter(item => !filteredItems.includes(item))
+            .forEach(item => this.notify({ action: 'delete', key, before: item, after: null }));
         return deletedCount;
     },
 
@@ -150,6 +1308,13 @@ const DB = {
      * @param {Array} items - Items to save
      */
     save(key, items) {
+        if (this.backend !== 'localStorage') {
+            const previous = this.getAll(key);
+            this.cache[key] = JSON.stringify(items);
+            this.persist(key, previous, items);
+            return;
+        }
+
         try {
             localStorage.setItem(key, JSON.stringify(items));
         } catch (e) {
@@ -158,6 +1323,60 @@ const DB = {
         }
     },
 
+    /**
+     * Register a listener called after every insert, update and delete
+     * @param {Function} listener - Receives { action, key, before, after }
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    },
+
+    /**
+     * Register a listener called when other tabs change data
+     * @param {Function} listener - Receives an array of { action, key, before, after }
+     */
+    subscribeRemote(listener) {
+        this.remoteListeners.push(listener);
+    },
+
+    /**
+     * Register a listener called when a write isn't stored: the sync
+     * server rejected it, or IndexedDB or the network failed
+     * @param {Function} listener - Receives { key, id, message }
+     */
+    subscribeSyncErrors(listener) {
+        this.syncErrorListeners.push(listener);
+    },
+
+    /**
+     * Tell listeners about a rejected write
+     * @param {Object} error - { key, id, message }
+     */
+    reportSyncError(error) {
+        console.error(`Sync error in ${error.key}:`, error.message);
+        this.syncErrorListeners.forEach(listener => {
+            try {
+                listener(error);
+            } catch (e) {
+                console.error('Error in sync error listener:', e);
+            }
+        });
+    },
+
+    /**
+     * Tell listeners about a write
+     * @param {Object} change - { action, key, before, after }
+     */
+    notify(change) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (e) {
+                console.error('Error in database listener:', e);
+            }
+        });
+    },
+
     /**
      * Generate unique ID
      * @returns {string} Unique ID
@@ -171,7 +1390,7 @@ const DB = {
      */
     clearAll() {
         Object.values(this.KEYS).forEach(key => {
-            localStorage.setItem(key, JSON.stringify([]));
+            this.save(key, []);
         });
         console.log('🗑️ Database cleared');
     },
@@ -202,5 +1421,5 @@ const DB = {
     }
 };
 
-// Initialize database on load
-DB.init();
+// Initialize database on load (pages wait for DB.ready)
+DB.ready = DB.init();
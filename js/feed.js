@@ -0,0 +1,206 @@
+/**
+ * ====================================
+ * LIVE FEED SERVICE
+ * Push match events to spectators through the sync server
+ * ====================================
+ */
+
+const FeedService = {
+    /**
+     * Feed server this browser broadcasts to, remembered per browser
+     */
+    FEED_URL_KEY: 'tb_feed_url',
+
+    /**
+     * Key that proves this browser published a feed, for servers that
+     * don't store the tournament (see server Feed.authorize)
+     */
+    FEED_KEY_KEY: 'tb_feed_key',
+
+    /**
+     * Fields spectators receive; anything else (accounts, contact details,
+     * players' dates of birth) stays on the organiser's devices.
+     * Matches and results are sent whole.
+     */
+    PUBLIC_FIELDS: {
+        TOURNAMENTS: [
+            'id', 'name', 'type', 'format', 'grandFinalReset', 'protectedSeeding', 'thirdPlaceMatch',
+            'bestOf', 'finalBestOf', 'forfeitScore', 'groupCount', 'qualifiersPerGroup', 'swissRounds',
+            'bracketSize', 'losersRounds', 'status', 'participantCount', 'maxParticipants',
+            'currentRound', 'totalRounds', 'description', 'rules', 'startDate', 'endDate',
+            'scheduleSettings', 'createdAt', 'updatedAt'
+        ],
+        PARTICIPANTS: [
+            'id', 'tournamentId', 'name', 'logo', 'seed', 'club', 'group', 'status',
+            'eliminatedAtRound', 'players', 'createdAt', 'updatedAt'
+        ]
+    },
+    PUBLIC_PLAYER_FIELDS: ['id', 'name', 'number', 'position'],
+
+    // Events of the operation in progress, published once it finishes
+    pending: [],
+
+    /**
+     * Get the feed server this browser broadcasts to
+     * @returns {string|null} Server URL
+     */
+    getFeedUrl() {
+        return localStorage.getItem(this.FEED_URL_KEY);
+    },
+
+    /**
+     * Get this browser's feed key, created on first use
+     * @returns {string} Feed key
+     */
+    getFeedKey() {
+        let key = localStorage.getItem(this.FEED_KEY_KEY);
+        if (!key) {
+            key = TournamentService.generateAdminToken();
+            localStorage.setItem(this.FEED_KEY_KEY, key);
+        }
+        return key;
+    },
+
+    /**
+     * Start broadcasting a tournament: remember the server and send the
+     * current state so spectators can follow from now on
+     * @param {string} url - Server URL
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Promise<number>} Spectators currently watching
+     */
+    async start(url, tournamentId) {
+        const feedUrl = url.trim().replace(/\/+$/, '');
+        const spectators = await this.publish(feedUrl, tournamentId, []);
+
+        localStorage.setItem(this.FEED_URL_KEY, feedUrl);
+        console.log('📡 Live feed started:', feedUrl);
+        return spectators;
+    },
+
+    /**
+     * Stop broadcasting from this browser
+     */
+    stop() {
+        localStorage.removeItem(this.FEED_URL_KEY);
+        console.log('📡 Live feed stopped');
+    },
+
+    /**
+     * Get the link spectators open to follow a tournament
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} url - Feed server URL (defaults to the configured one)
+     * @returns {string} Spectator link
+     */
+    getSpectatorUrl(tournamentId, url = this.getFeedUrl()) {
+        return `${url}/bracket.html?id=${encodeURIComponent(tournamentId)}&feed=${encodeURIComponent(url)}`;
+    },
+
+    /**
+     * Queue a match event (called through BracketService.subscribe).
+     * Every event of one score update is published together, with the
+     * state after the whole update.
+     * @param {Object} event - { type, tournamentId, ... }
+     */
+    record(event) {
+        if (!this.getFeedUrl()) return;
+
+        if (this.pending.length === 0) {
+            Promise.resolve().then(() => this.flush());
+        }
+        this.pending.push(event);
+    },
+
+    /**
+     * Publish queued events per tournament
+     */
+    flush() {
+        const events = this.pending;
+        this.pending = [];
+
+        const tournamentIds = [...new Set(events.map(event => event.tournamentId))];
+        tournamentIds.forEach(tournamentId => {
+            this.publish(this.getFeedUrl(), tournamentId, events.filter(event => event.tournamentId === tournamentId))
+                .catch(e => console.warn('Live feed unreachable:', e.message));
+        });
+    },
+
+    /**
+     * Send events with the tournament's current state to the feed server
+     * @param {string} url - Feed server URL
+     * @param {string} tournamentId - Tournament ID
+     * @param {Array} events - Match events
+     * @returns {Promise<number>} Spectators reached
+     */
+    async publish(url, tournamentId, events) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = TournamentService.getSessionToken(tournamentId);
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(`${url}/api/feed/${encodeURIComponent(tournamentId)}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ events, snapshot: this.getSnapshot(tournamentId), key: this.getFeedKey() })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data.spectators;
+    },
+
+    /**
+     * Get the public state of a tournament (PUBLIC_FIELDS only)
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object} Collections by KEYS name
+     */
+    getSnapshot(tournamentId) {
+        // Staff publish too, so this skips the organiser-only export
+        const data = BackupService.getTournamentData(tournamentId);
+
+        data.TOURNAMENTS = data.TOURNAMENTS.map(tournament => this.pick(tournament, this.PUBLIC_FIELDS.TOURNAMENTS));
+        data.PARTICIPANTS = data.PARTICIPANTS.map(participant => ({
+            ...this.pick(participant, this.PUBLIC_FIELDS.PARTICIPANTS),
+            players: (participant.players || []).map(player => this.pick(player, this.PUBLIC_PLAYER_FIELDS))
+        }));
+
+        return data;
+    },
+
+    /**
+     * Copy only the given fields of a record
+     * @param {Object} record - Record
+     * @param {Array} fields - Field names
+     * @returns {Object} Copy
+     */
+    pick(record, fields) {
+        return Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
+    },
+
+    /**
+     * Follow a tournament's feed as a spectator
+     * @param {string} url - Feed server URL
+     * @param {string} tournamentId - Tournament ID
+     * @param {Function} onMessage - Receives { events, snapshot }
+     * @param {Function} onStatus - Receives true when connected, false when the connection drops
+     * @returns {EventSource} Open stream (the browser reconnects by itself)
+     */
+    follow(url, tournamentId, onMessage, onStatus = () => {}) {
+        const source = new EventSource(`${url}/api/feed/${encodeURIComponent(tournamentId)}`);
+
+        source.onopen = () => onStatus(true);
+        source.onerror = () => onStatus(false);
+        source.onmessage = (e) => {
+            try {
+                onMessage(JSON.parse(e.data));
+            } catch (err) {
+                console.error('Error in live feed message:', err);
+            }
+        };
+
+        return source;
+    }
+};
+
+// Broadcast every match event while a feed is set up
+BracketService.subscribe(event => FeedService.record(event));
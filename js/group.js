@@ -0,0 +1,516 @@
+/**
+ * ====================================
+ * GROUP STAGE SERVICE
+ * Round-robin fixtures and standings
+ * ====================================
+ */
+
+const GroupService = {
+    /**
+     * Points awarded per result
+     */
+    POINTS: {
+        win: 3,
+        draw: 1,
+        loss: 0
+    },
+
+    /**
+     * Get group name for an index (0 → A, 1 → B, ...)
+     * @param {number} index - Group index
+     * @returns {string} Group name
+     */
+    getGroupName(index) {
+        return String.fromCharCode(65 + index);
+    },
+
+    /**
+     * Check if match belongs to a group stage
+     * @param {Object} match - Match object
+     * @returns {boolean} Is group match
+     */
+    isGroupMatch(match) {
+        return match.bracket === 'group';
+    },
+
+    /**
+     * Get participants per group, the first groups taking the remainder
+     * @param {number} participantCount - Total participants
+     * @param {number} groupCount - Number of groups
+     * @returns {Array} Group sizes
+     */
+    getGroupSizes(participantCount, groupCount) {
+        const base = Math.floor(participantCount / groupCount);
+        const remainder = participantCount % groupCount;
+        return Array.from({ length: groupCount }, (_, i) => base + (i < remainder ? 1 : 0));
+    },
+
+    /**
+     * Number of matchdays a round-robin group of this size needs
+     * @param {number} size - Group size
+     * @returns {number} Matchdays
+     */
+    getMatchdayCount(size) {
+        return size % 2 === 0 ? size - 1 : size;
+    },
+
+    /**
+     * Validate group configuration
+     * @param {number} participantCount - Total participants
+     * @param {number} groupCount - Number of groups
+     * @throws {Error} If validation fails
+     */
+    validateGroups(participantCount, groupCount) {
+        if (!Number.isInteger(groupCount) || groupCount < 1) {
+            throw new Error('Jumlah grup minimal 1');
+        }
+
+        if (Math.floor(participantCount / groupCount) < 2) {
+            throw new Error('Setiap grup minimal berisi 2 peserta');
+        }
+    },
+
+    /**
+     * Validate how many teams per group reach the knockout stage
+     * @param {number} participantCount - Total participants
+     * @param {number} groupCount - Number of groups
+     * @param {number} qualifiersPerGroup - Qualifiers per group
+     * @throws {Error} If validation fails
+     */
+    validateQualifiers(participantCount, groupCount, qualifiersPerGroup) {
+        if (!Number.isInteger(qualifiersPerGroup) || qualifiersPerGroup < 1) {
+            throw new Error('Jumlah peserta lolos per grup minimal 1');
+        }
+
+        const smallestGroup = Math.min(...this.getGroupSizes(participantCount, groupCount));
+        if (qualifiersPerGroup > smallestGroup) {
+            throw new Error(`Jumlah peserta lolos per grup maksimal ${smallestGroup}`);
+        }
+
+        if (!BracketService.isPowerOfTwo(groupCount * qualifiersPerGroup) || groupCount * qualifiersPerGroup < 2) {
+            throw new Error(
+                `Total peserta lolos (${groupCount} grup x ${qualifiersPerGroup} lolos per grup = ${groupCount * qualifiersPerGroup}) harus 2, 4, 8, 16, ...`
+            );
+        }
+    },
+
+    /**
+     * Get knockout size for a hybrid tournament
+     * @param {Object} tournament - Tournament object
+     * @returns {number} Number of qualifiers
+     */
+    getQualifierCount(tournament) {
+        return (tournament.groupCount || 1) * (tournament.qualifiersPerGroup || 2);
+    },
+
+    /**
+     * Prepare group stage (fixtures are created once participants are known)
+     * @param {Object} tournament - Tournament object
+     * @returns {number} Number of group matchdays
+     */
+    generate(tournament) {
+        const groupCount = tournament.groupCount || 1;
+        this.validateGroups(tournament.participantCount, groupCount);
+
+        const sizes = this.getGroupSizes(tournament.participantCount, groupCount);
+        const groupRounds = Math.max(...sizes.map(size => this.getMatchdayCount(size)));
+
+        DB.update(DB.KEYS.TOURNAMENTS, tournament.id, { groupRounds });
+
+        console.log(`✅ Group stage prepared: ${groupCount} group(s), ${groupRounds} matchdays`);
+        return groupRounds;
+    },
+
+    /**
+     * Draw participants into groups and create every pairing
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} Created matches
+     */
+    assignParticipants(tournamentId) {
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+        const groupCount = tournament.groupCount || 1;
+
+        // Sort participants by seed (seeded participants first)
+        const participants = ParticipantService.getByTournament(tournamentId);
+
+        // Snake draw so top seeds are spread across groups: A B C C B A ...
+        const groups = Array.from({ length: groupCount }, () => []);
+        participants.forEach((participant, index) => {
+            const pass = Math.floor(index / groupCount);
+            const position = index % groupCount;
+            const groupIndex = pass % 2 === 0 ? position : groupCount - 1 - position;
+            groups[groupIndex].push(participant);
+        });
+
+        let matchNumber = 1;
+        const matches = [];
+
+        groups.forEach((members, groupIndex) => {
+            const group = this.getGroupName(groupIndex);
+
+            members.forEach(p => {
+                DB.update(DB.KEYS.PARTICIPANTS, p.id, { group });
+            });
+
+            this.createRoundRobinPairings(members).forEach((pairings, roundIndex) => {
+                pairings.forEach(([home, away]) => {
+                    matches.push(BracketService.createMatch(tournamentId, {
+                        bracket: 'group',
+                        group,
+                        round: roundIndex + 1,
+                        matchNumber: matchNumber++,
+                        participant1Id: home.id,
+                        participant2Id: away.id,
+                        status: 'upcoming'
+                    }));
+                });
+            });
+        });
+
+        console.log(`✅ Group fixtures created: ${matches.length} matches`);
+        return matches;
+    },
+
+    /**
+     * Create round-robin pairings using the circle method
+     * @param {Array} participants - Group members
+     * @returns {Array} Pairings per matchday
+     */
+    createRoundRobinPairings(participants) {
+        // Odd groups get a placeholder; whoever meets it sits the matchday out
+        const list = participants.length % 2 === 0 ? [...participants] : [...participants, null];
+        const n = list.length;
+        const rounds = [];
+
+        for (let round = 0; round < n - 1; round++) {
+            const pairings = [];
+
+            for (let i = 0; i < n / 2; i++) {
+                const home = list[i];
+                const away = list[n - 1 - i];
+                if (!home || !away) continue;
+
+                // Swap the fixed team's side every other round so home/away is balanced
+                pairings.push(i === 0 && round % 2 === 1 ? [away, home] : [home, away]);
+            }
+
+            rounds.push(pairings);
+
+            // Keep the first entry fixed and rotate the rest clockwise
+            list.splice(1, 0, list.pop());
+        }
+
+        return rounds;
+    },
+
+    /**
+     * Handle a completed group match
+     * @param {Object} match - Completed match
+     */
+    onMatchCompleted(match) {
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, match.tournamentId);
+        const matches = DB.find(DB.KEYS.MATCHES, { tournamentId: match.tournamentId })
+            .filter(m => this.isGroupMatch(m));
+
+        const pending = matches.filter(m => m.status !== 'completed');
+        if (pending.length > 0) {
+            // Hybrid keeps currentRound for the knockout rounds
+            const currentRound = Math.min(...pending.map(m => m.round));
+            if (BracketService.isRoundRobin(tournament) && tournament.currentRound !== currentRound) {
+                DB.update(DB.KEYS.TOURNAMENTS, tournament.id, { currentRound });
+            }
+            return;
+        }
+
+        if (tournament.format === 'hybrid') {
+            this.advanceQualifiers(tournament.id);
+            return;
+        }
+
+        // Every pairing played: final table decides the podium
+        const table = this.getOverallStandings(tournament.id);
+        BracketService.finalizeTournament(
+            tournament.id,
+            table[0]?.participant.id || null,
+            table[1]?.participant.id || null,
+            table[2] ? [table[2].participant.id] : [],
+            table[3]?.participant.id || null
+        );
+    },
+
+    /**
+     * Seed the top finishers of every group into the knockout bracket
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} First knockout round matches
+     */
+    advanceQualifiers(tournamentId) {
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+        const qualifiersPerGroup = tournament.qualifiersPerGroup || 2;
+        const groups = [...new Set(
+            ParticipantService.getByTournament(tournamentId).map(p => p.group).filter(Boolean)
+        )].sort();
+
+        const standings = groups.map(group => this.getStandings(tournamentId, group));
+
+        // Everyone below the cut is out at the group stage (round 0)
+        standings.forEach(table => {
+            table.slice(qualifiersPerGroup).forEach(row => {
+                ParticipantService.eliminate(row.participant.id, 0);
+            });
+        });
+
+        const qualified = standings.map(table => table.slice(0, qualifiersPerGroup).map(row => row.participant));
+        const pairings = this.createCrossGroupPairings(qualified);
+        const firstRoundMatches = BracketService.getRoundMatches(tournamentId, 'winners', 1);
+
+        pairings.forEach((pair, index) => {
+            if (firstRoundMatches[index]) {
+                BracketService.placeParticipant(firstRoundMatches[index], 1, pair[0].id);
+                BracketService.placeParticipant(firstRoundMatches[index], 2, pair[1].id);
+            }
+        });
+
+        DB.update(DB.KEYS.TOURNAMENTS, tournamentId, {
+            status: 'knockout',
+            currentRound: 1
+        });
+
+        console.log('✅ Group qualifiers seeded into knockout bracket');
+        return BracketService.getRoundMatches(tournamentId, 'winners', 1);
+    },
+
+    /**
+     * Pair group qualifiers across groups (A1 vs B2, B1 vs A2, ...), ordering the
+     * matches so teams from the same group land in opposite halves of the bracket
+     * @param {Array} qualified - Qualified participants per group, in finishing order
+     * @returns {Array} Pairs in first round match order
+     */
+    createCrossGroupPairings(qualified) {
+        const perGroup = qualified[0].length;
+
+        // A single group is seeded like a normal bracket: 1 vs N, 2 vs N-1, ...
+        if (qualified.length === 1) {
+            return BracketService.createSeedPairings(qualified[0]);
+        }
+
+        // Odd ranks fill the top half and even ranks the bottom half (recursively),
+        // which splits both group winners and group-mates across the bracket
+        const bits = Math.log2(perGroup);
+        const rankOrder = Array.from({ length: perGroup }, (_, i) => {
+            const reversed = i.toString(2).padStart(bits, '0').split('').reverse().join('');
+            return parseInt(reversed || '0', 2) + 1;
+        });
+
+        const pairs = [];
+        rankOrder.forEach(rank => {
+            for (let g = 0; g < qualified.length; g += 2) {
+                pairs.push([qualified[g][rank - 1], qualified[g + 1][perGroup - rank]]);
+            }
+        });
+
+        return pairs;
+    },
+
+    /**
+     * Get groups with members, standings and matches
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} Groups
+     */
+    getGroups(tournamentId) {
+        const matches = DB.find(DB.KEYS.MATCHES, { tournamentId })
+            .filter(m => this.isGroupMatch(m))
+            .sort((a, b) => {
+                if (a.round !== b.round) return a.round - b.round;
+                return a.matchNumber - b.matchNumber;
+            });
+
+        const names = [...new Set(matches.map(m => m.group))].sort();
+
+        return names.map(name => {
+            const groupMatches = matches.filter(m => m.group === name);
+            const rounds = {};
+
+            groupMatches.forEach(match => {
+                if (!rounds[match.round]) {
+                    rounds[match.round] = {
+                        round: match.round,
+                        name: BracketService.getRoundName(match.round, null, 'group'),
+                        matches: []
+                    };
+                }
+
+                rounds[match.round].matches.push({
+                    ...match,
+                    participant1: ParticipantService.getById(match.participant1Id),
+                    participant2: ParticipantService.getById(match.participant2Id),
+                    winner: match.winnerId ? ParticipantService.getById(match.winnerId) : null
+                });
+            });
+
+            return {
+                name,
+                standings: this.getStandings(tournamentId, name),
+                rounds: Object.values(rounds)
+            };
+        });
+    },
+
+    /**
+     * Get standings table for one group
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} group - Group name
+     * @returns {Array} Ranked rows
+     */
+    getStandings(tournamentId, group) {
+        const participants = ParticipantService.getByTournament(tournamentId)
+            .filter(p => p.group === group);
+        const matches = DB.find(DB.KEYS.MATCHES, { tournamentId, group })
+            .filter(m => this.isGroupMatch(m) && m.status === 'completed');
+
+        const rows = this.buildTable(participants, matches);
+        return this.rankTable(rows, matches);
+    },
+
+    /**
+     * Get one table across all groups (used to rank a pure round robin)
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} Ranked rows
+     */
+    getOverallStandings(tournamentId) {
+        const groups = [...new Set(
+            ParticipantService.getByTournament(tournamentId).map(p => p.group).filter(Boolean)
+        )].sort();
+
+        // Group position first, then the usual criteria across groups
+        const positioned = groups.flatMap(group =>
+            this.getStandings(tournamentId, group).map(row => ({ ...row, groupRank: row.rank }))
+        );
+
+        return positioned
+            .sort((a, b) => a.groupRank - b.groupRank || this.compareRows(a, b))
+            .map((row, index) => ({ ...row, rank: index + 1 }));
+    },
+
+    /**
+     * Build raw table rows from completed matches
+     * @param {Array} participants - Participants in the table
+     * @param {Array} matches - Completed matches
+     * @returns {Array} Unranked rows
+     */
+    buildTable(participants, matches) {
+        const rows = {};
+        participants.forEach(participant => {
+            rows[participant.id] = {
+                participant,
+                played: 0,
+                won: 0,
+                drawn: 0,
+                lost: 0,
+                goalsFor: 0,
+                goalsAgainst: 0,
+                goalDifference: 0,
+                points: 0
+            };
+        });
+
+        matches.forEach(match => {
+            const home = rows[match.participant1Id];
+            const away = rows[match.participant2Id];
+            if (!home || !away) return;
+
+            // Forfeits may carry no score, so the outcome comes from the winner
+            const outcome = id => !match.winnerId ? 'draw' : (match.winnerId === id ? 'win' : 'loss');
+            this.applyResult(home, match.score1 || 0, match.score2 || 0, outcome(match.participant1Id));
+            this.applyResult(away, match.score2 || 0, match.score1 || 0, outcome(match.participant2Id));
+        });
+
+        return Object.values(rows);
+    },
+
+    /**
+     * Add one result to a table row
+     * @param {Object} row - Table row
+     * @param {number} scored - Goals scored
+     * @param {number} conceded - Goals conceded
+     * @param {string} outcome - 'win', 'draw' or 'loss'
+     */
+    applyResult(row, scored, conceded, outcome) {
+        row.played++;
+        row.goalsFor += scored;
+        row.goalsAgainst += conceded;
+        row.goalDifference = row.goalsFor - row.goalsAgainst;
+
+        if (outcome === 'win') {
+            row.won++;
+            row.points += this.POINTS.win;
+        } else if (outcome === 'draw') {
+            row.drawn++;
+            row.points += this.POINTS.draw;
+        } else {
+            row.lost++;
+            row.points += this.POINTS.loss;
+        }
+    },
+
+    /**
+     * Rank rows: points, then head-to-head among tied teams,
+     * then goal difference, goals scored and seed
+     * @param {Array} rows - Table rows
+     * @param {Array} matches - Completed matches
+     * @returns {Array} Ranked rows
+     */
+    rankTable(rows, matches) {
+        const byPoints = [...rows].sort((a, b) => b.points - a.points);
+        const ranked = [];
+
+        let i = 0;
+        while (i < byPoints.length) {
+            let j = i;
+            while (j < byPoints.length && byPoints[j].points === byPoints[i].points) j++;
+
+            const tied = byPoints.slice(i, j);
+            ranked.push(...(tied.length > 1 ? this.breakTie(tied, matches) : tied));
+            i = j;
+        }
+
+        return ranked.map((row, index) => ({ ...row, rank: index + 1 }));
+    },
+
+    /**
+     * Order teams level on points using their mutual results
+     * @param {Array} tied - Rows level on points
+     * @param {Array} matches - Completed matches
+     * @returns {Array} Ordered rows
+     */
+    breakTie(tied, matches) {
+        const ids = new Set(tied.map(row => row.participant.id));
+        const mutual = matches.filter(m => ids.has(m.participant1Id) && ids.has(m.participant2Id));
+        const headToHead = {};
+        this.buildTable(tied.map(row => row.participant), mutual).forEach(row => {
+            headToHead[row.participant.id] = row;
+        });
+
+        return [...tied].sort((a, b) => {
+            const h2hA = headToHead[a.participant.id];
+            const h2hB = headToHead[b.participant.id];
+
+            return (h2hB.points - h2hA.points) ||
+                (h2hB.goalDifference - h2hA.goalDifference) ||
+                (h2hB.goalsFor - h2hA.goalsFor) ||
+                this.compareRows(a, b);
+        });
+    },
+
+    /**
+     * Compare rows on overall criteria
+     * @param {Object} a - Row A
+     * @param {Object} b - Row B
+     * @returns {number} Sort order
+     */
+    compareRows(a, b) {
+        return (b.points - a.points) ||
+            (b.goalDifference - a.goalDifference) ||
+            (b.goalsFor - a.goalsFor) ||
+            ((a.participant.seed || 999) - (b.participant.seed || 999));
+    }
+};
@@ -0,0 +1,260 @@
+/**
+ * ====================================
+ * LIVE MATCH SERVICE
+ * Running score and match clock while a match is played
+ * ====================================
+ */
+
+const LiveService = {
+    /**
+     * Get the periods (halves, games...) a tournament's matches are played in
+     * @param {Object} tournament - Tournament object
+     * @returns {Object} { count, minutes, label } (minutes null for an open-ended clock)
+     */
+    getPeriods(tournament) {
+        return (TournamentService.TYPES[tournament.type] || TournamentService.TYPES.custom).periods;
+    },
+
+    /**
+     * Get a live match and check the current user may run it
+     * @param {string} matchId - Match ID
+     * @returns {Object} Match
+     * @throws {Error} If the match isn't live or the user may not score it
+     */
+    getLiveMatch(matchId) {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match) {
+            throw new Error('Match tidak ditemukan');
+        }
+
+        TournamentService.requireScorer(match);
+
+        if (match.status !== 'live') {
+            throw new Error('Match tidak sedang berlangsung');
+        }
+        return match;
+    },
+
+    /**
+     * Kick off a match: it goes live at 0-0 with the clock running
+     * @param {string} matchId - Match ID
+     * @returns {Object} Updated match
+     */
+    start(matchId) {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match) {
+            throw new Error('Match tidak ditemukan');
+        }
+
+        TournamentService.requireScorer(match);
+
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, match.tournamentId);
+        if (!TournamentService.isInProgress(tournament)) {
+            throw new Error('Turnamen belum dimulai');
+        }
+        if (match.status === 'live') {
+            throw new Error('Match sudah berlangsung');
+        }
+        if (match.status === 'completed') {
+            throw new Error('Match sudah selesai');
+        }
+        if (match.status === 'pending' || !match.participant1Id || !match.participant2Id) {
+            throw new Error('Match belum siap dimainkan');
+        }
+
+        // Series keep their score in games won (see BracketService.addGame)
+        const isSeries = (match.bestOf || 1) > 1;
+
+        DB.update(DB.KEYS.MATCHES, matchId, {
+            status: 'live',
+            score1: isSeries ? null : 0,
+            score2: isSeries ? null : 0,
+            clock: { period: 1, elapsed: 0, runningSince: Date.now() }
+        });
+
+        BracketService.emit('match_started', match.tournamentId, { matchId });
+
+        console.log(`🔴 Match ${match.matchNumber} live`);
+        return BracketService.getMatch(matchId);
+    },
+
+    /**
+     * Add or take away a point for one side
+     * @param {string} matchId - Match ID
+     * @param {number} slot - 1 or 2
+     * @param {number} delta - +1 or -1
+     * @returns {Object} Updated match
+     */
+    adjustScore(matchId, slot, delta) {
+        const match = this.getLiveMatch(matchId);
+
+        if ((match.bestOf || 1) > 1) {
+            throw new Error('Skor seri dicatat per game');
+        }
+        if (![1, 2].includes(slot) || ![1, -1].includes(delta)) {
+            throw new Error('Perubahan skor tidak valid');
+        }
+
+        const key = `score${slot}`;
+        const score = (match[key] || 0) + delta;
+        if (score < 0) {
+            throw new Error('Skor tidak boleh negatif');
+        }
+
+        const updated = DB.update(DB.KEYS.MATCHES, matchId, { [key]: score });
+
+        BracketService.emit('live_score', match.tournamentId, {
+            matchId,
+            score1: updated.score1,
+            score2: updated.score2
+        });
+
+        return BracketService.getMatch(matchId);
+    },
+
+    /**
+     * Get the time played in the current period
+     * @param {Object} clock - Match clock
+     * @param {number} now - Current time (ms)
+     * @returns {number} Elapsed time (ms)
+     */
+    getElapsed(clock, now = Date.now()) {
+        if (!clock) return 0;
+        return clock.elapsed + (clock.runningSince ? now - clock.runningSince : 0);
+    },
+
+    /**
+     * Stop the clock (injury, timeout, half time)
+     * @param {string} matchId - Match ID
+     * @returns {Object} Updated match
+     */
+    pauseClock(matchId) {
+        const match = this.getLiveMatch(matchId);
+        if (!match.clock.runningSince) return BracketService.getMatch(matchId);
+
+        DB.update(DB.KEYS.MATCHES, matchId, {
+            clock: { ...match.clock, elapsed: this.getElapsed(match.clock), runningSince: null }
+        });
+        BracketService.emit('live_clock', match.tournamentId, { matchId });
+        return BracketService.getMatch(matchId);
+    },
+
+    /**
+     * Restart a stopped clock
+     * @param {string} matchId - Match ID
+     * @returns {Object} Updated match
+     */
+    resumeClock(matchId) {
+        const match = this.getLiveMatch(matchId);
+        if (match.clock.runningSince) return BracketService.getMatch(matchId);
+
+        DB.update(DB.KEYS.MATCHES, matchId, {
+            clock: { ...match.clock, runningSince: Date.now() }
+        });
+        BracketService.emit('live_clock', match.tournamentId, { matchId });
+        return BracketService.getMatch(matchId);
+    },
+
+    /**
+     * End the current period; the clock waits at 0:00 for the next one
+     * @param {string} matchId - Match ID
+     * @returns {Object} Updated match
+     */
+    nextPeriod(matchId) {
+        const match = this.getLiveMatch(matchId);
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, match.tournamentId);
+        const periods = this.getPeriods(tournament);
+
+        if (match.clock.period >= periods.count) {
+            throw new Error(`Sudah ${periods.label.toLowerCase()} terakhir`);
+        }
+
+        DB.update(DB.KEYS.MATCHES, matchId, {
+            clock: { period: match.clock.period + 1, elapsed: 0, runningSince: null }
+        });
+        BracketService.emit('live_clock', match.tournamentId, { matchId });
+        return BracketService.getMatch(matchId);
+    },
+
+    /**
+     * Get the match minute shown on the clock, counting earlier timed
+     * periods (the first minute is minute 1)
+     * @param {Object} match - Match with a clock
+     * @param {Object} tournament - Tournament object
+     * @param {number} now - Current time (ms)
+     * @returns {number} Match minute
+     */
+    getMinute(match, tournament, now = Date.now()) {
+        if (!match.clock) return 0;
+
+        const periods = this.getPeriods(tournament);
+        const played = (match.clock.period - 1) * (periods.minutes || 0);
+        return played + Math.floor(this.getElapsed(match.clock, now) / 60000) + 1;
+    },
+
+    /**
+     * Format the clock, e.g. "Babak 2 · 14:05" or "Babak 1 · 20:00 +1:30"
+     * once a timed period runs over
+     * @param {Object} match - Match with a clock
+     * @param {Object} tournament - Tournament object
+     * @param {number} now - Current time (ms)
+     * @returns {string} Clock text
+     */
+    formatClock(match, tournament, now = Date.now()) {
+        if (!match.clock) return '';
+
+        const periods = this.getPeriods(tournament);
+        const elapsed = Math.floor(this.getElapsed(match.clock, now) / 1000);
+        const format = seconds => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        const limit = periods.minutes ? periods.minutes * 60 : null;
+
+        const time = limit && elapsed > limit
+            ? `${format(limit)} +${format(elapsed - limit)}`
+            : format(elapsed);
+
+        return periods.count > 1 ? `${periods.label} ${match.clock.period} · ${time}` : time;
+    },
+
+    /**
+     * Blow the final whistle: save the running score as the result
+     * @param {string} matchId - Match ID
+     * @param {Object} tiebreak - Extra-time and penalty scores for a drawn knockout match
+     * @returns {Object} Updated match
+     */
+    finish(matchId, tiebreak = {}) {
+        const match = this.getLiveMatch(matchId);
+
+        if ((match.bestOf || 1) > 1) {
+            throw new Error('Seri selesai otomatis saat game penentu dicatat');
+        }
+
+        const clock = { ...match.clock, elapsed: this.getElapsed(match.clock), runningSince: null };
+        const result = BracketService.updateScore(matchId, match.score1, match.score2, tiebreak);
+        DB.update(DB.KEYS.MATCHES, matchId, { clock });
+
+        return result;
+    },
+
+    /**
+     * Call off a match that went live by mistake: back to upcoming with
+     * no score or events (games already recorded in a series are kept)
+     * @param {string} matchId - Match ID
+     * @returns {Object} Updated match
+     */
+    cancel(matchId) {
+        const match = this.getLiveMatch(matchId);
+
+        DB.update(DB.KEYS.MATCHES, matchId, {
+            status: 'upcoming',
+            score1: null,
+            score2: null,
+            clock: null,
+            events: []
+        });
+
+        BracketService.emit('live_cancelled', match.tournamentId, { matchId });
+
+        console.log(`⏹️ Match ${match.matchNumber} no longer live`);
+        return BracketService.getMatch(matchId);
+    }
+};
@@ -12,7 +12,8 @@ const ParticipantService = {
     STATUSES: {
         active: { label: 'Aktif', color: '#10b981' },
         eliminated: { label: 'Tereliminasi', color: '#ef4444' },
-        withdrawn: { label: 'Mengundurkan Diri', color: '#64748b' }
+        withdrawn: { label: 'Mengundurkan Diri', color: '#64748b' },
+        disqualified: { label: 'Didiskualifikasi', color: '#b91c1c' }
     },
 
     /**
@@ -46,8 +47,10 @@ const ParticipantService = {
             throw new Error('Tournament tidak ditemukan');
         }
 
+        TournamentService.requireAdmin(tournamentId);
+
         // Check if tournament accepts new participants
-        if (tournament.status === 'ongoing' || tournament.status === 'completed') {
+        if (TournamentService.isInProgress(tournament) || tournament.status === 'completed') {
             throw new Error('Tournament sudah berjalan, tidak dapat menambah peserta');
         }
 
@@ -71,11 +74,13 @@ const ParticipantService = {
             name: data.name.trim(),
             logo: data.logo || null,
             seed: data.seed || null,
+            club: data.club?.trim() || null,
             contactPerson: data.contactPerson?.trim() || null,
             email: data.email?.trim() || null,
             phone: data.phone?.trim() || null,
             status: 'active',
-            eliminatedAtRound: null
+            eliminatedAtRound: null,
+            players: []
         });
 
         console.log('✅ Participant added:', participant.name);
@@ -116,8 +121,10 @@ const ParticipantService = {
             throw new Error('Peserta tidak ditemukan');
         }
 
+        TournamentService.requireAdmin(participant.tournamentId);
+
         const tournament = DB.getById(DB.KEYS.TOURNAMENTS, participant.tournamentId);
-        if (tournament.status === 'ongoing' || tournament.status === 'completed') {
+        if (TournamentService.isInProgress(tournament) || tournament.status === 'completed') {
             // Only allow limited updates during tournament
             const updates = {};
             if (data.logo !== undefined) updates.logo = data.logo;
@@ -139,6 +146,7 @@ const ParticipantService = {
         if (data.name) updates.name = data.name.trim();
         if (data.logo !== undefined) updates.logo = data.logo;
         if (data.seed !== undefined) updates.seed = data.seed;
+        if (data.club !== undefined) updates.club = data.club?.trim() || null;
         if (data.contactPerson !== undefined) updates.contactPerson = data.contactPerson?.trim();
         if (data.email !== undefined) updates.email = data.email?.trim();
         if (data.phone !== undefined) updates.phone = data.phone?.trim();
@@ -157,8 +165,10 @@ const ParticipantService = {
             throw new Error('Peserta tidak ditemukan');
         }
 
+        TournamentService.requireAdmin(participant.tournamentId);
+
         const tournament = DB.getById(DB.KEYS.TOURNAMENTS, participant.tournamentId);
-        if (tournament.status === 'ongoing' || tournament.status === 'completed') {
+        if (TournamentService.isInProgress(tournament) || tournament.status === 'completed') {
             throw new Error('Tidak dapat menghapus peserta saat turnamen berlangsung');
         }
 
@@ -187,21 +197,279 @@ const ParticipantService = {
      * @returns {Object} Updated participant
      */
     eliminate(id, round) {
+        // Withdrawn or disqualified participants keep that status
+        const participant = this.getById(id);
+        const status = participant && this.isRemoved(participant) ? participant.status : 'eliminated';
+
         return DB.update(DB.KEYS.PARTICIPANTS, id, {
-            status: 'eliminated',
+            status,
             eliminatedAtRound: round
         });
     },
 
     /**
-     * Withdraw participant from tournament
+     * Bring an eliminated participant back after their last match was rolled back
      * @param {string} id - Participant ID
      * @returns {Object} Updated participant
      */
-    withdraw(id) {
+    restore(id) {
+        // Withdrawn or disqualified participants keep that status
+        const participant = this.getById(id);
+        const status = participant && this.isRemoved(participant) ? participant.status : 'active';
+
         return DB.update(DB.KEYS.PARTICIPANTS, id, {
-            status: 'withdrawn'
+            status,
+            eliminatedAtRound: null
+        });
+    },
+
+    /**
+     * Check if participant left the tournament (withdrawn or disqualified)
+     * @param {Object} participant - Participant object
+     * @returns {boolean} Is removed
+     */
+    isRemoved(participant) {
+        return participant.status === 'withdrawn' || participant.status === 'disqualified';
+    },
+
+    /**
+     * Withdraw participant from tournament; open matches become walkovers
+     * @param {string} id - Participant ID
+     * @returns {Object} Updated participant
+     */
+    withdraw(id) {
+        return this.remove(id, 'withdrawn', 'walkover');
+    },
+
+    /**
+     * Disqualify participant; open matches are awarded to the opponents
+     * @param {string} id - Participant ID
+     * @returns {Object} Updated participant
+     */
+    disqualify(id) {
+        return this.remove(id, 'disqualified', 'disqualification');
+    },
+
+    /**
+     * Take a participant out of the tournament and forfeit their open matches
+     * @param {string} id - Participant ID
+     * @param {string} status - 'withdrawn' or 'disqualified'
+     * @param {string} resultType - Result type recorded on forfeited matches
+     * @returns {Object} Updated participant
+     */
+    remove(id, status, resultType) {
+        const participant = this.getById(id);
+        if (!participant) {
+            throw new Error('Peserta tidak ditemukan');
+        }
+
+        TournamentService.requireAdmin(participant.tournamentId);
+
+        if (participant.status !== 'active') {
+            throw new Error('Peserta sudah tidak aktif');
+        }
+
+        DB.update(DB.KEYS.PARTICIPANTS, id, { status });
+
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, participant.tournamentId);
+        if (TournamentService.isInProgress(tournament)) {
+            BracketService.forfeitRemaining(id, resultType);
+        }
+
+        console.log(`🚫 Participant ${status}:`, participant.name);
+        return this.getById(id);
+    },
+
+    /**
+     * Get the roster rules for a tournament's type
+     * @param {Object} tournament - Tournament object
+     * @returns {Object} { min, max, positions } (empty positions allow free text)
+     */
+    getRosterRules(tournament) {
+        return (TournamentService.TYPES[tournament.type] || TournamentService.TYPES.custom).roster;
+    },
+
+    /**
+     * Get the teams too short of players to start. Rosters are optional,
+     * but once any team has one, every team needs the type's minimum.
+     * @param {Object} tournament - Tournament object
+     * @returns {Array} Participants below the minimum
+     */
+    getShortRosters(tournament) {
+        const participants = this.getByTournament(tournament.id);
+        if (!participants.some(p => (p.players || []).length > 0)) return [];
+
+        const { min } = this.getRosterRules(tournament);
+        return participants.filter(p => (p.players || []).length < min);
+    },
+
+    /**
+     * Check if rosters can no longer change (from the moment the tournament starts)
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} Is locked
+     */
+    isRosterLocked(tournament) {
+        return TournamentService.isInProgress(tournament) || tournament.status === 'completed';
+    },
+
+    /**
+     * Get a participant whose roster the current admin may change
+     * @param {string} participantId - Participant ID
+     * @returns {Object} { participant, tournament }
+     * @throws {Error} If the participant doesn't exist or the roster is locked
+     */
+    getEditableRoster(participantId) {
+        const participant = this.getById(participantId);
+        if (!participant) {
+            throw new Error('Peserta tidak ditemukan');
+        }
+
+        TournamentService.requireAdmin(participant.tournamentId);
+
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, participant.tournamentId);
+        if (this.isRosterLocked(tournament)) {
+            throw new Error('Daftar pemain dikunci setelah turnamen dimulai');
+        }
+
+        return { participant, tournament };
+    },
+
+    /**
+     * Get a player from a participant's roster
+     * @param {Object} participant - Participant object
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} Player
+     */
+    getPlayer(participant, playerId) {
+        return (participant?.players || []).find(p => p.id === playerId) || null;
+    },
+
+    /**
+     * Add a player to a participant's roster
+     * @param {string} participantId - Participant ID
+     * @param {Object} data - { name, number, position, dateOfBirth }
+     * @returns {Object} Created player
+     */
+    addPlayer(participantId, data) {
+        const { participant, tournament } = this.getEditableRoster(participantId);
+        const players = participant.players || [];
+        const rules = this.getRosterRules(tournament);
+
+        if (players.length >= rules.max) {
+            throw new Error(`Jumlah pemain sudah mencapai batas maksimal (${rules.max})`);
+        }
+
+        this.validatePlayer(data, tournament, players);
+
+        const player = { id: DB.generateId(), ...this.normalizePlayer(data) };
+        DB.update(DB.KEYS.PARTICIPANTS, participantId, { players: [...players, player] });
+
+        console.log(`👤 Player added to ${participant.name}:`, player.name);
+        return player;
+    },
+
+    /**
+     * Update a player on a participant's roster
+     * @param {string} participantId - Participant ID
+     * @param {string} playerId - Player ID
+     * @param {Object} data - { name, number, position, dateOfBirth }
+     * @returns {Object} Updated player
+     */
+    updatePlayer(participantId, playerId, data) {
+        const { participant, tournament } = this.getEditableRoster(participantId);
+        const player = this.getPlayer(participant, playerId);
+        if (!player) {
+            throw new Error('Pemain tidak ditemukan');
+        }
+
+        const merged = { ...player, ...data };
+        const others = participant.players.filter(p => p.id !== playerId);
+        this.validatePlayer(merged, tournament, others);
+
+        const updated = { id: playerId, ...this.normalizePlayer(merged) };
+        DB.update(DB.KEYS.PARTICIPANTS, participantId, {
+            players: participant.players.map(p => p.id === playerId ? updated : p)
         });
+
+        return updated;
+    },
+
+    /**
+     * Remove a player from a participant's roster
+     * @param {string} participantId - Participant ID
+     * @param {string} playerId - Player ID
+     * @returns {boolean} Success status
+     */
+    removePlayer(participantId, playerId) {
+        const { participant } = this.getEditableRoster(participantId);
+        if (!this.getPlayer(participant, playerId)) {
+            throw new Error('Pemain tidak ditemukan');
+        }
+
+        DB.update(DB.KEYS.PARTICIPANTS, participantId, {
+            players: participant.players.filter(p => p.id !== playerId)
+        });
+        return true;
+    },
+
+    /**
+     * Clean up player form data
+     * @param {Object} data - Player data
+     * @returns {Object} { name, number, position, dateOfBirth }
+     */
+    normalizePlayer(data) {
+        return {
+            name: data.name.trim(),
+            number: data.number ?? null,
+            position: data.position?.trim() || null,
+            dateOfBirth: data.dateOfBirth || null
+        };
+    },
+
+    /**
+     * Validate player data
+     * @param {Object} data - Player data
+     * @param {Object} tournament - Tournament object
+     * @param {Array} others - The other players on the roster
+     * @throws {Error} If validation fails
+     */
+    validatePlayer(data, tournament, others) {
+        if (!data.name || data.name.trim().length === 0) {
+            throw new Error('Nama pemain wajib diisi');
+        }
+
+        if (data.name.trim().length > 50) {
+            throw new Error('Nama pemain maksimal 50 karakter');
+        }
+
+        if (data.number !== undefined && data.number !== null) {
+            if (!Number.isInteger(data.number) || data.number < 0 || data.number > 99) {
+                throw new Error('Nomor punggung harus antara 0 dan 99');
+            }
+            if (others.some(p => p.number === data.number)) {
+                throw new Error(`Nomor punggung ${data.number} sudah dipakai`);
+            }
+        }
+
+        const { positions } = this.getRosterRules(tournament);
+        if (data.position && data.position.trim()) {
+            if (positions.length && !positions.includes(data.position.trim())) {
+                throw new Error('Posisi tidak valid');
+            }
+            if (data.position.trim().length > 30) {
+                throw new Error('Posisi maksimal 30 karakter');
+            }
+        }
+
+        if (data.dateOfBirth) {
+            const date = new Date(`${data.dateOfBirth}T00:00:00`);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(data.dateOfBirth) || isNaN(date.getTime())) {
+                throw new Error('Format tanggal lahir tidak valid');
+            }
+            if (date > new Date()) {
+                throw new Error('Tanggal lahir tidak boleh di masa depan');
+            }
+        }
     },
 
     /**
@@ -218,6 +486,10 @@ const ParticipantService = {
             throw new Error('Nama peserta maksimal 50 karakter');
         }
 
+        if (data.club && data.club.trim().length > 50) {
+            throw new Error('Nama klub/wilayah maksimal 50 karakter');
+        }
+
         if (data.email && !this.isValidEmail(data.email)) {
             throw new Error('Format email tidak valid');
         }
@@ -246,6 +518,8 @@ const ParticipantService = {
      * @returns {Array} Updated participants
      */
     autoSeed(tournamentId, method = 'random') {
+        TournamentService.requireAdmin(tournamentId);
+
         const participants = this.getByTournament(tournamentId);
 
         let orderedParticipants;
@@ -347,7 +621,10 @@ const ParticipantService = {
                 opponent,
                 myScore: isParticipant1 ? match.score1 : match.score2,
                 opponentScore: isParticipant1 ? match.score2 : match.score1,
-                won: match.winnerId === id
+                scoreText: BracketService.formatScore(match, !isParticipant1),
+                resultLabel: match.resultType ? BracketService.RESULT_TYPES[match.resultType]?.label : null,
+                won: match.winnerId === id,
+                drawn: match.status === 'completed' && !match.winnerId
             };
         }).sort((a, b) => a.round - b.round);
     }
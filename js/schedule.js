@@ -0,0 +1,468 @@
+/**
+ * ====================================
+ * SCHEDULE SERVICE
+ * Assign start times and venues to matches
+ * ====================================
+ */
+
+const ScheduleService = {
+    /**
+     * Default scheduling options (durations in minutes, day window as HH:mm)
+     */
+    DEFAULTS: {
+        matchDuration: 40,
+        restTime: 30,
+        dayStart: null,
+        dayEnd: null
+    },
+
+    /**
+     * Parse a local "YYYY-MM-DDTHH:mm" time
+     * @param {string} value - Local date and time
+     * @returns {number} Timestamp (ms)
+     */
+    parseTime(value) {
+        return new Date(value).getTime();
+    },
+
+    /**
+     * Format a timestamp as local "YYYY-MM-DDTHH:mm" (the datetime-local format)
+     * @param {number} time - Timestamp (ms)
+     * @returns {string} Local date and time
+     */
+    formatTime(time) {
+        const date = new Date(time);
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    },
+
+    /**
+     * Convert "HH:mm" to minutes after midnight
+     * @param {string} value - Time of day
+     * @returns {number|null} Minutes, or null when empty
+     */
+    parseTimeOfDay(value) {
+        if (!value) return null;
+
+        const parts = value.match(/^(\d{1,2}):(\d{2})$/);
+        if (!parts || parseInt(parts[1]) > 23 || parseInt(parts[2]) > 59) {
+            throw new Error('Jam harus berformat HH:mm');
+        }
+        return parseInt(parts[1]) * 60 + parseInt(parts[2]);
+    },
+
+    /**
+     * Validate scheduling options
+     * @param {Object} options - { venues, startTime, matchDuration, restTime, dayStart, dayEnd }
+     * @returns {Object} Normalised options
+     * @throws {Error} If validation fails
+     */
+    validateOptions(options) {
+        const venues = [...new Set((options.venues || []).map(v => v.trim()).filter(Boolean))];
+        if (venues.length === 0) {
+            throw new Error('Tambahkan minimal satu lapangan');
+        }
+
+        if (!options.startTime || isNaN(this.parseTime(options.startTime))) {
+            throw new Error('Waktu mulai tidak valid');
+        }
+
+        const matchDuration = options.matchDuration ?? this.DEFAULTS.matchDuration;
+        if (!Number.isInteger(matchDuration) || matchDuration < 1) {
+            throw new Error('Durasi match harus minimal 1 menit');
+        }
+
+        const restTime = options.restTime ?? this.DEFAULTS.restTime;
+        if (!Number.isInteger(restTime) || restTime < 0) {
+            throw new Error('Waktu istirahat tidak boleh negatif');
+        }
+
+        const dayStart = options.dayStart || null;
+        const dayEnd = options.dayEnd || null;
+        if (!!dayStart !== !!dayEnd) {
+            throw new Error('Isi jam mulai dan jam selesai harian, atau kosongkan keduanya');
+        }
+        if (dayStart && this.parseTimeOfDay(dayEnd) - this.parseTimeOfDay(dayStart) < matchDuration) {
+            throw new Error('Jam main harian terlalu pendek untuk satu match');
+        }
+
+        return {
+            venues,
+            startTime: this.formatTime(this.parseTime(options.startTime)),
+            matchDuration,
+            restTime,
+            dayStart,
+            dayEnd
+        };
+    },
+
+    /**
+     * Move a start time into the daily playing window, to the next day
+     * if the match wouldn't finish before the day ends
+     * @param {number} time - Proposed start (ms)
+     * @param {Object} settings - Normalised options
+     * @returns {number} Start (ms)
+     */
+    fitToDay(time, settings) {
+        if (!settings.dayStart) return time;
+
+        const dayStart = this.parseTimeOfDay(settings.dayStart);
+        const dayEnd = this.parseTimeOfDay(settings.dayEnd);
+        const date = new Date(time);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+
+        if (minutes < dayStart) {
+            date.setHours(0, dayStart, 0, 0);
+        } else if (minutes + settings.matchDuration > dayEnd) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, dayStart, 0, 0);
+        }
+        return Math.max(time, date.getTime());
+    },
+
+    /**
+     * Work out which matches must finish before each match can start:
+     * knockout feeders, the whole group stage before the knockout, and
+     * the previous Swiss round before the next pairing
+     * @param {Object} tournament - Tournament object
+     * @param {Array} matches - Tournament matches
+     * @returns {Map} Match ID → feeder match IDs
+     */
+    getDependencies(tournament, matches) {
+        const dependencies = new Map(matches.map(m => [m.id, []]));
+        const add = (target, feeder) => {
+            const feeders = dependencies.get(target.id);
+            if (feeders && !feeders.includes(feeder.id)) feeders.push(feeder.id);
+        };
+
+        const groupMatches = matches.filter(m => GroupService.isGroupMatch(m));
+        const swissMatches = matches.filter(m => SwissService.isSwissMatch(m));
+
+        matches.forEach(match => {
+            if (GroupService.isGroupMatch(match)) return;
+
+            if (SwissService.isSwissMatch(match)) {
+                swissMatches.filter(m => m.round === match.round - 1).forEach(m => add(match, m));
+                return;
+            }
+
+            // A grand final reset follows the grand final
+            if (match.bracket === 'grand_final' && match.round > 1) {
+                matches.filter(m => m.bracket === 'grand_final' && m.round === match.round - 1).forEach(m => add(match, m));
+            }
+
+            [BracketService.getWinnerDestination(match, tournament), BracketService.getLoserDestination(match, tournament)]
+                .forEach(destination => destination && add(destination.match, match));
+        });
+
+        // Qualifiers are only known once every group match is played
+        if (groupMatches.length > 0) {
+            matches
+                .filter(m => m.bracket === 'winners' && m.round === 1)
+                .forEach(match => groupMatches.forEach(m => add(match, m)));
+        }
+
+        return dependencies;
+    },
+
+    /**
+     * Get when a scheduled match is expected to end
+     * @param {Object} match - Match with a schedule
+     * @param {Object} tournament - Tournament object
+     * @returns {number} End (ms)
+     */
+    getEnd(match, tournament) {
+        const duration = tournament.scheduleSettings?.matchDuration || this.DEFAULTS.matchDuration;
+        return this.parseTime(match.schedule) + duration * 60000;
+    },
+
+    /**
+     * Give every unplayed match a start time and venue. Matches start once
+     * their feeders are done and both teams have rested, on whichever
+     * venue frees up first. Live and completed matches keep their slot.
+     * @param {string} tournamentId - Tournament ID
+     * @param {Object} options - { venues, startTime, matchDuration, restTime, dayStart, dayEnd }
+     * @returns {Array} Scheduled matches in start order
+     */
+    generate(tournamentId, options) {
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+        if (!tournament) {
+            throw new Error('Tournament tidak ditemukan');
+        }
+
+        TournamentService.requireAdmin(tournamentId);
+
+        if (tournament.status === 'draft') {
+            throw new Error('Buat bracket terlebih dahulu');
+        }
+
+        // Group matches and Swiss pairings only exist once the tournament starts
+        if (tournament.status === 'registration' &&
+            (BracketService.hasGroupStage(tournament) || BracketService.isSwiss(tournament))) {
+            throw new Error('Match grup dan Swiss dibuat saat turnamen dimulai. Mulai turnamen terlebih dahulu');
+        }
+
+        const settings = this.validateOptions(options);
+        const matches = DB.find(DB.KEYS.MATCHES, { tournamentId });
+
+        const isFixed = m => m.status === 'completed' || m.status === 'live';
+        const pending = new Set(matches.filter(m => !m.isBye && !isFixed(m)).map(m => m.id));
+        if (pending.size === 0) {
+            throw new Error('Tidak ada match yang perlu dijadwalkan');
+        }
+
+        const duration = settings.matchDuration * 60000;
+        const rest = settings.restTime * 60000;
+        const start = this.parseTime(settings.startTime);
+        const dependencies = this.getDependencies(tournament, matches);
+
+        const ends = new Map();
+        const participantFree = new Map();
+        const venueFree = settings.venues.map(() => start);
+
+        const occupy = (match, begin) => {
+            ends.set(match.id, begin + duration);
+            [match.participant1Id, match.participant2Id].forEach(id => {
+                if (id) participantFree.set(id, Math.max(participantFree.get(id) || 0, begin + duration + rest));
+            });
+        };
+
+        // Played and running matches keep their slot
+        matches.filter(m => isFixed(m) && m.schedule).forEach(match => {
+            const begin = this.parseTime(match.schedule);
+            occupy(match, begin);
+
+            const venueIndex = settings.venues.indexOf(match.venue);
+            if (match.status === 'live' && venueIndex !== -1) {
+                venueFree[venueIndex] = Math.max(venueFree[venueIndex], begin + duration);
+            }
+        });
+
+        // Earlier stages first when start times tie
+        const depths = new Map();
+        const getDepth = id => {
+            if (!depths.has(id)) {
+                depths.set(id, Math.max(0, ...dependencies.get(id).map(feeder => getDepth(feeder) + 1)));
+            }
+            return depths.get(id);
+        };
+        const order = matches
+            .filter(m => pending.has(m.id))
+            .sort((a, b) => getDepth(a.id) - getDepth(b.id) || a.matchNumber - b.matchNumber);
+
+        const scheduled = [];
+        while (pending.size > 0) {
+            let best = null;
+
+            order.forEach(match => {
+                if (!pending.has(match.id)) return;
+
+                const feeders = dependencies.get(match.id);
+                if (feeders.some(id => pending.has(id))) return;
+
+                let earliest = start;
+                feeders.forEach(id => {
+                    if (ends.has(id)) earliest = Math.max(earliest, ends.get(id) + rest);
+                });
+                [match.participant1Id, match.participant2Id].forEach(id => {
+                    if (id && participantFree.has(id)) earliest = Math.max(earliest, participantFree.get(id));
+                });
+
+                venueFree.forEach((free, venueIndex) => {
+                    const begin = this.fitToDay(Math.max(earliest, free), settings);
+                    if (!best || begin < best.begin) best = { match, venueIndex, begin };
+                });
+            });
+
+            if (!best) {
+                throw new Error('Jadwal tidak dapat disusun: urutan match saling bergantung');
+            }
+
+            const { match, venueIndex, begin } = best;
+            pending.delete(match.id);
+            occupy(match, begin);
+            venueFree[venueIndex] = begin + duration;
+
+            scheduled.push(DB.update(DB.KEYS.MATCHES, match.id, {
+                schedule: this.formatTime(begin),
+                venue: settings.venues[venueIndex],
+                delay: 0
+            }));
+        }
+
+        DB.update(DB.KEYS.TOURNAMENTS, tournamentId, { scheduleSettings: settings });
+
+        console.log(`🗓️ Schedule generated: ${scheduled.length} matches on ${settings.venues.length} venues`);
+        return scheduled;
+    },
+
+    /**
+     * Remove the start time and venue of every unplayed match
+     * @param {string} tournamentId - Tournament ID
+     * @returns {number} Matches cleared
+     */
+    clear(tournamentId) {
+        TournamentService.requireAdmin(tournamentId);
+
+        const cleared = DB.find(DB.KEYS.MATCHES, { tournamentId })
+            .filter(m => m.status !== 'completed' && m.status !== 'live' && (m.schedule || m.venue));
+
+        cleared.forEach(m => DB.update(DB.KEYS.MATCHES, m.id, { schedule: null, venue: null, delay: 0 }));
+        return cleared.length;
+    },
+
+    /**
+     * Get scheduled matches grouped by day and venue in start order.
+     * A live match is playing now; the first unplayed match on each
+     * venue is up next.
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} [{ date, venues: [{ name, matches }] }]
+     */
+    getOrderOfPlay(tournamentId) {
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+        if (!tournament) return [];
+
+        const matches = DB.find(DB.KEYS.MATCHES, { tournamentId })
+            .filter(m => m.schedule && !m.isBye)
+            .sort((a, b) => a.schedule.localeCompare(b.schedule) || a.matchNumber - b.matchNumber);
+
+        const upNext = new Map();
+        matches.forEach(m => {
+            if (m.status !== 'completed' && m.status !== 'live' && !upNext.has(m.venue)) {
+                upNext.set(m.venue, m.id);
+            }
+        });
+
+        const days = [];
+        matches.forEach(match => {
+            const date = match.schedule.slice(0, 10);
+            let day = days.find(d => d.date === date);
+            if (!day) {
+                day = { date, venues: [] };
+                days.push(day);
+            }
+
+            let venue = day.venues.find(v => v.name === match.venue);
+            if (!venue) {
+                venue = { name: match.venue, matches: [] };
+                day.venues.push(venue);
+            }
+
+            venue.matches.push({
+                ...match,
+                roundName: BracketService.getMatchRoundName(match, tournament),
+                participant1: match.participant1Id ? ParticipantService.getById(match.participant1Id) : null,
+                participant2: match.participant2Id ? ParticipantService.getById(match.participant2Id) : null,
+                end: this.formatTime(this.getEnd(match, tournament)),
+                playState: match.status === 'live' ? 'now' : (upNext.get(match.venue) === match.id ? 'next' : null)
+            });
+        });
+
+        // Venues in the order they were set up, unnamed ones last
+        const venueOrder = tournament.scheduleSettings?.venues || [];
+        const rank = name => {
+            const index = venueOrder.indexOf(name);
+            if (index !== -1) return index;
+            return name ? venueOrder.length : venueOrder.length + 1;
+        };
+        days.forEach(day => day.venues.sort((a, b) => rank(a.name) - rank(b.name)));
+
+        return days;
+    },
+
+    /**
+     * Mark a match as running late. Every match after it on the same
+     * venue and day that hasn't started moves back by the delay; so does
+     * the match itself unless it is already being played. Matches on other
+     * venues that wait for a moved match (its winner, or one of its teams
+     * needing their rest) move back as far as needed, and so do the
+     * matches after them on their venue. The next day starts on time again.
+     * A delay that would push a match past the daily playing window is
+     * refused: the schedule has to be generated again instead.
+     * @param {string} matchId - Match ID
+     * @param {number} minutes - Delay in minutes
+     * @returns {Array} Moved matches
+     * @throws {Error} If a moved match would end after the day's closing time
+     */
+    delay(matchId, minutes) {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match) {
+            throw new Error('Match tidak ditemukan');
+        }
+
+        TournamentService.requireAdmin(match.tournamentId);
+
+        if (!Number.isInteger(minutes) || minutes < 1) {
+            throw new Error('Keterlambatan minimal 1 menit');
+        }
+        if (!match.schedule || !match.venue) {
+            throw new Error('Match ini belum dijadwalkan di lapangan');
+        }
+        if (match.status === 'completed') {
+            throw new Error('Match sudah selesai');
+        }
+
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, match.tournamentId);
+        const duration = this.getEnd(match, tournament) - this.parseTime(match.schedule);
+        const rest = (tournament.scheduleSettings?.restTime ?? this.DEFAULTS.restTime) * 60000;
+        const matches = DB.find(DB.KEYS.MATCHES, { tournamentId: match.tournamentId });
+        const dependencies = this.getDependencies(tournament, matches);
+
+        const day = match.schedule.slice(0, 10);
+        const byTime = (a, b) => a.schedule.localeCompare(b.schedule) || a.matchNumber - b.matchNumber;
+        const today = matches.filter(m => m.schedule?.startsWith(day) && m.status !== 'completed').sort(byTime);
+        const isLater = m => m.id === match.id
+            ? m.status !== 'live'
+            : m.schedule > match.schedule || (m.schedule === match.schedule && m.matchNumber > match.matchNumber);
+
+        // New start per match; a live match only moves its expected end
+        const starts = new Map(today.map(m => [m.id, this.parseTime(m.schedule)]));
+        today
+            .filter(m => m.id === match.id || (m.venue === match.venue && m.status !== 'live' && isLater(m)))
+            .forEach(m => starts.set(m.id, starts.get(m.id) + minutes * 60000));
+        const hasMoved = m => starts.get(m.id) !== this.parseTime(m.schedule);
+
+        // Earlier matches come first, so each match sees its predecessors' new times
+        today.forEach((m, index) => {
+            if (m.status === 'live' || !isLater(m)) return;
+
+            const teams = [m.participant1Id, m.participant2Id].filter(Boolean);
+            let earliest = starts.get(m.id);
+            today.slice(0, index).filter(hasMoved).forEach(before => {
+                const end = starts.get(before.id) + duration;
+                if (m.venue && before.venue === m.venue) earliest = Math.max(earliest, end);
+
+                const sharesTeam = teams.includes(before.participant1Id) || teams.includes(before.participant2Id);
+                if (sharesTeam || dependencies.get(m.id).includes(before.id)) {
+                    earliest = Math.max(earliest, end + rest);
+                }
+            });
+            starts.set(m.id, earliest);
+        });
+
+        // Closing time holds for moved matches too, as in generate
+        const settings = tournament.scheduleSettings;
+        if (settings?.dayEnd) {
+            const dayEnd = this.parseTimeOfDay(settings.dayEnd);
+            const late = today.find(m => {
+                if (m.status === 'live' || !hasMoved(m)) return false;
+                const start = this.formatTime(starts.get(m.id));
+                return start.slice(0, 10) !== day || this.parseTimeOfDay(start.slice(11)) + duration / 60000 > dayEnd;
+            });
+            if (late) {
+                throw new Error(`Match #${late.matchNumber} akan selesai setelah jam main harian (${settings.dayEnd}). Susun ulang jadwal dari halaman turnamen`);
+            }
+        }
+
+        const moved = today
+            .filter(m => m.status !== 'live' && hasMoved(m))
+            .map(m => DB.update(DB.KEYS.MATCHES, m.id, {
+                schedule: this.formatTime(starts.get(m.id)),
+                delay: (m.delay || 0) + Math.round((starts.get(m.id) - this.parseTime(m.schedule)) / 60000)
+            }));
+
+        console.log(`⏱️ ${match.venue} running ${minutes} min late: ${moved.length} matches moved`);
+        return moved;
+    }
+};
@@ -0,0 +1,382 @@
+/**
+ * ====================================
+ * SWISS SYSTEM SERVICE
+ * Score-group pairing, colours and tiebreaks
+ * ====================================
+ */
+
+const SwissService = {
+    /**
+     * Points awarded per result
+     */
+    POINTS: {
+        win: 1,
+        draw: 0.5,
+        loss: 0,
+        bye: 1
+    },
+
+    /**
+     * Check if match belongs to a Swiss tournament
+     * @param {Object} match - Match object
+     * @returns {boolean} Is Swiss match
+     */
+    isSwissMatch(match) {
+        return match.bracket === 'swiss';
+    },
+
+    /**
+     * Default number of rounds for a field size
+     * @param {number} participantCount - Number of players
+     * @returns {number} Rounds
+     */
+    getDefaultRounds(participantCount) {
+        return Math.max(1, Math.ceil(Math.log2(participantCount)));
+    },
+
+    /**
+     * Validate number of Swiss rounds
+     * @param {number} participantCount - Number of players
+     * @param {number} rounds - Requested rounds
+     * @throws {Error} If validation fails
+     */
+    validateRounds(participantCount, rounds) {
+        if (!Number.isInteger(rounds) || rounds < 1) {
+            throw new Error('Jumlah ronde Swiss minimal 1');
+        }
+
+        // Beyond n - 1 rounds someone would have to meet an opponent twice
+        const maxRounds = participantCount % 2 === 0 ? participantCount - 1 : participantCount;
+        if (rounds > maxRounds) {
+            throw new Error(`Jumlah ronde Swiss maksimal ${maxRounds}`);
+        }
+    },
+
+    /**
+     * Prepare Swiss tournament (rounds are paired one at a time)
+     * @param {Object} tournament - Tournament object
+     * @returns {Array} Generated matches (none yet)
+     */
+    generate(tournament) {
+        const totalRounds = tournament.swissRounds || this.getDefaultRounds(tournament.participantCount);
+        this.validateRounds(tournament.participantCount, totalRounds);
+
+        DB.update(DB.KEYS.TOURNAMENTS, tournament.id, {
+            status: 'registration',
+            totalRounds
+        });
+
+        console.log(`✅ Swiss prepared: ${totalRounds} rounds`);
+        return [];
+    },
+
+    /**
+     * Pair the first round once all players are registered
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} Round 1 matches
+     */
+    assignParticipants(tournamentId) {
+        return this.pairRound(tournamentId, 1);
+    },
+
+    /**
+     * Handle a completed Swiss game
+     * @param {Object} match - Completed match
+     */
+    onMatchCompleted(match) {
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, match.tournamentId);
+        const roundMatches = DB.find(DB.KEYS.MATCHES, { tournamentId: tournament.id, round: match.round })
+            .filter(m => this.isSwissMatch(m));
+
+        if (roundMatches.some(m => m.status !== 'completed')) return;
+
+        if (match.round < tournament.totalRounds) {
+            this.pairRound(tournament.id, match.round + 1);
+            DB.update(DB.KEYS.TOURNAMENTS, tournament.id, { currentRound: match.round + 1 });
+            return;
+        }
+
+        // Last round finished: final standings decide the podium
+        const standings = this.getStandings(tournament.id);
+        BracketService.finalizeTournament(
+            tournament.id,
+            standings[0]?.participant.id || null,
+            standings[1]?.participant.id || null,
+            standings[2] ? [standings[2].participant.id] : [],
+            standings[3]?.participant.id || null
+        );
+    },
+
+    /**
+     * Pair a round by score group without repeat opponents
+     * @param {string} tournamentId - Tournament ID
+     * @param {number} round - Round to pair
+     * @returns {Array} Created matches
+     */
+    pairRound(tournamentId, round) {
+        const standings = this.getStandings(tournamentId);
+        const history = this.getHistory(tournamentId);
+        let players = standings.map(row => row.participant).filter(p => !ParticipantService.isRemoved(p));
+
+        // Odd field: lowest-ranked player without a bye sits out
+        let byePlayer = null;
+        let pairs = null;
+
+        if (players.length % 2 === 1) {
+            const candidates = [...players].reverse().filter(p => !history[p.id].hadBye);
+            for (const candidate of candidates.length ? candidates : [...players].reverse()) {
+                const rest = players.filter(p => p.id !== candidate.id);
+                pairs = this.findPairings(rest, standings, history);
+                if (pairs) {
+                    byePlayer = candidate;
+                    break;
+                }
+            }
+        } else {
+            pairs = this.findPairings(players, standings, history);
+        }
+
+        if (!pairs) {
+            throw new Error(`Tidak dapat membuat pairing ronde ${round} tanpa lawan berulang`);
+        }
+
+        const existing = DB.find(DB.KEYS.MATCHES, { tournamentId });
+        let matchNumber = existing.length ? Math.max(...existing.map(m => m.matchNumber)) + 1 : 1;
+        const matches = [];
+
+        pairs.forEach(([higher, lower], board) => {
+            const [white, black] = this.assignColours(higher, lower, history, board);
+            matches.push(BracketService.createMatch(tournamentId, {
+                bracket: 'swiss',
+                round,
+                matchNumber: matchNumber++,
+                participant1Id: white.id,
+                participant2Id: black.id,
+                status: 'upcoming'
+            }));
+        });
+
+        if (byePlayer) {
+            matches.push(BracketService.createMatch(tournamentId, {
+                bracket: 'swiss',
+                round,
+                matchNumber: matchNumber++,
+                participant1Id: byePlayer.id,
+                winnerId: byePlayer.id,
+                isBye: true,
+                status: 'completed'
+            }));
+        }
+
+        console.log(`✅ Swiss round ${round} paired: ${pairs.length} games`);
+        return matches;
+    },
+
+    /**
+     * Pair players top-down, each against the first legal opponent in its
+     * score group (top half meets bottom half), backtracking on dead ends
+     * @param {Array} players - Players in ranking order
+     * @param {Array} standings - Current standings
+     * @param {Object} history - Opponents and colours per player
+     * @returns {Array|null} Pairs, or null if no legal pairing exists
+     */
+    findPairings(players, standings, history) {
+        if (players.length === 0) return [];
+
+        const points = {};
+        standings.forEach(row => { points[row.participant.id] = row.points; });
+
+        const [first, ...rest] = players;
+        const sameScore = rest.filter(p => points[p.id] === points[first.id]).length + 1;
+        const idealIndex = Math.floor(sameScore / 2) - 1;
+
+        const candidates = rest
+            .map((p, index) => ({ p, index }))
+            .filter(({ p }) => !history[first.id].opponents.includes(p.id))
+            .sort((a, b) =>
+                Math.abs(points[first.id] - points[a.p.id]) - Math.abs(points[first.id] - points[b.p.id]) ||
+                Math.abs(a.index - idealIndex) - Math.abs(b.index - idealIndex)
+            );
+
+        for (const { p } of candidates) {
+            const remaining = rest.filter(r => r.id !== p.id);
+            const pairs = this.findPairings(remaining, standings, history);
+            if (pairs) return [[first, p], ...pairs];
+        }
+
+        return null;
+    },
+
+    /**
+     * Decide colours: the player who has had white less often gets white,
+     * then whoever had black last, then alternate by board
+     * @param {Object} higher - Higher-ranked player
+     * @param {Object} lower - Lower-ranked player
+     * @param {Object} history - Opponents and colours per player
+     * @param {number} board - Board index
+     * @returns {Array} [white, black]
+     */
+    assignColours(higher, lower, history, board) {
+        const h = history[higher.id];
+        const l = history[lower.id];
+
+        if (h.colourBalance !== l.colourBalance) {
+            return h.colourBalance < l.colourBalance ? [higher, lower] : [lower, higher];
+        }
+
+        if (h.lastColour && l.lastColour && h.lastColour !== l.lastColour) {
+            return h.lastColour === 'black' ? [higher, lower] : [lower, higher];
+        }
+
+        return board % 2 === 0 ? [higher, lower] : [lower, higher];
+    },
+
+    /**
+     * Collect opponents, colours and byes per player
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object} History keyed by participant ID
+     */
+    getHistory(tournamentId) {
+        const history = {};
+        ParticipantService.getByTournament(tournamentId).forEach(p => {
+            history[p.id] = { opponents: [], colourBalance: 0, lastColour: null, hadBye: false };
+        });
+
+        DB.find(DB.KEYS.MATCHES, { tournamentId })
+            .filter(m => this.isSwissMatch(m))
+            .sort((a, b) => a.round - b.round)
+            .forEach(match => {
+                const white = history[match.participant1Id];
+                const black = history[match.participant2Id];
+
+                if (match.isBye) {
+                    if (white) white.hadBye = true;
+                    return;
+                }
+
+                if (!white || !black) return;
+
+                white.opponents.push(match.participant2Id);
+                black.opponents.push(match.participant1Id);
+                white.colourBalance++;
+                black.colourBalance--;
+                white.lastColour = 'white';
+                black.lastColour = 'black';
+            });
+
+        return history;
+    },
+
+    /**
+     * Get standings with Buchholz and Sonneborn-Berger tiebreaks
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} Ranked rows
+     */
+    getStandings(tournamentId) {
+        const participants = ParticipantService.getByTournament(tournamentId);
+        const matches = DB.find(DB.KEYS.MATCHES, { tournamentId })
+            .filter(m => this.isSwissMatch(m) && m.status === 'completed');
+
+        const rows = {};
+        participants.forEach(participant => {
+            rows[participant.id] = {
+                participant,
+                played: 0,
+                won: 0,
+                drawn: 0,
+                lost: 0,
+                byes: 0,
+                points: 0,
+                buchholz: 0,
+                sonnebornBerger: 0,
+                results: []
+            };
+        });
+
+        matches.forEach(match => {
+            const white = rows[match.participant1Id];
+            const black = rows[match.participant2Id];
+
+            if (match.isBye) {
+                if (white) {
+                    white.byes++;
+                    white.points += this.POINTS.bye;
+                }
+                return;
+            }
+
+            if (!white || !black) return;
+
+            const whiteResult = !match.winnerId ? 'draw' : (match.winnerId === match.participant1Id ? 'win' : 'loss');
+            const blackResult = whiteResult === 'draw' ? 'draw' : (whiteResult === 'win' ? 'loss' : 'win');
+
+            this.applyResult(white, black.participant.id, whiteResult);
+            this.applyResult(black, white.participant.id, blackResult);
+        });
+
+        // Tiebreaks use the opponents' final scores
+        Object.values(rows).forEach(row => {
+            row.results.forEach(({ opponentId, result }) => {
+                const opponentPoints = rows[opponentId].points;
+                row.buchholz += opponentPoints;
+                row.sonnebornBerger += opponentPoints * this.POINTS[result];
+            });
+        });
+
+        return Object.values(rows)
+            .sort((a, b) =>
+                (b.points - a.points) ||
+                (b.buchholz - a.buchholz) ||
+                (b.sonnebornBerger - a.sonnebornBerger) ||
+                ((a.participant.seed || 999) - (b.participant.seed || 999))
+            )
+            .map((row, index) => ({ ...row, rank: index + 1 }));
+    },
+
+    /**
+     * Add one game result to a standings row
+     * @param {Object} row - Standings row
+     * @param {string} opponentId - Opponent participant ID
+     * @param {string} result - 'win', 'draw' or 'loss'
+     */
+    applyResult(row, opponentId, result) {
+        row.played++;
+        row.points += this.POINTS[result];
+        row.results.push({ opponentId, result });
+
+        if (result === 'win') row.won++;
+        else if (result === 'draw') row.drawn++;
+        else row.lost++;
+    },
+
+    /**
+     * Get Swiss rounds with games for display
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} Rounds with matches
+     */
+    getRounds(tournamentId) {
+        const rounds = {};
+
+        DB.find(DB.KEYS.MATCHES, { tournamentId })
+            .filter(m => this.isSwissMatch(m))
+            .sort((a, b) => a.round - b.round || a.matchNumber - b.matchNumber)
+            .forEach(match => {
+                if (!rounds[match.round]) {
+                    rounds[match.round] = {
+                        round: match.round,
+                        name: BracketService.getRoundName(match.round, null, 'swiss'),
+                        matches: []
+                    };
+                }
+
+                rounds[match.round].matches.push({
+                    ...match,
+                    participant1: ParticipantService.getById(match.participant1Id),
+                    participant2: match.participant2Id ? ParticipantService.getById(match.participant2Id) : null,
+                    winner: match.winnerId ? ParticipantService.getById(match.winnerId) : null
+                });
+            });
+
+        return Object.values(rounds);
+    }
+};
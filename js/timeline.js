@@ -0,0 +1,269 @@
+/**
+ * ====================================
+ * MATCH TIMELINE SERVICE
+ * Goals, cards and substitutions per match
+ * ====================================
+ */
+
+const TimelineService = {
+    /**
+     * Match event types
+     */
+    TYPES: {
+        goal: { label: 'Gol', icon: 'fa-futbol', color: '#10b981' },
+        own_goal: { label: 'Gol Bunuh Diri', icon: 'fa-futbol', color: '#64748b' },
+        yellow_card: { label: 'Kartu Kuning', icon: 'fa-square', color: '#facc15' },
+        red_card: { label: 'Kartu Merah', icon: 'fa-square', color: '#ef4444' },
+        substitution: { label: 'Pergantian', icon: 'fa-exchange-alt', color: '#3b82f6' }
+    },
+
+    /**
+     * Fair-play penalty points per card
+     */
+    CARD_POINTS: {
+        yellow_card: 1,
+        red_card: 3
+    },
+
+    /**
+     * Latest minute accepted for an event (extra time included)
+     */
+    MAX_MINUTE: 200,
+
+    /**
+     * Validate event data. Teams with a roster must pick registered players;
+     * teams without one type the names in.
+     * @param {Object} match - Match object
+     * @param {Object} data - { minute, type, participantId, playerId, player, playerOutId, playerOut }
+     * @throws {Error} If validation fails
+     */
+    validate(match, data) {
+        if (!Number.isInteger(data.minute) || data.minute < 0 || data.minute > this.MAX_MINUTE) {
+            throw new Error(`Menit harus antara 0 dan ${this.MAX_MINUTE}`);
+        }
+
+        if (!this.TYPES[data.type]) {
+            throw new Error('Jenis kejadian tidak valid');
+        }
+
+        if (!data.participantId || ![match.participant1Id, match.participant2Id].includes(data.participantId)) {
+            throw new Error('Tim tidak bermain di match ini');
+        }
+
+        const team = ParticipantService.getById(data.participantId);
+        if (team?.players?.length) {
+            if (!ParticipantService.getPlayer(team, data.playerId)) {
+                throw new Error('Pemain tidak terdaftar di tim ini');
+            }
+            if (data.type === 'substitution') {
+                if (!ParticipantService.getPlayer(team, data.playerOutId)) {
+                    throw new Error('Pemain yang keluar tidak terdaftar di tim ini');
+                }
+                if (data.playerOutId === data.playerId) {
+                    throw new Error('Pemain masuk dan keluar harus berbeda');
+                }
+            }
+            return;
+        }
+
+        if (!data.player || data.player.trim().length === 0) {
+            throw new Error('Nama pemain wajib diisi');
+        }
+
+        if (data.player.trim().length > 50 || (data.playerOut && data.playerOut.trim().length > 50)) {
+            throw new Error('Nama pemain maksimal 50 karakter');
+        }
+
+        if (data.type === 'substitution' && !data.playerOut?.trim()) {
+            throw new Error('Isi pemain yang keluar');
+        }
+    },
+
+    /**
+     * Get the player fields of an event: roster players by ID (name kept
+     * for display), otherwise the typed names
+     * @param {Object} data - Validated event data
+     * @returns {Object} { playerId, player, playerOutId, playerOut }
+     */
+    getPlayerFields(data) {
+        const team = ParticipantService.getById(data.participantId);
+        const isSubstitution = data.type === 'substitution';
+
+        if (team?.players?.length) {
+            return {
+                playerId: data.playerId,
+                player: ParticipantService.getPlayer(team, data.playerId).name,
+                playerOutId: isSubstitution ? data.playerOutId : null,
+                playerOut: isSubstitution ? ParticipantService.getPlayer(team, data.playerOutId).name : null
+            };
+        }
+
+        return {
+            playerId: null,
+            player: data.player.trim(),
+            playerOutId: null,
+            playerOut: isSubstitution ? data.playerOut.trim() : null
+        };
+    },
+
+    /**
+     * Get the slot whose score a goal counts for (own goals count for the opponent)
+     * @param {Object} match - Match object
+     * @param {Object} event - Match event
+     * @returns {number|null} 1, 2 or null if the event isn't a goal
+     */
+    getScoringSlot(match, event) {
+        if (event.type !== 'goal' && event.type !== 'own_goal') return null;
+
+        const isTeam1 = event.participantId === match.participant1Id;
+        return (event.type === 'goal') === isTeam1 ? 1 : 2;
+    },
+
+    /**
+     * Get the running score change when a goal is logged in a live match
+     * @param {Object} match - Match object
+     * @param {Object} event - Match event
+     * @param {number} delta - +1 when adding, -1 when removing
+     * @returns {Object} Score fields to update (empty if the score doesn't change)
+     */
+    getScoreUpdate(match, event, delta) {
+        const slot = this.getScoringSlot(match, event);
+        if (!slot || match.status !== 'live' || (match.bestOf || 1) > 1) return {};
+
+        const key = `score${slot}`;
+        return { [key]: Math.max(0, (match[key] || 0) + delta) };
+    },
+
+    /**
+     * Log an event. In a live match a goal also adds to the running score.
+     * @param {string} matchId - Match ID
+     * @param {Object} data - { minute, type, participantId, playerId, player, playerOutId, playerOut }
+     * @returns {Object} Created event
+     */
+    add(matchId, data) {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match) {
+            throw new Error('Match tidak ditemukan');
+        }
+
+        TournamentService.requireScorer(match);
+
+        if (match.status !== 'live' && match.status !== 'completed') {
+            throw new Error('Match belum dimulai');
+        }
+
+        this.validate(match, data);
+
+        const event = {
+            id: DB.generateId(),
+            minute: data.minute,
+            type: data.type,
+            participantId: data.participantId,
+            ...this.getPlayerFields(data)
+        };
+
+        // Keep the timeline in match order; same-minute events stay in logging order
+        const events = [...(match.events || []), event].sort((a, b) => a.minute - b.minute);
+
+        DB.update(DB.KEYS.MATCHES, matchId, {
+            events,
+            ...this.getScoreUpdate(match, event, 1)
+        });
+
+        BracketService.emit('match_event', match.tournamentId, { matchId, eventId: event.id, eventType: event.type });
+
+        console.log(`📝 ${this.TYPES[event.type].label} ${event.minute}' ${event.player}`);
+        return event;
+    },
+
+    /**
+     * Remove an event logged by mistake (a live goal comes off the score too)
+     * @param {string} matchId - Match ID
+     * @param {string} eventId - Event ID
+     * @returns {Object} Updated match
+     */
+    remove(matchId, eventId) {
+        const match = DB.getById(DB.KEYS.MATCHES, matchId);
+        if (!match) {
+            throw new Error('Match tidak ditemukan');
+        }
+
+        TournamentService.requireScorer(match);
+
+        const event = (match.events || []).find(e => e.id === eventId);
+        if (!event) {
+            throw new Error('Kejadian tidak ditemukan');
+        }
+
+        DB.update(DB.KEYS.MATCHES, matchId, {
+            events: match.events.filter(e => e.id !== eventId),
+            ...this.getScoreUpdate(match, event, -1)
+        });
+
+        BracketService.emit('match_event', match.tournamentId, { matchId, eventId, eventType: event.type });
+
+        return BracketService.getMatch(matchId);
+    },
+
+    /**
+     * Get every event of a tournament's matches
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} Events with their matchId
+     */
+    getEvents(tournamentId) {
+        return DB.find(DB.KEYS.MATCHES, { tournamentId })
+            .flatMap(match => (match.events || []).map(event => ({ ...event, matchId: match.id })));
+    },
+
+    /**
+     * Get the goal scorers ranking (own goals don't count). Roster players
+     * are counted by ID, typed names per team.
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} [{ player, number, participant, goals }] most goals first
+     */
+    getTopScorers(tournamentId) {
+        const scorers = new Map();
+
+        this.getEvents(tournamentId)
+            .filter(event => event.type === 'goal')
+            .forEach(event => {
+                const key = event.playerId || `${event.participantId}:${event.player.toLowerCase()}`;
+                if (!scorers.has(key)) {
+                    const participant = ParticipantService.getById(event.participantId);
+                    const rosterPlayer = ParticipantService.getPlayer(participant, event.playerId);
+                    scorers.set(key, {
+                        player: rosterPlayer?.name || event.player,
+                        number: rosterPlayer?.number ?? null,
+                        participant,
+                        goals: 0
+                    });
+                }
+                scorers.get(key).goals++;
+            });
+
+        return [...scorers.values()]
+            .sort((a, b) => b.goals - a.goals || a.player.localeCompare(b.player));
+    },
+
+    /**
+     * Get the fair-play table: cards per team, fewest penalty points first
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Array} [{ participant, yellowCards, redCards, points }]
+     */
+    getFairPlay(tournamentId) {
+        const rows = new Map(DB.find(DB.KEYS.PARTICIPANTS, { tournamentId })
+            .map(participant => [participant.id, { participant, yellowCards: 0, redCards: 0, points: 0 }]));
+
+        this.getEvents(tournamentId)
+            .filter(event => this.CARD_POINTS[event.type] && rows.has(event.participantId))
+            .forEach(event => {
+                const row = rows.get(event.participantId);
+                if (event.type === 'yellow_card') row.yellowCards++;
+                if (event.type === 'red_card') row.redCards++;
+                row.points += this.CARD_POINTS[event.type];
+            });
+
+        return [...rows.values()]
+            .sort((a, b) => a.points - b.points || a.participant.name.localeCompare(b.participant.name));
+    }
+};
@@ -10,10 +10,38 @@ const TournamentService = {
      * Tournament Types
      */
     TYPES: {
-        futsal: { label: 'Futsal', icon: '⚽', color: '#10b981' },
-        esport: { label: 'E-Sport', icon: '🎮', color: '#8b5cf6' },
-        chess: { label: 'Catur', icon: '♟️', color: '#64748b' },
-        custom: { label: 'Custom', icon: '🏆', color: '#3b82f6' }
+        futsal: {
+            label: 'Futsal', icon: '⚽', color: '#10b981',
+            periods: { count: 2, minutes: 20, label: 'Babak' },
+            roster: { min: 5, max: 14, positions: ['Kiper', 'Anchor', 'Flank', 'Pivot'] }
+        },
+        esport: {
+            label: 'E-Sport', icon: '🎮', color: '#8b5cf6',
+            periods: { count: 1, minutes: null, label: 'Game' },
+            roster: { min: 5, max: 7, positions: ['Kapten', 'Pemain', 'Cadangan'] }
+        },
+        chess: {
+            label: 'Catur', icon: '♟️', color: '#64748b',
+            periods: { count: 1, minutes: null, label: 'Partai' },
+            roster: { min: 4, max: 6, positions: ['Papan 1', 'Papan 2', 'Papan 3', 'Papan 4', 'Cadangan'] }
+        },
+        // Positions are free text for custom tournaments
+        custom: {
+            label: 'Custom', icon: '🏆', color: '#3b82f6',
+            periods: { count: 2, minutes: null, label: 'Babak' },
+            roster: { min: 1, max: 30, positions: [] }
+        }
+    },
+
+    /**
+     * Bracket Formats
+     */
+    FORMATS: {
+        single_elimination: { label: 'Single Elimination', icon: 'fa-sitemap' },
+        double_elimination: { label: 'Double Elimination', icon: 'fa-code-branch' },
+        round_robin: { label: 'Round Robin', icon: 'fa-table' },
+        hybrid: { label: 'Grup + Knockout', icon: 'fa-layer-group' },
+        swiss: { label: 'Swiss System', icon: 'fa-chess-board' }
     },
 
     /**
@@ -23,13 +51,38 @@ const TournamentService = {
         draft: { label: 'Draft', color: '#64748b' },
         registration: { label: 'Pendaftaran', color: '#3b82f6' },
         ongoing: { label: 'Berlangsung', color: '#10b981' },
+        group_stage: { label: 'Fase Grup', color: '#10b981' },
+        knockout: { label: 'Fase Gugur', color: '#8b5cf6' },
         completed: { label: 'Selesai', color: '#fbbf24' }
     },
 
     /**
-     * Valid participant counts (must be power of 2)
+     * Roles: organisers manage everything, scorekeepers enter every
+     * result, referees only their assigned matches or venues and
+     * viewers (not logged in) only look
+     */
+    ROLES: {
+        organiser: { label: 'Penyelenggara', icon: 'fa-user-shield' },
+        scorekeeper: { label: 'Pencatat Skor', icon: 'fa-clipboard-list' },
+        referee: { label: 'Wasit', icon: 'fa-flag' },
+        viewer: { label: 'Penonton', icon: 'fa-eye' }
+    },
+
+    /**
+     * Participant count limits (knockout brackets are padded with byes)
+     */
+    MIN_PARTICIPANTS: 2,
+    MAX_PARTICIPANTS: 256,
+
+    /**
+     * Login: PBKDF2 iterations, session lifetime and lockout
+     * after too many wrong passwords
      */
-    VALID_COUNTS: [4, 8, 16, 32, 64],
+    PASSWORD_ITERATIONS: 310000,
+    SESSION_TTL: 8 * 60 * 60 * 1000,
+    MAX_LOGIN_ATTEMPTS: 5,
+    LOGIN_LOCKOUT: 5 * 60 * 1000,
+    LOGIN_ATTEMPTS_KEY: 'tb_login_attempts',
 
     /**
      * Get all tournaments
@@ -61,7 +114,7 @@ const TournamentService = {
     },
 
     /**
-     * Create new tournament
+     * Create new tournament (protect it afterwards with setAdminPassword)
      * @param {Object} data - Tournament data
      * @returns {Object} Created tournament
      */
@@ -69,15 +122,24 @@ const TournamentService = {
         // Validate
         this.validate(data);
 
-        // Calculate total rounds based on participant count
-        const totalRounds = Math.log2(data.participantCount);
-
-        // Generate admin token for authentication
-        const adminToken = this.generateAdminToken();
+        // Calculate total rounds based on the bracket size
+        const totalRounds = Math.log2(BracketService.getBracketSize(data.participantCount));
 
         const tournament = DB.insert(DB.KEYS.TOURNAMENTS, {
             name: data.name.trim(),
             type: data.type,
+            format: data.format || 'single_elimination',
+            grandFinalReset: data.format === 'double_elimination' && data.grandFinalReset !== false,
+            protectedSeeding: !!data.protectedSeeding,
+            thirdPlaceMatch: ['single_elimination', 'hybrid'].includes(data.format || 'single_elimination') && !!data.thirdPlaceMatch,
+            bestOf: data.bestOf || 1,
+            finalBestOf: data.finalBestOf || data.bestOf || 1,
+            forfeitScore: data.forfeitScore || null,
+            groupCount: ['round_robin', 'hybrid'].includes(data.format) ? (data.groupCount || 1) : null,
+            qualifiersPerGroup: data.format === 'hybrid' ? (data.qualifiersPerGroup || 2) : null,
+            swissRounds: data.format === 'swiss'
+                ? (data.swissRounds || SwissService.getDefaultRounds(data.participantCount))
+                : null,
             status: 'draft',
             participantCount: data.participantCount,
             maxParticipants: data.participantCount,
@@ -87,98 +149,541 @@ const TournamentService = {
             rules: data.rules?.trim() || '',
             startDate: data.startDate || null,
             endDate: data.endDate || null,
-            adminPassword: data.adminPassword || null,
-            adminToken: adminToken
+            credentials: [],
+            scheduleSettings: null
         });
 
-        // Store admin token in session for this tournament
-        this.setAdminSession(tournament.id, adminToken);
-
         console.log('✅ Tournament created:', tournament.name);
         return tournament;
     },
 
     /**
-     * Generate random admin token
-     * @returns {string} Admin token
+     * Generate a random session token (shown to the browser once, only
+     * its hash is stored)
+     * @returns {string} Session token
      */
     generateAdminToken() {
-        return 'admin_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 12);
+        const bytes = crypto.getRandomValues(new Uint8Array(32));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * SHA-256 of a session token. Synchronous (unlike WebCrypto) so
+     * permission checks can stay synchronous.
+     * @param {string} token - Session token
+     * @returns {string} Hex digest
+     */
+    hashToken(token) {
+        const K = [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+        const H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        // Pad the message: 0x80, zeros, then the bit length (64-bit big-endian)
+        const bytes = [...new TextEncoder().encode(token)];
+        const bitLength = bytes.length * 8;
+        bytes.push(0x80);
+        while (bytes.length % 64 !== 56) bytes.push(0);
+        for (let i = 7; i >= 0; i--) bytes.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+
+        const w = new Array(64);
+        for (let offset = 0; offset < bytes.length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = H;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) | 0, c, b, a, (t1 + t2) | 0];
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => { H[i] = (H[i] + value) | 0; });
+        }
+
+        return H.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
     },
 
     /**
-     * Set admin session for a tournament
+     * Start a session for a credential: a fresh token for this browser and
+     * its hash with an expiry for the credential record
+     * @param {Object} credential - Credential
+     * @returns {Object} { token, credential } (credential with the session added, expired ones dropped)
+     */
+    createSession(credential) {
+        const token = this.generateAdminToken();
+        const now = Date.now();
+        const sessions = (credential.sessions || []).filter(s => s.expiresAt > now);
+
+        return {
+            token,
+            credential: {
+                ...credential,
+                sessions: [...sessions, { tokenHash: this.hashToken(token), expiresAt: now + this.SESSION_TTL }]
+            }
+        };
+    },
+
+    /**
+     * Hash a password with PBKDF2 (WebCrypto)
+     * @param {string} password - Plain password
+     * @param {string} salt - Base64 salt (a random one is made when omitted)
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<Object>} { algorithm, iterations, salt, hash }
+     */
+    async hashPassword(password, salt = null, iterations = this.PASSWORD_ITERATIONS) {
+        const saltBytes = salt
+            ? Uint8Array.from(atob(salt), c => c.charCodeAt(0))
+            : crypto.getRandomValues(new Uint8Array(16));
+
+        const key = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+            key,
+            256
+        );
+
+        const toBase64 = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+        return {
+            algorithm: 'PBKDF2-SHA256',
+            iterations,
+            salt: toBase64(saltBytes),
+            hash: toBase64(bits)
+        };
+    },
+
+    /**
+     * Check a password against a stored hash
+     * @param {string} password - Plain password
+     * @param {Object} stored - { algorithm, iterations, salt, hash }
+     * @returns {Promise<boolean>} Password matches
+     */
+    async verifyPassword(password, stored) {
+        if (!stored || stored.algorithm !== 'PBKDF2-SHA256') return false;
+
+        const { hash } = await this.hashPassword(password, stored.salt, stored.iterations);
+
+        // Compare every character so the time taken doesn't reveal a prefix
+        let diff = hash.length ^ stored.hash.length;
+        for (let i = 0; i < hash.length; i++) {
+            diff |= hash.charCodeAt(i) ^ stored.hash.charCodeAt(i);
+        }
+        return diff === 0;
+    },
+
+    /**
+     * Check if a tournament is protected by login credentials
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} Has credentials
+     */
+    hasPassword(tournament) {
+        return !!(tournament && tournament.credentials && tournament.credentials.length > 0);
+    },
+
+    /**
+     * Remember this browser's session token for a tournament
      * @param {string} tournamentId - Tournament ID
-     * @param {string} token - Admin token
+     * @param {string} token - Session token
      */
     setAdminSession(tournamentId, token) {
         const sessions = JSON.parse(sessionStorage.getItem('tb_admin_sessions') || '{}');
-        sessions[tournamentId] = token;
+        sessions[tournamentId] = { token };
         sessionStorage.setItem('tb_admin_sessions', JSON.stringify(sessions));
     },
 
     /**
-     * Check if current user is admin for tournament
+     * Get this browser's session token for a tournament
+     * @param {string} tournamentId - Tournament ID
+     * @returns {string|null} Session token
+     */
+    getSessionToken(tournamentId) {
+        const session = JSON.parse(sessionStorage.getItem('tb_admin_sessions') || '{}')[tournamentId];
+        return session?.token || null;
+    },
+
+    /**
+     * Get the credential the current user is logged in with. The session
+     * token must match a stored hash that hasn't expired.
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object|null} Credential
+     */
+    getCredential(tournamentId) {
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+        if (!this.hasPassword(tournament)) return null;
+
+        const token = this.getSessionToken(tournamentId);
+        if (!token) return null;
+
+        const tokenHash = this.hashToken(token);
+        const now = Date.now();
+        return tournament.credentials.find(c =>
+            (c.sessions || []).some(s => s.tokenHash === tokenHash && s.expiresAt > now)
+        ) || null;
+    },
+
+    /**
+     * Get the current user's role in a tournament
+     * @param {string} tournamentId - Tournament ID
+     * @returns {string} ROLES key
+     */
+    getRole(tournamentId) {
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+        if (!tournament) return 'viewer';
+
+        // If no credentials set, allow all (for backward compatibility)
+        if (!this.hasPassword(tournament)) return 'organiser';
+
+        const credential = this.getCredential(tournamentId);
+        return credential ? credential.role : 'viewer';
+    },
+
+    /**
+     * Check if current user is admin (organiser) for tournament
      * @param {string} tournamentId - Tournament ID
      * @returns {boolean} Is admin
      */
     isAdmin(tournamentId) {
-        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
-        if (!tournament) return false;
+        return this.getRole(tournamentId) === 'organiser';
+    },
 
-        // If no password set, allow all (for backward compatibility)
-        if (!tournament.adminPassword) return true;
+    /**
+     * Make sure the current user is admin for a tournament
+     * @param {string} tournamentId - Tournament ID
+     * @throws {Error} If not admin
+     */
+    requireAdmin(tournamentId) {
+        if (!this.isAdmin(tournamentId)) {
+            throw new Error('Unauthorized: Anda bukan admin turnamen ini');
+        }
+    },
 
-        const sessions = JSON.parse(sessionStorage.getItem('tb_admin_sessions') || '{}');
-        return sessions[tournamentId] === tournament.adminToken;
+    /**
+     * Check if the current user may enter results for a match. Referees
+     * only score matches assigned to them, directly or by venue.
+     * @param {Object} match - Match object
+     * @returns {boolean} Can score
+     */
+    canScore(match) {
+        const role = this.getRole(match.tournamentId);
+        if (role === 'organiser' || role === 'scorekeeper') return true;
+        if (role !== 'referee') return false;
+
+        const credential = this.getCredential(match.tournamentId);
+        return credential.matchIds.includes(match.id) ||
+            (!!match.venue && credential.venues.includes(match.venue));
+    },
+
+    /**
+     * Make sure the current user may enter results for a match
+     * @param {Object} match - Match object
+     * @throws {Error} If not allowed
+     */
+    requireScorer(match) {
+        if (this.canScore(match)) return;
+
+        if (this.getRole(match.tournamentId) === 'referee') {
+            throw new Error('Unauthorized: Match ini tidak ditugaskan kepada Anda');
+        }
+        throw new Error('Unauthorized: Anda bukan admin turnamen ini');
     },
 
     /**
-     * Authenticate as admin with password
+     * Authenticate with a credential's password. Failed attempts are
+     * counted per tournament across tabs; too many lock the login for a while.
      * @param {string} tournamentId - Tournament ID
-     * @param {string} password - Admin password
-     * @returns {boolean} Authentication success
+     * @param {string} password - Password
+     * @param {string} credentialId - Credential to log in as (any when omitted)
+     * @returns {Promise<boolean>} Authentication success
+     * @throws {Error} If login is locked
      */
-    authenticate(tournamentId, password) {
+    async authenticate(tournamentId, password, credentialId = null) {
         const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
-        if (!tournament) return false;
+        if (!this.hasPassword(tournament)) return false;
+
+        // On a sync server the password is checked there (this browser
+        // never receives password hashes); it keeps the lockout too
+        if (DB.backend === 'remote') {
+            try {
+                const { token, tournament: updated } = await DB.fetchRemote('POST', '/api/login', {
+                    tournamentId, credentialId, password
+                });
+                DB.receiveRecord(DB.KEYS.TOURNAMENTS, tournamentId, updated);
+                this.setAdminSession(tournamentId, token);
+                return true;
+            } catch (e) {
+                if (e.status === 401) return false;
+                throw e;
+            }
+        }
+
+        const attempts = JSON.parse(localStorage.getItem(this.LOGIN_ATTEMPTS_KEY) || '{}');
+        const record = attempts[tournamentId] || { count: 0, lockedUntil: 0 };
+
+        if (record.lockedUntil > Date.now()) {
+            const minutes = Math.ceil((record.lockedUntil - Date.now()) / 60000);
+            throw new Error(`Terlalu banyak percobaan login. Coba lagi dalam ${minutes} menit`);
+        }
+
+        let matched = null;
+        const candidates = tournament.credentials.filter(c => !credentialId || c.id === credentialId);
+        for (const credential of candidates) {
+            if (await this.verifyPassword(password, credential.passwordHash)) {
+                matched = credential;
+                break;
+            }
+        }
 
-        if (tournament.adminPassword === password) {
-            this.setAdminSession(tournamentId, tournament.adminToken);
-            return true;
+        if (matched) {
+            delete attempts[tournamentId];
+
+            // Re-read after hashing so concurrent changes aren't lost
+            const current = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+            const { token, credential } = this.createSession(current.credentials.find(c => c.id === matched.id));
+            DB.update(DB.KEYS.TOURNAMENTS, tournamentId, {
+                credentials: current.credentials.map(c => c.id === credential.id ? credential : c)
+            });
+            this.setAdminSession(tournamentId, token);
+        } else {
+            record.count = record.lockedUntil ? 1 : record.count + 1;
+            record.lockedUntil = record.count >= this.MAX_LOGIN_ATTEMPTS ? Date.now() + this.LOGIN_LOCKOUT : 0;
+            attempts[tournamentId] = record;
         }
-        return false;
+
+        localStorage.setItem(this.LOGIN_ATTEMPTS_KEY, JSON.stringify(attempts));
+        return !!matched;
     },
 
     /**
-     * Logout admin session for tournament
+     * Logout: the session's token is revoked on the credential, not just
+     * forgotten by this browser
      * @param {string} tournamentId - Tournament ID
+     * @returns {Promise} Resolves when logged out
      */
-    logoutAdmin(tournamentId) {
+    async logoutAdmin(tournamentId) {
+        const token = this.getSessionToken(tournamentId);
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+
+        if (token && DB.backend === 'remote') {
+            const { tournament: updated } = await DB.fetchRemote('POST', '/api/logout', { tournamentId }, undefined, token);
+            DB.receiveRecord(DB.KEYS.TOURNAMENTS, tournamentId, updated);
+        } else if (token && this.hasPassword(tournament)) {
+            const tokenHash = this.hashToken(token);
+            const now = Date.now();
+            const holder = tournament.credentials.find(c => (c.sessions || []).some(s => s.tokenHash === tokenHash));
+
+            if (holder) {
+                DB.update(DB.KEYS.TOURNAMENTS, tournamentId, {
+                    credentials: tournament.credentials.map(c => c.id !== holder.id ? c : {
+                        ...c,
+                        sessions: c.sessions.filter(s => s.tokenHash !== tokenHash && s.expiresAt > now)
+                    })
+                });
+            }
+        }
+
         const sessions = JSON.parse(sessionStorage.getItem('tb_admin_sessions') || '{}');
         delete sessions[tournamentId];
         sessionStorage.setItem('tb_admin_sessions', JSON.stringify(sessions));
     },
 
     /**
-     * Set or update admin password
+     * List a tournament's credentials without their secrets
      * @param {string} tournamentId - Tournament ID
-     * @param {string} newPassword - New password
-     * @returns {Object} Updated tournament
+     * @returns {Array} { id, name, role, matchIds, venues }
      */
-    setAdminPassword(tournamentId, newPassword) {
-        if (!this.isAdmin(tournamentId)) {
-            throw new Error('Unauthorized: Anda bukan admin turnamen ini');
+    getCredentials(tournamentId) {
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+        if (!tournament) return [];
+
+        return (tournament.credentials || []).map(({ id, name, role, matchIds, venues }) => ({
+            id, name, role, matchIds, venues
+        }));
+    },
+
+    /**
+     * Validate credential data
+     * @param {Object} tournament - Tournament object
+     * @param {Object} data - { name, role, password, matchIds, venues }
+     * @param {string} credentialId - Credential being edited (null when adding)
+     * @throws {Error} If validation fails
+     */
+    validateCredential(tournament, data, credentialId = null) {
+        if (!data.name || data.name.trim().length === 0) {
+            throw new Error('Nama akun wajib diisi');
         }
 
-        const adminToken = this.generateAdminToken();
-        const updated = DB.update(DB.KEYS.TOURNAMENTS, tournamentId, {
-            adminPassword: newPassword,
-            adminToken: adminToken
+        if (!this.ROLES[data.role] || data.role === 'viewer') {
+            throw new Error('Peran tidak valid');
+        }
+
+        const others = tournament.credentials.filter(c => c.id !== credentialId);
+        if (others.some(c => c.name.toLowerCase() === data.name.trim().toLowerCase())) {
+            throw new Error('Nama akun sudah digunakan');
+        }
+
+        // Someone must be able to manage the tournament
+        if (data.role !== 'organiser' && !others.some(c => c.role === 'organiser')) {
+            throw new Error('Harus ada minimal satu akun penyelenggara');
+        }
+
+        const matchIds = new Set(DB.find(DB.KEYS.MATCHES, { tournamentId: tournament.id }).map(m => m.id));
+        if ((data.matchIds || []).some(id => !matchIds.has(id))) {
+            throw new Error('Match yang ditugaskan tidak ditemukan');
+        }
+    },
+
+    /**
+     * Add a login credential to a tournament
+     * @param {string} tournamentId - Tournament ID
+     * @param {Object} data - { name, role, password, matchIds, venues } (match and venue assignments apply to referees)
+     * @returns {Promise<Object>} Credential without its secrets
+     */
+    async addCredential(tournamentId, data) {
+        this.requireAdmin(tournamentId);
+
+        if (!data.password) {
+            throw new Error('Password wajib diisi');
+        }
+
+        const passwordHash = await this.hashPassword(data.password);
+
+        // Re-read after hashing so concurrent changes aren't lost
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+        this.validateCredential(tournament, data);
+
+        let credential = {
+            id: DB.generateId(),
+            name: data.name.trim(),
+            role: data.role,
+            passwordHash,
+            sessions: [],
+            matchIds: data.role === 'referee' ? (data.matchIds || []) : [],
+            venues: data.role === 'referee' ? (data.venues || []).map(v => v.trim()).filter(Boolean) : []
+        };
+
+        // Whoever protects an open tournament stays logged in
+        let token = null;
+        if (tournament.credentials.length === 0) {
+            ({ token, credential } = this.createSession(credential));
+        }
+
+        DB.update(DB.KEYS.TOURNAMENTS, tournamentId, {
+            credentials: [...tournament.credentials, credential]
         });
 
-        this.setAdminSession(tournamentId, adminToken);
-        return updated;
+        if (token) {
+            this.setAdminSession(tournamentId, token);
+        }
+
+        console.log('🔑 Credential added:', credential.name, `(${credential.role})`);
+        return this.getCredentials(tournamentId).find(c => c.id === credential.id);
+    },
+
+    /**
+     * Update a credential; a new password logs out everyone using it
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} credentialId - Credential ID
+     * @param {Object} data - Fields to change { name, role, password, matchIds, venues }
+     * @returns {Promise<Object>} Credential without its secrets
+     */
+    async updateCredential(tournamentId, credentialId, data) {
+        this.requireAdmin(tournamentId);
+
+        const passwordHash = data.password ? await this.hashPassword(data.password) : null;
+
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+        const existing = tournament.credentials.find(c => c.id === credentialId);
+        if (!existing) {
+            throw new Error('Akun tidak ditemukan');
+        }
+
+        const merged = { ...existing, ...data, name: data.name !== undefined ? data.name : existing.name };
+        this.validateCredential(tournament, merged, credentialId);
+
+        const isCurrent = this.getCredential(tournamentId)?.id === credentialId;
+        let credential = {
+            ...existing,
+            name: merged.name.trim(),
+            role: merged.role,
+            matchIds: merged.role === 'referee' ? (merged.matchIds || []) : [],
+            venues: merged.role === 'referee' ? (merged.venues || []).map(v => v.trim()).filter(Boolean) : []
+        };
+        // A new password ends every session of the account; the user who
+        // changed it gets a fresh one
+        let token = null;
+        if (passwordHash) {
+            credential.passwordHash = passwordHash;
+            credential.sessions = [];
+            if (isCurrent) ({ token, credential } = this.createSession(credential));
+        }
+
+        DB.update(DB.KEYS.TOURNAMENTS, tournamentId, {
+            credentials: tournament.credentials.map(c => c.id === credentialId ? credential : c)
+        });
+
+        if (token) {
+            this.setAdminSession(tournamentId, token);
+        }
+
+        return this.getCredentials(tournamentId).find(c => c.id === credentialId);
+    },
+
+    /**
+     * Remove a credential (removing the last one leaves the tournament open)
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} credentialId - Credential ID
+     * @returns {Object} Updated tournament
+     */
+    removeCredential(tournamentId, credentialId) {
+        this.requireAdmin(tournamentId);
+
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
+        const remaining = tournament.credentials.filter(c => c.id !== credentialId);
+        if (remaining.length === tournament.credentials.length) {
+            throw new Error('Akun tidak ditemukan');
+        }
+
+        if (remaining.length > 0 && !remaining.some(c => c.role === 'organiser')) {
+            throw new Error('Harus ada minimal satu akun penyelenggara');
+        }
+
+        return DB.update(DB.KEYS.TOURNAMENTS, tournamentId, { credentials: remaining });
+    },
+
+    /**
+     * Set or update the admin password: the password of the organiser
+     * account in use, or a first organiser account for an open tournament
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} newPassword - New password
+     * @returns {Promise<Object>} Updated tournament
+     */
+    async setAdminPassword(tournamentId, newPassword) {
+        this.requireAdmin(tournamentId);
+
+        const credential = this.getCredential(tournamentId);
+        if (credential) {
+            await this.updateCredential(tournamentId, credential.id, { password: newPassword });
+        } else {
+            await this.addCredential(tournamentId, { name: 'Admin', role: 'organiser', password: newPassword });
+        }
+
+        return DB.getById(DB.KEYS.TOURNAMENTS, tournamentId);
     },
 
     /**
@@ -193,6 +698,8 @@ const TournamentService = {
             throw new Error('Tournament tidak ditemukan');
         }
 
+        this.requireAdmin(id);
+
         // Don't allow changing participant count if bracket already generated
         if (data.participantCount && tournament.status !== 'draft') {
             throw new Error('Tidak dapat mengubah jumlah peserta setelah bracket dibuat');
@@ -202,6 +709,62 @@ const TournamentService = {
 
         if (data.name) updates.name = data.name.trim();
         if (data.type) updates.type = data.type;
+        if (data.format) {
+            if (!this.FORMATS[data.format]) {
+                throw new Error('Format turnamen tidak valid');
+            }
+            if (tournament.status !== 'draft') {
+                throw new Error('Tidak dapat mengubah format setelah bracket dibuat');
+            }
+            updates.format = data.format;
+        }
+        if (data.grandFinalReset !== undefined) updates.grandFinalReset = !!data.grandFinalReset;
+        if (data.protectedSeeding !== undefined) updates.protectedSeeding = !!data.protectedSeeding;
+        ['bestOf', 'finalBestOf'].forEach(key => {
+            if (data[key] === undefined) return;
+            if (!BracketService.BEST_OF_OPTIONS.includes(data[key])) {
+                throw new Error('Format seri harus Bo1, Bo3, Bo5, atau Bo7');
+            }
+            if (tournament.status !== 'draft') {
+                throw new Error('Ubah format seri per babak dari halaman bracket');
+            }
+            updates[key] = data[key];
+        });
+        if (data.forfeitScore !== undefined) {
+            this.validateForfeitScore(data.forfeitScore);
+            updates.forfeitScore = data.forfeitScore || null;
+        }
+        if (data.thirdPlaceMatch !== undefined) {
+            if (tournament.status !== 'draft') {
+                throw new Error('Tidak dapat mengubah perebutan juara 3 setelah bracket dibuat');
+            }
+            updates.thirdPlaceMatch = !!data.thirdPlaceMatch;
+        }
+        if (data.groupCount !== undefined) {
+            if (tournament.status !== 'draft') {
+                throw new Error('Tidak dapat mengubah jumlah grup setelah bracket dibuat');
+            }
+            GroupService.validateGroups(data.participantCount || tournament.participantCount, data.groupCount);
+            updates.groupCount = data.groupCount;
+        }
+        if (data.qualifiersPerGroup !== undefined) {
+            if (tournament.status !== 'draft') {
+                throw new Error('Tidak dapat mengubah jumlah peserta lolos setelah bracket dibuat');
+            }
+            GroupService.validateQualifiers(
+                data.participantCount || tournament.participantCount,
+                data.groupCount || tournament.groupCount || 1,
+                data.qualifiersPerGroup
+            );
+            updates.qualifiersPerGroup = data.qualifiersPerGroup;
+        }
+        if (data.swissRounds !== undefined) {
+            if (tournament.status !== 'draft') {
+                throw new Error('Tidak dapat mengubah jumlah ronde setelah bracket dibuat');
+            }
+            SwissService.validateRounds(data.participantCount || tournament.participantCount, data.swissRounds);
+            updates.swissRounds = data.swissRounds;
+        }
         if (data.description !== undefined) updates.description = data.description.trim();
         if (data.rules !== undefined) updates.rules = data.rules.trim();
         if (data.startDate !== undefined) updates.startDate = data.startDate;
@@ -209,7 +772,7 @@ const TournamentService = {
         if (data.participantCount) {
             updates.participantCount = data.participantCount;
             updates.maxParticipants = data.participantCount;
-            updates.totalRounds = Math.log2(data.participantCount);
+            updates.totalRounds = Math.log2(BracketService.getBracketSize(data.participantCount));
         }
 
         return DB.update(DB.KEYS.TOURNAMENTS, id, updates);
@@ -221,6 +784,8 @@ const TournamentService = {
      * @returns {boolean} Success status
      */
     delete(id) {
+        this.requireAdmin(id);
+
         // Delete related data first
         DB.deleteWhere(DB.KEYS.PARTICIPANTS, { tournamentId: id });
         DB.deleteWhere(DB.KEYS.MATCHES, { tournamentId: id });
@@ -244,6 +809,7 @@ const TournamentService = {
         if (!this.STATUSES[status]) {
             throw new Error('Status tidak valid');
         }
+        this.requireAdmin(id);
         return DB.update(DB.KEYS.TOURNAMENTS, id, { status });
     },
 
@@ -265,8 +831,40 @@ const TournamentService = {
             throw new Error('Jenis turnamen tidak valid');
         }
 
-        if (!data.participantCount || !this.VALID_COUNTS.includes(data.participantCount)) {
-            throw new Error('Jumlah peserta harus 4, 8, 16, 32, atau 64');
+        if (data.format && !this.FORMATS[data.format]) {
+            throw new Error('Format turnamen tidak valid');
+        }
+
+        if (!Number.isInteger(data.participantCount) || data.participantCount < this.MIN_PARTICIPANTS) {
+            throw new Error(`Jumlah peserta minimal ${this.MIN_PARTICIPANTS}`);
+        }
+
+        if (data.participantCount > this.MAX_PARTICIPANTS) {
+            throw new Error(`Jumlah peserta maksimal ${this.MAX_PARTICIPANTS}`);
+        }
+
+        if (data.format === 'double_elimination' && data.participantCount < 3) {
+            throw new Error('Double elimination membutuhkan minimal 3 peserta');
+        }
+
+        [data.bestOf, data.finalBestOf].forEach(bestOf => {
+            if (bestOf && !BracketService.BEST_OF_OPTIONS.includes(bestOf)) {
+                throw new Error('Format seri harus Bo1, Bo3, Bo5, atau Bo7');
+            }
+        });
+
+        this.validateForfeitScore(data.forfeitScore);
+
+        if (data.format === 'round_robin' || data.format === 'hybrid') {
+            GroupService.validateGroups(data.participantCount, data.groupCount || 1);
+        }
+
+        if (data.format === 'hybrid') {
+            GroupService.validateQualifiers(data.participantCount, data.groupCount || 1, data.qualifiersPerGroup || 2);
+        }
+
+        if (data.format === 'swiss' && data.swissRounds) {
+            SwissService.validateRounds(data.participantCount, data.swissRounds);
         }
 
         if (data.startDate && data.endDate) {
@@ -299,6 +897,14 @@ const TournamentService = {
             };
         }
 
+        const shortRosters = ParticipantService.getShortRosters(tournament);
+        if (shortRosters.length > 0) {
+            return {
+                canStart: false,
+                reason: `Daftar pemain kurang dari ${ParticipantService.getRosterRules(tournament).min}: ${shortRosters.map(p => p.name).join(', ')}`
+            };
+        }
+
         return { canStart: true };
     },
 
@@ -308,6 +914,8 @@ const TournamentService = {
      * @returns {Object} Updated tournament
      */
     start(id) {
+        this.requireAdmin(id);
+
         const check = this.canStart(id);
         if (!check.canStart) {
             throw new Error(check.reason);
@@ -316,12 +924,54 @@ const TournamentService = {
         // Assign participants to bracket
         BracketService.assignParticipants(id);
 
+        const tournament = DB.getById(DB.KEYS.TOURNAMENTS, id);
+
         return DB.update(DB.KEYS.TOURNAMENTS, id, {
-            status: 'ongoing',
+            status: tournament.format === 'hybrid' ? 'group_stage' : 'ongoing',
             startDate: new Date().toISOString().split('T')[0]
         });
     },
 
+    /**
+     * Check if tournament is being played (any phase between start and completion)
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} Is in progress
+     */
+    isInProgress(tournament) {
+        return ['ongoing', 'group_stage', 'knockout'].includes(tournament.status);
+    },
+
+    /**
+     * Parse a default walkover score such as "3-0"
+     * @param {string} text - Score text (empty for no score)
+     * @returns {Object|null} { winner, loser } or null
+     * @throws {Error} If the text isn't a score
+     */
+    parseForfeitScore(text) {
+        if (!text || !text.trim()) return null;
+
+        const parts = text.trim().match(/^(\d+)\s*[-–:]\s*(\d+)$/);
+        if (!parts) {
+            throw new Error('Skor WO harus berformat seperti 3-0');
+        }
+
+        return { winner: parseInt(parts[1]), loser: parseInt(parts[2]) };
+    },
+
+    /**
+     * Validate a default walkover score
+     * @param {Object|null} forfeitScore - { winner, loser } or null
+     * @throws {Error} If validation fails
+     */
+    validateForfeitScore(forfeitScore) {
+        if (!forfeitScore) return;
+
+        const { winner, loser } = forfeitScore;
+        if (!Number.isInteger(winner) || !Number.isInteger(loser) || loser < 0 || winner <= loser) {
+            throw new Error('Skor WO tidak valid, pemenang harus unggul (mis. 3-0)');
+        }
+    },
+
     /**
      * Get tournament statistics
      * @param {string} id - Tournament ID
@@ -336,9 +986,18 @@ const TournamentService = {
 
         let totalGoals = 0;
         let highestScore = { match: null, total: 0 };
+        const forfeits = {};
+        Object.keys(BracketService.RESULT_TYPES).forEach(type => { forfeits[type] = 0; });
 
         completedMatches.forEach(match => {
-            const total = (match.score1 || 0) + (match.score2 || 0);
+            // Awarded results count separately and don't add goals
+            if (match.resultType) {
+                forfeits[match.resultType]++;
+                return;
+            }
+
+            // Goals in extra time count, penalty shoot-outs don't
+            const total = (match.extraTime1 ?? match.score1 ?? 0) + (match.extraTime2 ?? match.score2 ?? 0);
             totalGoals += total;
             if (total > highestScore.total) {
                 highestScore = { match, total };
@@ -354,6 +1013,9 @@ const TournamentService = {
             totalRounds: tournament.totalRounds,
             totalGoals,
             highestScoreMatch: highestScore.match,
+            forfeits,
+            topScorers: TimelineService.getTopScorers(id),
+            fairPlay: TimelineService.getFairPlay(id),
             progress: Math.round((completedMatches.length / matches.length) * 100) || 0
         };
     },
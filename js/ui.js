@@ -28,8 +28,9 @@ const UI = {
         toast.className = `toast-notification toast-${type}`;
         toast.innerHTML = `
             <span class="toast-icon">${icons[type]}</span>
-            <span class="toast-message">${message}</span>
+            <span class="toast-message"></span>
         `;
+        toast.querySelector('.toast-message').textContent = message;
 
         // Add styles if not exist
         if (!document.querySelector('#toast-styles')) {
@@ -182,7 +183,7 @@ const UI = {
                         <h3>${title}</h3>
                     </div>
                     <div class="modal-body">
-                        <p style="margin: 0; color: var(--gray-600);">${message}</p>
+                        <p style="margin: 0; color: var(--gray-600);"></p>
                     </div>
                     <div class="modal-footer">
                         <button class="btn btn-outline" data-action="cancel">${cancelText}</button>
@@ -191,6 +192,7 @@ const UI = {
                 </div>
             `;
 
+            overlay.querySelector('.modal-body p').textContent = message;
             document.body.appendChild(overlay);
 
             const handleClick = (e) => {
@@ -253,6 +255,16 @@ const UI = {
             .substring(0, 2);
     },
 
+    /**
+     * Escape text for use inside HTML markup or attributes
+     * @param {*} value - Text (names, notes) that may come from other devices
+     * @returns {string} Escaped text
+     */
+    escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+    },
+
     /**
      * Render tournament type badge
      * @param {string} type - Tournament type
@@ -269,7 +281,7 @@ const UI = {
      * @returns {string} HTML string
      */
     renderStatusBadge(status) {
-        return `<span class="status-badge status-${status}">${TournamentService.STATUSES[status]?.label || status}</span>`;
+        return `<span class="status-badge status-${this.escapeHtml(status)}">${TournamentService.STATUSES[status]?.label || this.escapeHtml(status)}</span>`;
     },
 
     /**
@@ -284,10 +296,10 @@ const UI = {
         }
 
         if (participant.logo) {
-            return `<div class="team-logo ${size}"><img src="${participant.logo}" alt="${participant.name}"></div>`;
+            return `<div class="team-logo ${size}"><img src="${this.escapeHtml(participant.logo)}" alt="${this.escapeHtml(participant.name)}"></div>`;
         }
 
-        return `<div class="team-logo ${size}">${this.getInitials(participant.name)}</div>`;
+        return `<div class="team-logo ${size}">${this.escapeHtml(this.getInitials(participant.name))}</div>`;
     },
 
     /**
@@ -378,6 +390,19 @@ const UI = {
         }, { once: true });
     },
 
+    /**
+     * Show the page's live indicator (#liveIndicator) when an update
+     * from another tab arrives
+     */
+    markLive() {
+        const indicator = document.getElementById('liveIndicator');
+        if (!indicator) return;
+
+        indicator.classList.add('active');
+        indicator.title = `Diperbarui ${new Date().toLocaleTimeString('id-ID')}`;
+        this.animate(indicator, 'flash');
+    },
+
     /**
      * Scroll to element
      * @param {string} selector - Element selector
@@ -410,6 +435,25 @@ const UI = {
         }
     },
 
+    /**
+     * Download data as a JSON file
+     * @param {Object} data - Data to save
+     * @param {string} filename - File name
+     */
+    downloadJSON(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+    },
+
     /**
      * Generate random color
      * @returns {string} Hex color
@@ -447,3 +491,17 @@ document.addEventListener('keydown', (e) => {
         UI.closeAllModals();
     }
 });
+
+// Warn about corrupt or unrecognised stored data once the database is ready
+DB.ready.then(() => {
+    const problems = DB.getProblems();
+    if (problems.length > 0) {
+        UI.toast(`Masalah data: ${problems.map(p => p.message).join('; ')}`, 'warning', 10000);
+    }
+});
+
+// Warn when a write made here wasn't stored (rejected by the sync server
+// or failed in IndexedDB)
+DB.subscribeSyncErrors(error => {
+    UI.toast(`Perubahan tidak tersimpan: ${error.message}`, 'warning', 6000);
+});
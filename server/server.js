@@ -0,0 +1,996 @@
+/**
+ * ====================================
+ * SYNC SERVER
+ * REST API so several devices share the same tournaments,
+ * and a live feed for spectators (Server-Sent Events)
+ * ====================================
+ *
+ * Usage:
+ *   node server/server.js            # data kept in server/data.json
+ *   node server/server.js --memory   # data kept in memory only
+ *
+ * Environment: PORT (default 3001), DATA_FILE (default server/data.json)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+/**
+ * Collections exposed by the API, by URL name
+ */
+const COLLECTIONS = ['tournaments', 'participants', 'matches', 'results', 'audit', 'settings'];
+
+/**
+ * Collections whose records belong to a tournament
+ */
+const CHILD_COLLECTIONS = ['participants', 'matches', 'results', 'audit'];
+
+/**
+ * Record IDs end up in page links and markup, so only plain ones are stored
+ */
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Largest request body accepted
+ */
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Login sessions (same lifetime and lockout as the app)
+ */
+const SESSION_TTL = 8 * 60 * 60 * 1000;
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCKOUT = 5 * 60 * 1000;
+
+/**
+ * What staff other than organisers may change (see Auth.checkStaffWrite):
+ * the fields entering a result touches on records beyond the match itself
+ */
+const STAFF_FIELDS = {
+    tournaments: ['status', 'currentRound', 'endDate'],
+    participants: ['status', 'eliminatedAtRound'],
+    audit: ['status'],
+    // A winner, loser or bye moving into a match the writer isn't assigned to
+    progression: ['participant1Id', 'participant2Id', 'bye1', 'bye2', 'isBye', 'winnerId', 'status']
+};
+
+/**
+ * Match fields only organisers set: the bracket, format and schedule
+ */
+const MATCH_SETUP_FIELDS = ['tournamentId', 'round', 'matchNumber', 'bracket', 'group', 'bestOf', 'schedule', 'venue', 'delay'];
+
+/**
+ * Operations kept in a tournament's history (same as the app)
+ */
+const MAX_HISTORY_OPERATIONS = 200;
+
+/**
+ * App files are served from the project folder, so spectators only
+ * need the server's address
+ */
+const STATIC_ROOT = path.join(__dirname, '..');
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Headers letting pages served from elsewhere call the API
+ */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match, Authorization'
+};
+
+/**
+ * Create an error that is sent to the client with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} extra - Extra response fields
+ * @returns {Error} Error
+ */
+function httpError(status, message, extra = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.extra = extra;
+    return error;
+}
+
+const Store = {
+    /**
+     * Change log entries kept for polling clients
+     */
+    MAX_CHANGES: 1000,
+
+    // Records per collection, keyed by ID
+    data: {},
+
+    // Sequence number of the last change
+    seq: 0,
+
+    // Recent changes ({ seq, collection, id, record }), oldest first
+    changes: [],
+
+    // File the data is saved to (null keeps it in memory)
+    file: null,
+    saveTimer: null,
+
+    /**
+     * Load the store, from a file when one is given
+     * @param {string|null} file - Data file path
+     */
+    load(file) {
+        this.file = file;
+        COLLECTIONS.forEach(collection => { this.data[collection] = new Map(); });
+
+        if (!file || !fs.existsSync(file)) return;
+
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        this.seq = saved.seq || 0;
+        COLLECTIONS.forEach(collection => {
+            (saved.data[collection] || []).forEach(record => this.data[collection].set(record.id, record));
+        });
+    },
+
+    /**
+     * List records, optionally filtered by field values
+     * @param {string} collection - Collection name
+     * @param {Object} criteria - Field values to match
+     * @returns {Array} Records
+     */
+    list(collection, criteria = {}) {
+        return [...this.data[collection].values()].filter(record => {
+            return Object.entries(criteria).every(([field, value]) => String(record[field]) === value);
+        });
+    },
+
+    /**
+     * Get a record by ID
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {Object|null} Record
+     */
+    get(collection, id) {
+        return this.data[collection].get(id) || null;
+    },
+
+    /**
+     * Create or replace a record. The client says which version it
+     * changed (its updatedAt); a different stored version means someone
+     * else got there first.
+     * @param {string} collection - Collection name
+     * @param {Object} record - Record
+     * @param {string|null} baseUpdatedAt - updatedAt the client last saw, null to create
+     * @returns {Object} Stored record
+     * @throws {Error} 400 for invalid records, 409 on conflict
+     */
+    put(collection, record, baseUpdatedAt) {
+        if (!record || typeof record !== 'object' || Array.isArray(record) || typeof record.id !== 'string') {
+            throw httpError(400, 'Record harus berupa objek dengan id');
+        }
+        if (!ID_PATTERN.test(record.id)) {
+            throw httpError(400, 'ID record hanya boleh berisi huruf, angka, - dan _');
+        }
+        if (CHILD_COLLECTIONS.includes(collection) && !ID_PATTERN.test(record.tournamentId)) {
+            throw httpError(400, 'Record harus memiliki tournamentId');
+        }
+
+        this.checkVersion(collection, record.id, baseUpdatedAt);
+
+        this.data[collection].set(record.id, record);
+        this.recordChange(collection, record.id, record);
+        return record;
+    },
+
+    /**
+     * Delete a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {string|null} baseUpdatedAt - updatedAt the client last saw (null skips the check)
+     * @throws {Error} 404 if missing, 409 on conflict
+     */
+    remove(collection, id, baseUpdatedAt) {
+        if (!this.data[collection].has(id)) {
+            throw httpError(404, 'Record tidak ditemukan', { current: null });
+        }
+        if (baseUpdatedAt) {
+            this.checkVersion(collection, id, baseUpdatedAt);
+        }
+
+        this.data[collection].delete(id);
+        this.recordChange(collection, id, null);
+    },
+
+    /**
+     * Make sure the stored record is the version the client changed
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {string|null} baseUpdatedAt - Expected updatedAt, null if the record should not exist yet
+     * @throws {Error} 409 with the current record on conflict
+     */
+    checkVersion(collection, id, baseUpdatedAt) {
+        const current = this.get(collection, id);
+
+        if (baseUpdatedAt && !current) {
+            throw httpError(409, 'Record sudah dihapus di perangkat lain', { current: null });
+        }
+        if (!baseUpdatedAt && current) {
+            throw httpError(409, 'Record dengan ID ini sudah ada', { current: Auth.sanitize(collection, current) });
+        }
+        if (current && current.updatedAt !== baseUpdatedAt) {
+            throw httpError(409, 'Record sudah diubah di perangkat lain', { current: Auth.sanitize(collection, current) });
+        }
+    },
+
+    /**
+     * Add a change to the log and schedule a save
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {Object|null} record - New record, null when deleted
+     */
+    recordChange(collection, id, record) {
+        this.seq++;
+        this.changes.push({ seq: this.seq, collection, id, record });
+        if (this.changes.length > this.MAX_CHANGES) {
+            this.changes.splice(0, this.changes.length - this.MAX_CHANGES);
+        }
+
+        this.scheduleSave();
+    },
+
+    /**
+     * Get changes after a sequence number. Clients that fell too far
+     * behind (or were connected before a restart) are told to reload.
+     * @param {number} since - Last sequence number the client has
+     * @returns {Object} { seq, changes } or { seq, reset: true }
+     */
+    changesSince(since) {
+        const oldest = this.changes.length ? this.changes[0].seq : this.seq + 1;
+        if (since > this.seq || since < oldest - 1) {
+            return { seq: this.seq, reset: true };
+        }
+
+        return { seq: this.seq, changes: this.changes.filter(change => change.seq > since) };
+    },
+
+    /**
+     * Save to the data file shortly after the last change
+     */
+    scheduleSave() {
+        if (!this.file || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 200);
+    },
+
+    /**
+     * Write the data file (through a temporary file, so a crash never
+     * leaves it half written)
+     */
+    save() {
+        if (!this.file) return;
+
+        const data = {};
+        COLLECTIONS.forEach(collection => { data[collection] = [...this.data[collection].values()]; });
+
+        const temp = `${this.file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify({ seq: this.seq, data }));
+        fs.renameSync(temp, this.file);
+    }
+};
+
+const Auth = {
+    // Failed logins per tournament ({ count, lockedUntil })
+    attempts: new Map(),
+
+    /**
+     * SHA-256 of a session token, as stored on the credential
+     * @param {string} token - Session token
+     * @returns {string} Hex digest
+     */
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    },
+
+    /**
+     * Check a password against a stored PBKDF2 hash
+     * @param {string} password - Plain password
+     * @param {Object} stored - { algorithm, iterations, salt, hash }
+     * @returns {Promise<boolean>} Password matches
+     */
+    async verifyPassword(password, stored) {
+        if (!stored || stored.algorithm !== 'PBKDF2-SHA256') return false;
+
+        const hash = await pbkdf2(String(password), Buffer.from(stored.salt, 'base64'), stored.iterations, 32, 'sha256');
+        const expected = Buffer.from(stored.hash, 'base64');
+        return expected.length === hash.length && crypto.timingSafeEqual(expected, hash);
+    },
+
+    /**
+     * Strip password hashes from a record before it leaves the server.
+     * Credentials keep their name, role, assignments and session hashes,
+     * so the app can tell who is logged in.
+     * @param {string} collection - Collection name
+     * @param {Object|null} record - Record
+     * @returns {Object|null} Record safe to send
+     */
+    sanitize(collection, record) {
+        if (!record) return record;
+
+        const publicTournament = tournament => !tournament || !tournament.credentials ? tournament : {
+            ...tournament,
+            credentials: tournament.credentials.map(({ passwordHash, token, ...credential }) => credential)
+        };
+
+        if (collection === 'tournaments') return publicTournament(record);
+        if (collection === 'audit' && record.collection === 'tb_tournaments') {
+            return { ...record, before: publicTournament(record.before), after: publicTournament(record.after) };
+        }
+        return record;
+    },
+
+    /**
+     * Find the credential a session token belongs to
+     * @param {Object} tournament - Stored tournament
+     * @param {string|null} token - Session token
+     * @returns {Object|null} Credential
+     */
+    getCredential(tournament, token) {
+        if (!token) return null;
+
+        const tokenHash = this.hashToken(token);
+        const now = Date.now();
+        return (tournament.credentials || []).find(c =>
+            (c.sessions || []).some(s => s.tokenHash === tokenHash && s.expiresAt > now)
+        ) || null;
+    },
+
+    /**
+     * Make sure a write to a tournament's data comes from someone logged
+     * in to it. Tournaments without accounts stay open, as in the app.
+     * @param {string} tournamentId - Tournament ID
+     * @param {Function} tokenFor - Gives the request's session token for a tournament
+     * @param {boolean} organiserOnly - Only organisers may make this write
+     * @returns {Object|null} Writer's credential (null for open tournaments)
+     * @throws {Error} 401 without a valid session, 403 for the wrong role
+     */
+    authorize(tournamentId, tokenFor, organiserOnly = false) {
+        const tournament = Store.get('tournaments', tournamentId);
+        if (!tournament || !(tournament.credentials || []).length) return null;
+
+        const credential = this.getCredential(tournament, tokenFor(tournamentId));
+        if (!credential) {
+            throw httpError(401, 'Login diperlukan untuk mengubah turnamen ini');
+        }
+        if (organiserOnly && credential.role !== 'organiser') {
+            throw httpError(403, 'Hanya penyelenggara yang dapat melakukan ini');
+        }
+        return credential;
+    },
+
+    /**
+     * Check a write and keep the stored credentials' secrets: clients
+     * never see password hashes, so they are carried over, and only
+     * organisers may change accounts
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {Object|null} record - New record, null when deleting
+     * @param {Function} tokenFor - Gives the request's session token for a tournament
+     * @returns {Object|null} Record to store
+     * @throws {Error} 401 or 403 when not allowed
+     */
+    checkWrite(collection, id, record, tokenFor) {
+        // The schema version and quarantine belong to each device's own copy
+        if (collection === 'settings') {
+            throw httpError(403, 'Pengaturan disimpan di tiap perangkat, bukan di server');
+        }
+
+        const current = Store.get(collection, id);
+
+        if (collection === 'tournaments') {
+            if (!current) return record;
+
+            const writer = this.authorize(id, tokenFor, !record);
+            if (!record) return record;
+
+            // Open tournament: whoever protects it sets the first accounts
+            if (!writer) return record;
+
+            if (writer.role !== 'organiser') {
+                const kept = { ...record, credentials: current.credentials };
+                this.checkStaffWrite(collection, current, kept, writer);
+                return kept;
+            }
+
+            const stored = new Map((current.credentials || []).map(c => [c.id, c]));
+            return {
+                ...record,
+                credentials: (record.credentials || []).map(credential => {
+                    const previous = stored.get(credential.id);
+                    if (!previous) return credential;
+
+                    // A new password ends the account's sessions (the app sends the
+                    // organiser's own new session along); otherwise the server's are kept
+                    const passwordHash = credential.passwordHash || previous.passwordHash;
+                    const changed = JSON.stringify(passwordHash) !== JSON.stringify(previous.passwordHash);
+                    return {
+                        ...credential,
+                        passwordHash,
+                        sessions: changed ? (credential.sessions || []) : (previous.sessions || [])
+                    };
+                })
+            };
+        }
+
+        if (CHILD_COLLECTIONS.includes(collection)) {
+            // Moving a record between tournaments needs a login to both
+            const tournamentIds = new Set([current?.tournamentId, record?.tournamentId].filter(Boolean));
+            const organiserOnly = !record && collection === 'participants';
+            tournamentIds.forEach(tournamentId => {
+                const writer = this.authorize(tournamentId, tokenFor, organiserOnly);
+                if (writer && writer.role !== 'organiser') this.checkStaffWrite(collection, current, record, writer);
+            });
+        }
+
+        return record;
+    },
+
+    /**
+     * Check if a credential may enter results for a match (as
+     * TournamentService.canScore in the app): scorekeepers score every
+     * match, referees the ones assigned to them directly or by venue
+     * @param {Object} credential - Writer's credential
+     * @param {Object} match - Match record
+     * @returns {boolean} Can score
+     */
+    canScore(credential, match) {
+        if (credential.role === 'scorekeeper') return true;
+        if (credential.role !== 'referee') return false;
+
+        return (credential.matchIds || []).includes(match.id) ||
+            (!!match.venue && (credential.venues || []).includes(match.venue));
+    },
+
+    /**
+     * Get the fields a write changes
+     * @param {Object} current - Stored record
+     * @param {Object} record - New record
+     * @returns {Array} Field names (updatedAt left out)
+     */
+    getChangedFields(current, record) {
+        return Object.keys({ ...current, ...record })
+            .filter(field => field !== 'updatedAt' && JSON.stringify(current[field]) !== JSON.stringify(record[field]));
+    },
+
+    /**
+     * Make sure a referee or scorekeeper only makes the writes entering a
+     * result brings along: scoring their own matches, moving winners on,
+     * eliminating losers, recording the final result, finishing the
+     * tournament and logging it all. Everything else is for organisers.
+     * @param {string} collection - Collection name
+     * @param {Object|null} current - Stored record, null when creating
+     * @param {Object|null} record - New record, null when deleting
+     * @param {Object} writer - Writer's credential
+     * @throws {Error} 403 when not allowed
+     */
+    checkStaffWrite(collection, current, record, writer) {
+        const deny = (message = 'Hanya penyelenggara yang dapat melakukan ini') => {
+            throw httpError(403, message);
+        };
+
+        if (!record) {
+            // The history drops its oldest operations once it is full
+            const operations = current && collection === 'audit' && new Set(Store.list('audit', { tournamentId: current.tournamentId })
+                .map(entry => entry.operationId)).size;
+            if (!operations || operations <= MAX_HISTORY_OPERATIONS) deny();
+            return;
+        }
+
+        if (!current) {
+            // Swiss pairings are made as rounds finish, but never with a result
+            const isUnplayedMatch = collection === 'matches' && !record.winnerId &&
+                !['live', 'completed'].includes(record.status);
+            if (!['results', 'audit'].includes(collection) && !isUnplayedMatch) deny();
+            return;
+        }
+
+        const changed = this.getChangedFields(current, record);
+
+        if (collection === 'matches') {
+            // Participants only arrive in empty slots
+            const fillsSlots = ['participant1Id', 'participant2Id'].every(field => !changed.includes(field) || !current[field]);
+            if (!fillsSlots || changed.some(field => MATCH_SETUP_FIELDS.includes(field))) deny();
+            if (this.canScore(writer, current)) return;
+
+            // Other matches only receive participants; a result is only
+            // set there where a bye decides it
+            const decides = changed.includes('winnerId') || (changed.includes('status') && record.status === 'completed');
+            if (!changed.every(field => STAFF_FIELDS.progression.includes(field)) || (decides && !record.isBye)) {
+                deny('Match ini tidak ditugaskan kepada Anda');
+            }
+            return;
+        }
+
+        if (!changed.every(field => (STAFF_FIELDS[collection] || []).includes(field))) deny();
+
+        const statuses = { tournaments: ['knockout', 'completed'], participants: ['eliminated'], audit: ['discarded'] }[collection];
+        if (changed.includes('status') && !statuses.includes(record.status)) deny();
+    },
+
+    /**
+     * Log in to a tournament: checks the password on the server and
+     * starts a session, returning its token once
+     * @param {Object} body - { tournamentId, credentialId, password }
+     * @returns {Promise<Object>} { token, tournament }
+     * @throws {Error} 401 for a wrong password, 429 while locked
+     */
+    async login(body) {
+        const { tournamentId, credentialId, password } = body || {};
+        const tournament = Store.get('tournaments', tournamentId);
+        if (!tournament || !(tournament.credentials || []).length) {
+            throw httpError(404, 'Turnamen tidak dilindungi password');
+        }
+
+        const record = this.attempts.get(tournamentId) || { count: 0, lockedUntil: 0 };
+        if (record.lockedUntil > Date.now()) {
+            const minutes = Math.ceil((record.lockedUntil - Date.now()) / 60000);
+            throw httpError(429, `Terlalu banyak percobaan login. Coba lagi dalam ${minutes} menit`);
+        }
+
+        let matched = null;
+        const candidates = tournament.credentials.filter(c => !credentialId || c.id === credentialId);
+        for (const credential of candidates) {
+            if (await this.verifyPassword(password, credential.passwordHash)) {
+                matched = credential;
+                break;
+            }
+        }
+
+        if (!matched) {
+            record.count = record.lockedUntil ? 1 : record.count + 1;
+            record.lockedUntil = record.count >= MAX_LOGIN_ATTEMPTS ? Date.now() + LOGIN_LOCKOUT : 0;
+            this.attempts.set(tournamentId, record);
+            throw httpError(401, 'Password salah');
+        }
+        this.attempts.delete(tournamentId);
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+
+        // Re-read after hashing so concurrent changes aren't lost
+        const current = Store.get('tournaments', tournamentId);
+        const updated = this.updateSessions(current, matched.id, sessions => [
+            ...sessions.filter(s => s.expiresAt > now),
+            { tokenHash: this.hashToken(token), expiresAt: now + SESSION_TTL }
+        ]);
+
+        return { token, tournament: this.sanitize('tournaments', updated) };
+    },
+
+    /**
+     * Log out: revoke the session token
+     * @param {Object} body - { tournamentId }
+     * @param {string|null} token - Session token
+     * @returns {Object} { tournament }
+     */
+    logout(body, token) {
+        const tournament = Store.get('tournaments', body && body.tournamentId);
+        const credential = tournament && this.getCredential(tournament, token);
+        if (!credential) {
+            return { tournament: this.sanitize('tournaments', tournament) };
+        }
+
+        const tokenHash = this.hashToken(token);
+        const now = Date.now();
+        const updated = this.updateSessions(tournament, credential.id, sessions =>
+            sessions.filter(s => s.tokenHash !== tokenHash && s.expiresAt > now)
+        );
+        return { tournament: this.sanitize('tournaments', updated) };
+    },
+
+    /**
+     * Change one credential's sessions and store the tournament. updatedAt
+     * stays as it is: logging in shouldn't make other devices' edits
+     * conflict, and checkWrite keeps the stored sessions anyway.
+     * @param {Object} tournament - Stored tournament
+     * @param {string} credentialId - Credential ID
+     * @param {Function} change - Receives and returns the session list
+     * @returns {Object} Stored tournament
+     */
+    updateSessions(tournament, credentialId, change) {
+        const updated = {
+            ...tournament,
+            credentials: tournament.credentials.map(c => c.id !== credentialId ? c : {
+                ...c,
+                sessions: change(c.sessions || [])
+            })
+        };
+        return Store.put('tournaments', updated, tournament.updatedAt);
+    }
+};
+
+const Feed = {
+    /**
+     * Comment sent to idle streams so proxies keep them open
+     */
+    KEEPALIVE_INTERVAL: 25000,
+
+    // Open spectator streams per tournament
+    clients: new Map(),
+
+    // Last published snapshot per tournament, sent to new spectators
+    snapshots: new Map(),
+
+    // Hash of the feed key that first published each tournament this
+    // server doesn't store (see authorize)
+    owners: new Map(),
+
+    /**
+     * Make sure only the tournament's own staff publish to its feed.
+     * Tournaments stored here need a session like any other write; the
+     * others belong to the browser whose feed key published them first.
+     * @param {string} tournamentId - Tournament ID
+     * @param {Function} tokenFor - Gives the request's session token for a tournament
+     * @param {string} key - Publishing browser's feed key
+     * @throws {Error} 401 without a session or key, 403 for another browser's key
+     */
+    authorize(tournamentId, tokenFor, key) {
+        if (Store.get('tournaments', tournamentId)) {
+            Auth.authorize(tournamentId, tokenFor);
+            return;
+        }
+
+        if (typeof key !== 'string' || !key) {
+            throw httpError(401, 'Kunci siaran diperlukan');
+        }
+
+        const keyHash = Auth.hashToken(key);
+        if (!this.owners.has(tournamentId)) this.owners.set(tournamentId, keyHash);
+        if (this.owners.get(tournamentId) !== keyHash) {
+            throw httpError(403, 'Turnamen ini sudah disiarkan dari perangkat lain');
+        }
+    },
+
+    /**
+     * Open a spectator stream for a tournament
+     * @param {string} tournamentId - Tournament ID
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    subscribe(tournamentId, req, res) {
+        res.writeHead(200, {
+            ...CORS_HEADERS,
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write('retry: 3000\n\n');
+
+        if (!this.clients.has(tournamentId)) this.clients.set(tournamentId, new Set());
+        this.clients.get(tournamentId).add(res);
+
+        // Late joiners start from the current state, without replaying events
+        if (this.snapshots.has(tournamentId)) {
+            this.write(res, { events: [], snapshot: this.snapshots.get(tournamentId) });
+        }
+
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), this.KEEPALIVE_INTERVAL);
+        req.on('close', () => {
+            clearInterval(keepalive);
+            this.clients.get(tournamentId).delete(res);
+        });
+    },
+
+    /**
+     * Send match events and the tournament's new state to its spectators
+     * @param {string} tournamentId - Tournament ID
+     * @param {Object} message - { events, snapshot }
+     * @returns {number} Spectators reached
+     */
+    publish(tournamentId, message) {
+        if (!message || !Array.isArray(message.events) || !message.snapshot) {
+            throw httpError(400, 'Body harus berisi events dan snapshot');
+        }
+
+        this.snapshots.set(tournamentId, message.snapshot);
+
+        const clients = this.clients.get(tournamentId) || new Set();
+        clients.forEach(res => this.write(res, { events: message.events, snapshot: message.snapshot }));
+
+        if (message.events.length) {
+            console.log(`📡 ${message.events.map(e => e.type).join(', ')} → ${clients.size} spectators`);
+        }
+        return clients.size;
+    },
+
+    /**
+     * Write one message to a stream
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} message - Message
+     */
+    write(res, message) {
+        res.write(`data: ${JSON.stringify(message)}\n\n`);
+    }
+};
+
+/**
+ * Serve an app file
+ * @param {string} pathname - Request path
+ * @param {http.ServerResponse} res - Response
+ * @throws {Error} 404 for anything that isn't a public app file
+ */
+function serveStatic(pathname, res) {
+    const relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    const file = path.normalize(path.join(STATIC_ROOT, relative));
+    const type = MIME_TYPES[path.extname(file)];
+
+    // Only files inside the project, never hidden files or the server's own folder
+    const inside = file.startsWith(STATIC_ROOT + path.sep) && !file.startsWith(__dirname + path.sep);
+    const hidden = relative.split('/').some(segment => segment.startsWith('.'));
+
+    if (!inside || hidden || !type || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        throw httpError(404, 'Tidak ditemukan');
+    }
+
+    res.writeHead(200, { 'Content-Type': type });
+    fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body (undefined when empty)
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(httpError(413, 'Data terlalu besar'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (!body) return resolve(undefined);
+            try {
+                resolve(JSON.parse(body));
+            } catch (e) {
+                reject(httpError(400, 'Body bukan JSON yang valid'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Response body (omitted for 204)
+ */
+function send(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Get the session tokens a request carries: per tournament in a batch
+ * body, or one bearer token for any tournament
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} sessions - Tokens by tournament ID (batch body)
+ * @returns {Function} Gives the token for a tournament ID
+ */
+function getTokens(req, sessions = {}) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    const bearer = match ? match[1] : null;
+    return tournamentId => (sessions && typeof sessions[tournamentId] === 'string' ? sessions[tournamentId] : bearer);
+}
+
+/**
+ * Apply one write of a batch
+ * @param {Object} operation - { method: 'PUT'|'DELETE', collection, id, record, baseUpdatedAt }
+ * @param {Function} tokenFor - Gives the request's session token for a tournament
+ * @returns {Object} { status, record } or { status, error, current }
+ */
+function applyOperation(operation, tokenFor) {
+    try {
+        if (!COLLECTIONS.includes(operation.collection)) {
+            throw httpError(404, `Koleksi ${operation.collection} tidak dikenal`);
+        }
+
+        if (operation.method === 'PUT') {
+            if (!operation.record || operation.record.id !== operation.id) {
+                throw httpError(400, 'ID record tidak sesuai');
+            }
+            const record = Auth.checkWrite(operation.collection, operation.id, operation.record, tokenFor);
+            const stored = Store.put(operation.collection, record, operation.baseUpdatedAt || null);
+            return { status: 200, record: Auth.sanitize(operation.collection, stored) };
+        }
+
+        if (operation.method === 'DELETE') {
+            Auth.checkWrite(operation.collection, operation.id, null, tokenFor);
+            Store.remove(operation.collection, operation.id, operation.baseUpdatedAt || null);
+            return { status: 204 };
+        }
+
+        throw httpError(400, `Operasi ${operation.method} tidak dikenal`);
+    } catch (error) {
+        if (!error.status) throw error;
+        return { status: error.status, error: error.message, ...error.extra };
+    }
+}
+
+/**
+ * Route a request
+ *
+ *   GET    /api                        Server info and current sequence number
+ *   GET    /api/changes?since=N        Changes after sequence number N
+ *   POST   /api/login                  Log in to a tournament, returns a session token
+ *   POST   /api/logout                 Revoke the session token (Authorization: Bearer)
+ *   POST   /api/batch                  Several PUT/DELETE operations in order
+ *   GET    /api/:collection?field=x    List records (optionally filtered)
+ *   POST   /api/:collection            Create a record
+ *   GET    /api/:collection/:id        Get a record
+ *   PUT    /api/:collection/:id        Create (no If-Match) or replace (If-Match: updatedAt) a record
+ *   DELETE /api/:collection/:id        Delete a record (optional If-Match: updatedAt)
+ *   GET    /api/feed/:tournamentId     Spectator stream (Server-Sent Events)
+ *   POST   /api/feed/:tournamentId     Publish match events with the tournament's state (session or feed key)
+ *   GET    /*                          App files
+ *
+ * Writes to a tournament with accounts need a session token from
+ * /api/login (Authorization: Bearer, or per tournament in a batch's
+ * sessions). Password hashes are never sent back.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handle(req, res) {
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    const url = new URL(req.url, 'http://localhost');
+    const [prefix, collection, id, ...rest] = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (prefix !== 'api') {
+        if (req.method !== 'GET') throw httpError(405, 'Metode tidak didukung');
+        return serveStatic(url.pathname, res);
+    }
+
+    if (rest.length > 0) {
+        throw httpError(404, 'Tidak ditemukan');
+    }
+
+    if (!collection) {
+        return send(res, 200, { app: 'tournament-bracket', seq: Store.seq, collections: COLLECTIONS });
+    }
+
+    if (collection === 'changes' && req.method === 'GET') {
+        const result = Store.changesSince(parseInt(url.searchParams.get('since')) || 0);
+        if (result.changes) {
+            result.changes = result.changes.map(change => ({ ...change, record: Auth.sanitize(change.collection, change.record) }));
+        }
+        return send(res, 200, result);
+    }
+
+    if (collection === 'login' && req.method === 'POST') {
+        return send(res, 200, await Auth.login(await readBody(req)));
+    }
+
+    if (collection === 'logout' && req.method === 'POST') {
+        const body = await readBody(req);
+        return send(res, 200, Auth.logout(body, getTokens(req)(body && body.tournamentId)));
+    }
+
+    if (collection === 'batch' && req.method === 'POST') {
+        const body = await readBody(req);
+        if (!body || !Array.isArray(body.operations)) {
+            throw httpError(400, 'Body harus berisi daftar operations');
+        }
+        if (!body.operations.every(operation => operation && typeof operation === 'object' && !Array.isArray(operation))) {
+            throw httpError(400, 'Setiap operasi harus berupa objek');
+        }
+        const tokenFor = getTokens(req, body.sessions);
+        return send(res, 200, { results: body.operations.map(operation => applyOperation(operation, tokenFor)), seq: Store.seq });
+    }
+
+    if (collection === 'feed' && id) {
+        if (req.method === 'GET') return Feed.subscribe(id, req, res);
+        if (req.method === 'POST') {
+            const body = await readBody(req);
+            Feed.authorize(id, getTokens(req), body && body.key);
+            return send(res, 202, { spectators: Feed.publish(id, body) });
+        }
+    }
+
+    if (!COLLECTIONS.includes(collection)) {
+        throw httpError(404, `Koleksi ${collection} tidak dikenal`);
+    }
+
+    const baseUpdatedAt = req.headers['if-match'] || null;
+    const tokenFor = getTokens(req);
+
+    if (!id) {
+        if (req.method === 'GET') {
+            const records = Store.list(collection, Object.fromEntries(url.searchParams));
+            return send(res, 200, records.map(record => Auth.sanitize(collection, record)));
+        }
+        if (req.method === 'POST') {
+            const body = await readBody(req);
+            const now = new Date().toISOString();
+            const record = {
+                id: Date.now().toString(36) + Math.random().toString(36).substr(2, 9),
+                createdAt: now,
+                updatedAt: now,
+                ...body
+            };
+            const stored = Store.put(collection, Auth.checkWrite(collection, record.id, record, tokenFor), null);
+            return send(res, 201, Auth.sanitize(collection, stored));
+        }
+    } else {
+        if (req.method === 'GET') {
+            const record = Store.get(collection, id);
+            if (!record) throw httpError(404, 'Record tidak ditemukan');
+            return send(res, 200, Auth.sanitize(collection, record));
+        }
+        if (req.method === 'PUT') {
+            const body = await readBody(req);
+            if (!body || body.id !== id) throw httpError(400, 'ID record tidak sesuai');
+            const stored = Store.put(collection, Auth.checkWrite(collection, id, body, tokenFor), baseUpdatedAt);
+            return send(res, 200, Auth.sanitize(collection, stored));
+        }
+        if (req.method === 'DELETE') {
+            Auth.checkWrite(collection, id, null, tokenFor);
+            Store.remove(collection, id, baseUpdatedAt);
+            return send(res, 204);
+        }
+    }
+
+    throw httpError(405, 'Metode tidak didukung');
+}
+
+/**
+ * Create the HTTP server
+ * @returns {http.Server} Server
+ */
+function createServer() {
+    return http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            if (!error.status) console.error('Error handling request:', error);
+            send(res, error.status || 500, { error: error.status ? error.message : 'Kesalahan server', ...error.extra });
+        });
+    });
+}
+
+if (require.main === module) {
+    const memory = process.argv.includes('--memory');
+    const file = memory ? null : (process.env.DATA_FILE || path.join(__dirname, 'data.json'));
+    const port = parseInt(process.env.PORT) || 3001;
+
+    Store.load(file);
+
+    createServer().listen(port, () => {
+        console.log(`🔄 Sync server running on http://localhost:${port} (${file ? `data: ${file}` : 'in memory'})`);
+    });
+
+    // Write pending changes before exiting
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        Store.save();
+        process.exit(0);
+    }));
+}
+
+module.exports = { Store, Auth, Feed, createServer };
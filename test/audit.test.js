@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament } = require('./helpers/load');
+
+test('records the account that made each change', async () => {
+    const app = await loadApp();
+    const { TournamentService, ParticipantService, AuditService } = app;
+    const tournament = TournamentService.create({ name: 'Test Cup', type: 'futsal', participantCount: 4 });
+
+    ParticipantService.add(tournament.id, { name: 'Open Team' });
+    await TournamentService.addCredential(tournament.id, { name: 'Panitia', role: 'organiser', password: 'rahasia' });
+    ParticipantService.add(tournament.id, { name: 'Logged Team' });
+
+    // Adding an account is left out of the history
+    const [latest, first] = AuditService.getLog(tournament.id);
+    assert.equal(latest.session.credentialName, 'Panitia');
+    assert.equal(latest.session.role, 'organiser');
+    assert.equal(latest.session.credentialId, TournamentService.getCredential(tournament.id).id);
+
+    // Before the tournament had accounts nobody was logged in
+    assert.equal(first.session.credentialId, null);
+    assert.equal(first.session.credentialName, null);
+});
+
+test('undoes and redoes a result together with the bracket it moved', async () => {
+    const app = await loadApp();
+    const { BracketService, AuditService } = app;
+    const tournament = createTournament(app, { participantCount: 4 });
+    await null;
+
+    const [semifinal] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    const final = () => BracketService.getRoundMatches(tournament.id, 'winners', 2)[0];
+    BracketService.updateScore(semifinal.id, 2, 0);
+    await null;
+
+    assert.match(AuditService.describe(AuditService.getUndoable(tournament.id)), /^Match #1 diubah .*\+2 perubahan lain$/);
+    AuditService.undo(tournament.id);
+    assert.equal(BracketService.getMatch(semifinal.id).status, 'upcoming');
+    assert.equal(final().participant1Id, null);
+
+    AuditService.redo(tournament.id);
+    assert.equal(BracketService.getMatch(semifinal.id).score1, 2);
+    assert.equal(final().participant1Id, semifinal.participant1Id);
+
+    // A new change after an undo drops what could be redone
+    AuditService.undo(tournament.id);
+    BracketService.updateScore(semifinal.id, 0, 2);
+    await null;
+    assert.equal(AuditService.getRedoable(tournament.id), null);
+    assert.throws(() => AuditService.redo(tournament.id), /dapat diulang/);
+});
+
+test('refuses to undo over a record changed outside the history', async () => {
+    const app = await loadApp();
+    const { DB, BracketService, AuditService } = app;
+    const tournament = createTournament(app, { participantCount: 4 });
+    await null;
+
+    const [semifinal] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    BracketService.updateScore(semifinal.id, 2, 0);
+    await null;
+
+    // As another tab would, without going through the history
+    DB.save(DB.KEYS.MATCHES, DB.getAll(DB.KEYS.MATCHES).map(match => (match.id === semifinal.id ? { ...match, score1: 3 } : match)));
+
+    assert.throws(() => AuditService.undo(tournament.id), /sudah berubah/);
+    assert.equal(BracketService.getMatch(semifinal.id).status, 'completed');
+});
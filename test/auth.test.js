@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load');
+
+/**
+ * Create a tournament with one organiser account and log out of it
+ * @returns {Promise<Object>} Services and the tournament
+ */
+async function protectedTournament() {
+    const app = await loadApp();
+    const { TournamentService } = app;
+    const tournament = TournamentService.create({ name: 'Test Cup', type: 'futsal', participantCount: 4 });
+    await TournamentService.setAdminPassword(tournament.id, 'rahasia');
+    await TournamentService.logoutAdmin(tournament.id);
+    return { app, tournament };
+}
+
+test('stores only a salted PBKDF2 hash of each password', async () => {
+    const { app, tournament } = await protectedTournament();
+    const { DB, TournamentService } = app;
+
+    const [account] = DB.getById(DB.KEYS.TOURNAMENTS, tournament.id).credentials;
+    assert.equal(JSON.stringify(account).includes('rahasia'), false);
+    assert.equal(account.passwordHash.algorithm, 'PBKDF2-SHA256');
+    assert.equal(account.passwordHash.iterations, TournamentService.PASSWORD_ITERATIONS);
+
+    const again = await TournamentService.hashPassword('rahasia');
+    assert.notEqual(again.hash, account.passwordHash.hash);
+    assert.equal(await TournamentService.verifyPassword('rahasia', account.passwordHash), true);
+    assert.equal(await TournamentService.verifyPassword('Rahasia', account.passwordHash), false);
+});
+
+test('locks the login after too many wrong passwords', async () => {
+    const { app, tournament } = await protectedTournament();
+    const { TournamentService } = app;
+
+    // A successful login starts the count again
+    assert.equal(await TournamentService.authenticate(tournament.id, 'salah'), false);
+    assert.equal(await TournamentService.authenticate(tournament.id, 'rahasia'), true);
+    await TournamentService.logoutAdmin(tournament.id);
+
+    for (let i = 0; i < TournamentService.MAX_LOGIN_ATTEMPTS; i++) {
+        assert.equal(await TournamentService.authenticate(tournament.id, 'salah'), false);
+    }
+    await assert.rejects(TournamentService.authenticate(tournament.id, 'rahasia'), /Coba lagi dalam 5 menit/);
+    assert.equal(TournamentService.isAdmin(tournament.id), false);
+});
+
+test('revokes the session token on logout', async () => {
+    const { app, tournament } = await protectedTournament();
+    const { TournamentService } = app;
+
+    assert.equal(await TournamentService.authenticate(tournament.id, 'rahasia'), true);
+    const token = TournamentService.getSessionToken(tournament.id);
+    assert.equal(TournamentService.isAdmin(tournament.id), true);
+
+    await TournamentService.logoutAdmin(tournament.id);
+
+    // A copy of the old token no longer logs anyone in
+    TournamentService.setAdminSession(tournament.id, token);
+    assert.equal(TournamentService.getRole(tournament.id), 'viewer');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, playAll } = require('./helpers/load');
+
+test('only lets an organiser export a protected tournament', async () => {
+    const app = await loadApp();
+    const { TournamentService, BackupService } = app;
+    const open = TournamentService.create({ name: 'Open Cup', type: 'futsal', participantCount: 4 });
+    const tournament = TournamentService.create({ name: 'Locked Cup', type: 'futsal', participantCount: 4 });
+    await TournamentService.setAdminPassword(tournament.id, 'rahasia');
+    await TournamentService.logoutAdmin(tournament.id);
+
+    // The password hashes in the file are worth guessing against
+    assert.throws(() => BackupService.exportTournament(tournament.id), /bukan admin/);
+    assert.throws(() => BackupService.exportDatabase(), /bukan admin/);
+    assert.equal(BackupService.exportTournament(open.id).data.TOURNAMENTS[0].name, 'Open Cup');
+
+    assert.equal(await TournamentService.authenticate(tournament.id, 'rahasia'), true);
+    const [account] = BackupService.exportDatabase().data.TOURNAMENTS.find(t => t.id === tournament.id).credentials;
+    assert.equal(account.sessions.length, 0);
+});
+
+test('lists what is wrong with a damaged backup', async () => {
+    const app = await loadApp();
+    const tournament = createTournament(app, { participantCount: 4 });
+    const backup = JSON.parse(JSON.stringify(app.BackupService.exportTournament(tournament.id)));
+
+    backup.data.PARTICIPANTS[1].status = 'sleeping';
+    backup.data.MATCHES[0].participant1Id = 'ghost';
+
+    assert.throws(
+        () => app.BackupService.validate(backup),
+        /status sleeping tidak dikenal; Match #1: participant1Id merujuk peserta yang tidak ada \(ghost\)/
+    );
+    assert.throws(() => app.BackupService.validate({ ...backup, schemaVersion: 99 }), /versi aplikasi yang lebih baru/);
+});
+
+test('merges a backup as a copy with new IDs and intact references', async () => {
+    const app = await loadApp();
+    const { DB, BackupService, ParticipantService } = app;
+    const tournament = createTournament(app, { participantCount: 4 });
+    playAll(app, tournament.id);
+    const backup = JSON.parse(JSON.stringify(BackupService.exportTournament(tournament.id)));
+
+    const [copy] = await BackupService.import(backup, 'merge');
+
+    assert.notEqual(copy.id, tournament.id);
+    assert.equal(DB.getAll(DB.KEYS.TOURNAMENTS).length, 2);
+    const matches = DB.find(DB.KEYS.MATCHES, { tournamentId: copy.id });
+    assert.equal(matches.length, 3);
+    assert.ok(matches.every(match => ParticipantService.getById(match.winnerId).tournamentId === copy.id));
+
+    const result = DB.find(DB.KEYS.RESULTS, { tournamentId: copy.id })[0];
+    assert.equal(ParticipantService.getById(result.championId).seed, 1);
+});
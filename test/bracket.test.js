@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, plain } = require('./helpers/load');
+
+const seedsOf = (app, match) => [match.participant1Id, match.participant2Id]
+    .map(id => (id ? app.ParticipantService.getById(id).seed : null));
+
+test('pads a knockout to the next power of two with byes for the top seeds', async () => {
+    const app = await loadApp();
+    const { BracketService } = app;
+    const tournament = createTournament(app, { participantCount: 6 });
+
+    const firstRound = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    assert.equal(firstRound.length, 4);
+    assert.deepEqual(plain(firstRound.map(match => match.isBye)), [true, false, true, false]);
+    assert.deepEqual(plain(firstRound.map(match => seedsOf(app, match))), [[1, null], [4, 5], [2, null], [3, 6]]);
+
+    // Bye winners are already through to the second round
+    const secondRound = BracketService.getRoundMatches(tournament.id, 'winners', 2);
+    assert.deepEqual(plain(secondRound.map(match => seedsOf(app, match))), [[1, null], [2, null]]);
+});
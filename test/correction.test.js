@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, playAll } = require('./helpers/load');
+
+/**
+ * Play a 4-team knockout with a bronze match to the end, the higher seed
+ * winning every match
+ * @returns {Promise<Object>} Services, the tournament and a seed lookup
+ */
+async function playedKnockout() {
+    const app = await loadApp();
+    const tournament = createTournament(app, { participantCount: 4, thirdPlaceMatch: true });
+    playAll(app, tournament.id);
+
+    const seed = id => (id ? app.ParticipantService.getById(id).seed : null);
+    return { app, tournament, seed };
+}
+
+test('reopens a decided tournament when a semifinal winner changes', async () => {
+    const { app, tournament, seed } = await playedKnockout();
+    const { DB, BracketService, TournamentService } = app;
+    const [, semifinal] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    assert.equal(seed(semifinal.winnerId), 2);
+
+    BracketService.correctScore(semifinal.id, 0, 1);
+
+    assert.equal(TournamentService.getById(tournament.id).status, 'ongoing');
+    assert.equal(DB.find(DB.KEYS.RESULTS, { tournamentId: tournament.id }).length, 0);
+
+    // The final and bronze match wait to be replayed with the new pairings
+    const final = BracketService.getRoundMatches(tournament.id, 'winners', 2)[0];
+    const bronze = BracketService.getThirdPlaceMatch(tournament.id);
+    assert.equal(final.status, 'upcoming');
+    assert.equal(seed(final.participant2Id), 3);
+    assert.equal(bronze.status, 'upcoming');
+    assert.equal(seed(bronze.participant2Id), 2);
+
+    playAll(app, tournament.id, match => (match.id === final.id ? [0, 1] : [1, 0]));
+
+    const result = DB.find(DB.KEYS.RESULTS, { tournamentId: tournament.id })[0];
+    assert.equal(TournamentService.getById(tournament.id).status, 'completed');
+    assert.equal(seed(result.championId), 3);
+    assert.equal(seed(result.runnerUpId), 1);
+});
+
+test('only rewrites the score when a correction keeps the winner', async () => {
+    const { app, tournament, seed } = await playedKnockout();
+    const { DB, BracketService, TournamentService } = app;
+    const final = BracketService.getRoundMatches(tournament.id, 'winners', 2)[0];
+
+    BracketService.correctScore(final.id, 3, 0);
+
+    const result = DB.find(DB.KEYS.RESULTS, { tournamentId: tournament.id })[0];
+    assert.equal(TournamentService.getById(tournament.id).status, 'completed');
+    assert.equal(BracketService.getMatch(final.id).score1, 3);
+    assert.equal(seed(result.championId), 1);
+});
+
+test('refuses to correct a match that is not finished', async () => {
+    const app = await loadApp();
+    const tournament = createTournament(app, { participantCount: 4 });
+    const final = app.BracketService.getRoundMatches(tournament.id, 'winners', 2)[0];
+
+    assert.throws(() => app.BracketService.correctScore(final.id, 1, 0), /sudah selesai/);
+});
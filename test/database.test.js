@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load');
+const { createIndexedDB } = require('./helpers/indexeddb');
+
+test('finds records by tournament and keeps the index in step with writes', async () => {
+    const { DB } = await loadApp();
+    const first = DB.insert(DB.KEYS.PARTICIPANTS, { tournamentId: 't1', name: 'Alpha' });
+    DB.insert(DB.KEYS.PARTICIPANTS, { tournamentId: 't2', name: 'Beta' });
+
+    assert.deepEqual(plain(DB.find(DB.KEYS.PARTICIPANTS, { tournamentId: 't1' }).map(p => p.name)), ['Alpha']);
+
+    DB.update(DB.KEYS.PARTICIPANTS, first.id, { tournamentId: 't2' });
+    assert.deepEqual(plain(DB.find(DB.KEYS.PARTICIPANTS, { tournamentId: 't1' })), []);
+    assert.deepEqual(plain(DB.find(DB.KEYS.PARTICIPANTS, { tournamentId: 't2', name: 'Alpha' }).map(p => p.id)), [first.id]);
+
+    DB.delete(DB.KEYS.PARTICIPANTS, first.id);
+    assert.equal(DB.getById(DB.KEYS.PARTICIPANTS, first.id), null);
+});
+
+test('hands out copies, so changing a result does not change stored data', async () => {
+    const { DB } = await loadApp();
+    const { id } = DB.insert(DB.KEYS.PARTICIPANTS, { tournamentId: 't1', name: 'Alpha' });
+
+    DB.getById(DB.KEYS.PARTICIPANTS, id).name = 'Changed';
+    DB.find(DB.KEYS.PARTICIPANTS, { tournamentId: 't1' })[0].name = 'Changed';
+
+    assert.equal(DB.getById(DB.KEYS.PARTICIPANTS, id).name, 'Alpha');
+});
+
+test('offers an async API that waits for writes to be stored', async () => {
+    const { DB } = await loadApp();
+    const inserted = await DB.insertAsync(DB.KEYS.PARTICIPANTS, { tournamentId: 't1', name: 'Alpha' });
+    await DB.updateAsync(DB.KEYS.PARTICIPANTS, inserted.id, { name: 'Beta' });
+
+    assert.equal((await DB.getByIdAsync(DB.KEYS.PARTICIPANTS, inserted.id)).name, 'Beta');
+    assert.equal((await DB.findAsync(DB.KEYS.PARTICIPANTS, { tournamentId: 't1' })).length, 1);
+    assert.equal(await DB.deleteAsync(DB.KEYS.PARTICIPANTS, inserted.id), true);
+    assert.deepEqual(plain(await DB.getAllAsync(DB.KEYS.PARTICIPANTS)), []);
+});
+
+test('moves localStorage data into IndexedDB on first start', async () => {
+    const indexedDB = createIndexedDB();
+    const stored = {
+        tb_tournaments: [{ id: 't1', name: 'Old Cup', type: 'futsal', participantCount: 4, status: 'draft' }],
+        tb_participants: [{ id: 'p1', tournamentId: 't1', name: 'Alpha' }, { name: 'No ID' }]
+    };
+    const { DB } = await loadApp(stored, undefined, { indexedDB });
+
+    assert.equal(DB.backend, 'indexedDB');
+    assert.equal(DB.getById(DB.KEYS.PARTICIPANTS, 'p1').name, 'Alpha');
+    assert.deepEqual(plain([...indexedDB.databases.get(DB.IDB_NAME).get(DB.KEYS.PARTICIPANTS).records.keys()]), ['p1']);
+
+    // Unrecognised records are kept aside rather than lost
+    assert.match(DB.getProblems()[0].message, /1 record tidak dikenali di tb_participants/);
+    assert.equal(DB.getById(DB.KEYS.SETTINGS, 'quarantine').items[0].payload[0].name, 'No ID');
+});
+
+test('keeps IndexedDB data for the next page load', async () => {
+    const indexedDB = createIndexedDB();
+    const first = await loadApp({}, undefined, { indexedDB });
+    const inserted = await first.DB.insertAsync(first.DB.KEYS.PARTICIPANTS, { tournamentId: 't1', name: 'Alpha' });
+    first.DB.insert(first.DB.KEYS.PARTICIPANTS, { tournamentId: 't2', name: 'Beta' });
+    await first.DB.flush();
+
+    const { DB } = await loadApp({}, undefined, { indexedDB });
+    assert.equal(DB.getById(DB.KEYS.PARTICIPANTS, inserted.id).name, 'Alpha');
+    assert.deepEqual(plain((await DB.findAsync(DB.KEYS.PARTICIPANTS, { tournamentId: 't2' })).map(p => p.name)), ['Beta']);
+    assert.equal(DB.getSchemaVersion(), DB.SCHEMA_VERSION);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, playAll } = require('./helpers/load');
+
+test('builds double elimination with a losers bracket and grand final', async () => {
+    const app = await loadApp();
+    const { DB } = app;
+    const tournament = createTournament(app, { participantCount: 8, format: 'double_elimination', grandFinalReset: true });
+
+    const matches = DB.find(DB.KEYS.MATCHES, { tournamentId: tournament.id });
+    const count = bracket => matches.filter(match => match.bracket === bracket).length;
+    assert.equal(count('winners'), 7);
+    assert.equal(count('losers'), 6);
+    assert.equal(count('grand_final'), 1);
+    assert.equal(DB.getById(DB.KEYS.TOURNAMENTS, tournament.id).losersRounds, 4);
+
+    playAll(app, tournament.id);
+
+    const result = DB.find(DB.KEYS.RESULTS, { tournamentId: tournament.id })[0];
+    assert.equal(DB.getById(DB.KEYS.TOURNAMENTS, tournament.id).status, 'completed');
+    assert.equal(app.ParticipantService.getById(result.championId).seed, 1);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament } = require('./helpers/load');
+const { Store, createServer } = require('../server/server');
+
+test('builds the feed snapshot for staff who are not organisers', async () => {
+    const app = await loadApp();
+    const { TournamentService, FeedService } = app;
+    const tournament = createTournament(app, { participantCount: 4 });
+    await TournamentService.setAdminPassword(tournament.id, 'rahasia');
+    await TournamentService.addCredential(tournament.id, { name: 'Meja Skor', role: 'scorekeeper', password: 'skor123' });
+    await TournamentService.logoutAdmin(tournament.id);
+
+    assert.equal(await TournamentService.authenticate(tournament.id, 'skor123'), true);
+    assert.equal(TournamentService.getRole(tournament.id), 'scorekeeper');
+
+    const snapshot = FeedService.getSnapshot(tournament.id);
+    assert.equal(snapshot.TOURNAMENTS[0].name, 'Test Cup');
+    assert.equal(snapshot.MATCHES.length, 3);
+});
+
+test('sends spectators only the public fields', async () => {
+    const app = await loadApp();
+    const { TournamentService, ParticipantService, FeedService } = app;
+    const tournament = TournamentService.create({ name: 'Test Cup', type: 'futsal', participantCount: 4 });
+    await TournamentService.setAdminPassword(tournament.id, 'rahasia');
+    const team = ParticipantService.add(tournament.id, { name: 'Alpha', email: 'coach@example.com', phone: '0812' });
+    ParticipantService.addPlayer(team.id, { name: 'Budi', number: 10, position: 'Pivot', dateOfBirth: '2004-05-06' });
+
+    const snapshot = FeedService.getSnapshot(tournament.id);
+    assert.equal(snapshot.TOURNAMENTS[0].credentials, undefined);
+
+    const [participant] = snapshot.PARTICIPANTS;
+    assert.equal(participant.name, 'Alpha');
+    assert.equal(participant.email, undefined);
+    assert.equal(participant.phone, undefined);
+    assert.deepEqual(Object.keys(participant.players[0]).sort(), ['id', 'name', 'number', 'position']);
+});
+
+test('streams published events to spectators and keeps the feed to its publisher', async () => {
+    Store.load(null);
+    const server = createServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+    const url = `http://localhost:${port}/api/feed/t9`;
+    const publish = key => fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events: [{ type: 'score_saved' }], snapshot: { TOURNAMENTS: [] }, key })
+    });
+
+    const abort = new AbortController();
+    try {
+        const stream = await fetch(url, { signal: abort.signal });
+        const reader = stream.body.getReader();
+        const decoder = new TextDecoder();
+        assert.match(decoder.decode((await reader.read()).value), /^retry: 3000/);
+
+        const published = await publish('browser-a');
+        assert.equal(published.status, 202);
+        assert.equal((await published.json()).spectators, 1);
+
+        const message = decoder.decode((await reader.read()).value);
+        assert.equal(JSON.parse(message.replace(/^data: /, '')).events[0].type, 'score_saved');
+
+        // The first browser to publish a tournament this server doesn't store owns its feed
+        assert.equal((await publish('browser-b')).status, 403);
+        assert.equal((await publish(undefined)).status, 401);
+    } finally {
+        abort.abort();
+        server.close();
+    }
+});
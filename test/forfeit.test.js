@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament } = require('./helpers/load');
+
+test('keeps semifinal losers active until the bronze match', async () => {
+    const app = await loadApp();
+    const { BracketService, ParticipantService } = app;
+    const tournament = createTournament(app, { participantCount: 4, thirdPlaceMatch: true });
+
+    BracketService.getRoundMatches(tournament.id, 'winners', 1)
+        .forEach(match => BracketService.updateScore(match.id, 2, 0));
+
+    const bronze = BracketService.getThirdPlaceMatch(tournament.id);
+    assert.equal(ParticipantService.getById(bronze.participant1Id).status, 'active');
+    assert.equal(ParticipantService.getById(bronze.participant2Id).status, 'active');
+
+    // A semifinal loser can still withdraw, handing the bronze match over
+    ParticipantService.withdraw(bronze.participant1Id);
+    const forfeited = BracketService.getThirdPlaceMatch(tournament.id);
+    assert.equal(forfeited.status, 'completed');
+    assert.equal(forfeited.winnerId, bronze.participant2Id);
+});
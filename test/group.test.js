@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, plain } = require('./helpers/load');
+
+test('draws seeds into groups like a snake and pairs everyone in each group', async () => {
+    const app = await loadApp();
+    const { DB, GroupService } = app;
+    const tournament = createTournament(app, { participantCount: 8, format: 'round_robin', groupCount: 2 });
+
+    const groups = GroupService.getGroups(tournament.id);
+    assert.deepEqual(plain(groups.map(group => group.standings.map(row => row.participant.seed))), [[1, 4, 5, 8], [2, 3, 6, 7]]);
+    assert.deepEqual(plain(groups.map(group => group.rounds.length)), [3, 3]);
+    assert.equal(DB.find(DB.KEYS.MATCHES, { tournamentId: tournament.id }).length, 12);
+});
+
+test('ranks teams level on points by their head-to-head result', async () => {
+    const app = await loadApp();
+    const { DB, BracketService, GroupService, ParticipantService } = app;
+    const tournament = createTournament(app, { participantCount: 4, format: 'round_robin', groupCount: 1 });
+    const seed = id => ParticipantService.getById(id).seed;
+
+    // By seeds: 1-4 1:1, 2-3 0:1, 3-1 0:2, 4-2 0:5, 1-2 0:0, 3-4 1:1
+    const scores = [[1, 1], [0, 1], [0, 2], [0, 5], [0, 0], [1, 1]];
+    DB.find(DB.KEYS.MATCHES, { tournamentId: tournament.id })
+        .sort((a, b) => a.matchNumber - b.matchNumber)
+        .forEach((match, index) => BracketService.updateScore(match.id, ...scores[index]));
+
+    // 2 and 3 both have 4 points; 3 won their match despite the worse goal difference
+    const table = GroupService.getStandings(tournament.id, 'A');
+    assert.deepEqual(plain(table.map(row => seed(row.participant.id))), [1, 3, 2, 4]);
+    assert.deepEqual(plain(table.map(row => row.points)), [5, 4, 4, 2]);
+    const { played, won, drawn, lost, goalDifference } = table[2];
+    assert.deepEqual(plain({ played, won, drawn, lost, goalDifference }), { played: 3, won: 1, drawn: 1, lost: 1, goalDifference: 4 });
+
+    // The final table decides the podium once every pairing is played
+    const result = DB.find(DB.KEYS.RESULTS, { tournamentId: tournament.id })[0];
+    assert.equal(seed(result.championId), 1);
+    assert.equal(seed(result.runnerUpId), 3);
+});
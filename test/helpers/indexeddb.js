@@ -0,0 +1,98 @@
+/**
+ * ====================================
+ * IN-MEMORY INDEXEDDB
+ * Just the parts js/database.js uses, with events fired asynchronously
+ * like a browser would
+ * ====================================
+ */
+
+/**
+ * Request that succeeds on a later task
+ * @param {Function} run - Produces the result
+ * @returns {Object} IDBRequest-like object
+ */
+function createRequest(run) {
+    const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+    setTimeout(() => {
+        request.result = run();
+        if (request.onsuccess) request.onsuccess();
+    });
+    return request;
+}
+
+/**
+ * Object store holding structured clones of its records
+ * @param {Object} options - { keyPath }
+ * @returns {Object} Store
+ */
+function createStore({ keyPath }) {
+    return { keyPath, records: new Map(), indexes: new Map() };
+}
+
+/**
+ * Store operations available inside a transaction
+ * @param {Object} store - Store
+ * @returns {Object} IDBObjectStore-like object
+ */
+function openStore(store) {
+    const all = () => [...store.records.values()].map(record => structuredClone(record));
+
+    return {
+        put: record => {
+            store.records.set(record[store.keyPath], structuredClone(record));
+            return createRequest(() => record[store.keyPath]);
+        },
+        delete: key => {
+            store.records.delete(key);
+            return createRequest(() => undefined);
+        },
+        get: key => createRequest(() => (store.records.has(key) ? structuredClone(store.records.get(key)) : undefined)),
+        getAll: () => createRequest(all),
+        index: name => ({
+            getAll: value => createRequest(() => all().filter(record => record[store.indexes.get(name)] === value))
+        })
+    };
+}
+
+/**
+ * Create an IndexedDB factory. Keep the factory to open the same
+ * databases again, as a reloaded page would.
+ * @returns {Object} indexedDB-like object
+ */
+function createIndexedDB() {
+    const databases = new Map();
+
+    return {
+        databases,
+        open(name) {
+            const isNew = !databases.has(name);
+            if (isNew) databases.set(name, new Map());
+            const stores = databases.get(name);
+
+            const idb = {
+                objectStoreNames: { contains: storeName => stores.has(storeName) },
+                createObjectStore(storeName, options) {
+                    const store = createStore(options);
+                    stores.set(storeName, store);
+                    return { createIndex: (indexName, keyPath) => store.indexes.set(indexName, keyPath) };
+                },
+                transaction(storeName) {
+                    const transaction = { error: null, oncomplete: null, onerror: null, onabort: null };
+                    transaction.objectStore = () => openStore(stores.get(storeName));
+                    // Completes after the requests made in the same task
+                    setTimeout(() => setTimeout(() => transaction.oncomplete && transaction.oncomplete()));
+                    return transaction;
+                }
+            };
+
+            const request = { result: idb, error: null };
+            setTimeout(() => {
+                if (isNew && request.onupgradeneeded) request.onupgradeneeded();
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+module.exports = { createIndexedDB };
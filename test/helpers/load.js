@@ -0,0 +1,131 @@
+/**
+ * ====================================
+ * TEST LOADER
+ * Run the browser scripts in a sandbox so services can be tested in Node
+ * ====================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+// Scripts in the order the pages include them (ui.js needs a browser)
+const SCRIPTS = ['database', 'tournament', 'participant', 'bracket', 'group', 'swiss', 'schedule', 'live', 'timeline', 'audit', 'backup', 'feed'];
+
+// Services handed back to the tests
+const SERVICES = [
+    'DB', 'TournamentService', 'ParticipantService', 'BracketService', 'GroupService', 'SwissService',
+    'ScheduleService', 'LiveService', 'TimelineService', 'AuditService', 'BackupService', 'FeedService'
+];
+
+/**
+ * In-memory Web Storage (localStorage / sessionStorage)
+ * @param {Object} initial - Items to start with, values are JSON-encoded
+ * @returns {Object} Storage
+ */
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial).map(([key, value]) => [key, JSON.stringify(value)]));
+
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear(),
+        key: index => [...items.keys()][index] ?? null,
+        get length() {
+            return items.size;
+        }
+    };
+}
+
+/**
+ * Load the app with a fresh database (localStorage backend unless an
+ * indexedDB is passed in, no sync server) and wait until it is ready
+ * @param {Object} stored - localStorage contents before the app starts, by key
+ * @param {Array} scripts - Scripts to run, in order (all by default)
+ * @param {Object} globals - Extra browser globals, such as indexedDB
+ * @returns {Promise<Object>} Services by name (undefined for scripts not run)
+ */
+async function loadApp(stored = {}, scripts = SCRIPTS, globals = {}) {
+    const quiet = () => {};
+    const context = {
+        console: { log: quiet, warn: quiet, error: quiet },
+        localStorage: createStorage(stored),
+        sessionStorage: createStorage(),
+        crypto: webcrypto,
+        TextEncoder,
+        btoa,
+        atob,
+        setTimeout,
+        clearTimeout,
+        setInterval: () => 0,
+        clearInterval: quiet,
+        ...globals
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    const source = scripts.map(name => fs.readFileSync(path.join(JS_DIR, `${name}.js`), 'utf8')).join('\n');
+    const services = SERVICES.map(name => `${name}: typeof ${name} === 'undefined' ? undefined : ${name}`);
+    const app = vm.runInContext(`${source}\n;({ ${services.join(', ')} })`, context);
+
+    await app.DB.ready;
+    return app;
+}
+
+/**
+ * Create a tournament with numbered, seeded participants and its bracket
+ * @param {Object} app - Services from loadApp
+ * @param {Object} data - Tournament data (participantCount is required)
+ * @param {boolean} start - Also start the tournament
+ * @returns {Object} Created tournament
+ */
+function createTournament(app, data, start = true) {
+    const { TournamentService, ParticipantService, BracketService } = app;
+    const tournament = TournamentService.create({ name: 'Test Cup', type: 'futsal', ...data });
+
+    for (let i = 1; i <= data.participantCount; i++) {
+        ParticipantService.add(tournament.id, { name: `Team ${i}`, seed: i });
+    }
+
+    BracketService.generate(tournament.id);
+    if (start) TournamentService.start(tournament.id);
+
+    return TournamentService.getById(tournament.id);
+}
+
+/**
+ * Play every open match, the lower match number first, until none are left
+ * @param {Object} app - Services from loadApp
+ * @param {string} tournamentId - Tournament ID
+ * @param {Function} pickScore - (match) => [score1, score2], participant 1 wins by default
+ */
+function playAll(app, tournamentId, pickScore = () => [2, 1]) {
+    const { DB, BracketService } = app;
+
+    for (let guard = 0; guard < 500; guard++) {
+        const [next] = DB.find(DB.KEYS.MATCHES, { tournamentId })
+            .filter(match => match.status === 'upcoming')
+            .sort((a, b) => a.matchNumber - b.matchNumber);
+        if (!next) return;
+
+        BracketService.updateScore(next.id, ...pickScore(next));
+    }
+
+    throw new Error('Tournament did not finish');
+}
+
+/**
+ * Copy a value out of the sandbox, so strict deep equality doesn't trip
+ * over the sandbox's own Array and Object prototypes
+ * @param {*} value - JSON-safe value
+ * @returns {*} Copy
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, createStorage, createTournament, playAll, plain };
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load');
+
+test('names the qualifier count when a hybrid knockout is not a power of two', async () => {
+    const app = await loadApp();
+
+    assert.throws(
+        () => app.TournamentService.create({
+            name: 'Hybrid', type: 'futsal', participantCount: 9, format: 'hybrid', groupCount: 3, qualifiersPerGroup: 2
+        }),
+        /3 grup x 2 lolos per grup = 6/
+    );
+});
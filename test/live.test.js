@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament } = require('./helpers/load');
+
+test('keeps a running score and saves it at the final whistle', async () => {
+    const app = await loadApp();
+    const { BracketService, LiveService } = app;
+    const tournament = createTournament(app, { participantCount: 4 });
+    const [match] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+
+    assert.equal(LiveService.start(match.id).score1, 0);
+    LiveService.adjustScore(match.id, 1, 1);
+    LiveService.adjustScore(match.id, 2, 1);
+    LiveService.adjustScore(match.id, 2, -1);
+    const live = LiveService.adjustScore(match.id, 1, 1);
+    assert.deepEqual([live.status, live.score1, live.score2], ['live', 2, 0]);
+    assert.throws(() => LiveService.adjustScore(match.id, 2, -1), /tidak boleh negatif/);
+
+    const finished = LiveService.finish(match.id);
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.winnerId, match.participant1Id);
+    assert.equal(BracketService.getMatch(match.id).clock.runningSince, null);
+    assert.throws(() => LiveService.adjustScore(match.id, 1, 1), /tidak sedang berlangsung/);
+});
+
+test('shows the match minute and time played over a period', async () => {
+    const app = await loadApp();
+    const tournament = createTournament(app, { participantCount: 4 });
+    const { LiveService } = app;
+    const now = Date.now();
+
+    // Futsal: two halves of 20 minutes
+    const secondHalf = { clock: { period: 2, elapsed: 14 * 60000 + 5000, runningSince: null } };
+    assert.equal(LiveService.formatClock(secondHalf, tournament, now), 'Babak 2 · 14:05');
+    assert.equal(LiveService.getMinute(secondHalf, tournament, now), 35);
+
+    const overrun = { clock: { period: 1, elapsed: 60000, runningSince: now - 20.5 * 60000 } };
+    assert.equal(LiveService.formatClock(overrun, tournament, now), 'Babak 1 · 20:00 +1:30');
+});
+
+test('moves through the periods and can call a match off', async () => {
+    const app = await loadApp();
+    const { BracketService, LiveService } = app;
+    const tournament = createTournament(app, { participantCount: 4 });
+    const [match] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+
+    LiveService.start(match.id);
+    LiveService.adjustScore(match.id, 2, 1);
+    assert.equal(LiveService.pauseClock(match.id).clock.runningSince, null);
+    assert.deepEqual({ ...LiveService.nextPeriod(match.id).clock }, { period: 2, elapsed: 0, runningSince: null });
+    assert.throws(() => LiveService.nextPeriod(match.id), /Sudah babak terakhir/);
+
+    const cancelled = LiveService.cancel(match.id);
+    assert.deepEqual([cancelled.status, cancelled.score2, cancelled.clock], ['upcoming', null, null]);
+});
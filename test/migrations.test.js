@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadApp, plain } = require('./helpers/load');
+
+// Data as saved before the schema was versioned
+const LEGACY = {
+    tb_tournaments: [{
+        id: 't1',
+        name: 'Old Cup',
+        type: 'futsal',
+        participantCount: 4,
+        totalRounds: 2,
+        status: 'ongoing',
+        adminPassword: 'rahasia',
+        adminToken: 'admin_old'
+    }],
+    tb_participants: [
+        { id: 'p1', tournamentId: 't1', name: 'Team 1', seed: 1, status: 'active' },
+        { id: 'p2', tournamentId: 't1', name: 'Team 2', seed: 2, status: 'eliminated' }
+    ],
+    tb_matches: [
+        { id: 'm1', tournamentId: 't1', round: 1, matchNumber: 1, participant1Id: 'p1', participant2Id: 'p2', status: 'completed' }
+    ]
+};
+
+test('migrates unversioned data to the current schema', async () => {
+    const { DB, TournamentService } = await loadApp(LEGACY);
+
+    assert.equal(DB.getSchemaVersion(), DB.SCHEMA_VERSION);
+    assert.deepEqual(plain(DB.getProblems()), []);
+
+    const tournament = DB.getById(DB.KEYS.TOURNAMENTS, 't1');
+    assert.equal(tournament.format, 'single_elimination');
+    assert.equal(tournament.bracketSize, 4);
+    assert.equal(tournament.adminPassword, undefined);
+
+    // The old admin password became a hashed organiser account
+    const [account] = tournament.credentials;
+    assert.equal(account.role, 'organiser');
+    assert.equal(await TournamentService.verifyPassword('rahasia', account.passwordHash), true);
+    assert.equal(account.token, undefined);
+    assert.deepEqual(plain(account.sessions), []);
+
+    assert.deepEqual(plain(DB.getById(DB.KEYS.PARTICIPANTS, 'p1').players), []);
+
+    const match = DB.getById(DB.KEYS.MATCHES, 'm1');
+    assert.equal(match.bracket, 'winners');
+    assert.equal(match.delay, 0);
+    assert.equal(match.clock, null);
+    assert.deepEqual(plain(match.events), []);
+});
+
+test('leaves data from a newer app version alone and reports it', async () => {
+    const { DB } = await loadApp({
+        ...LEGACY,
+        tb_settings: [{ id: 'schema', version: 99 }]
+    });
+
+    assert.equal(DB.getSchemaVersion(), 99);
+    assert.equal(DB.getById(DB.KEYS.TOURNAMENTS, 't1').format, undefined);
+    assert.match(DB.getProblems()[0].message, /skema v99, aplikasi v/);
+});
+
+test('brings semifinal losers back for a bronze match still to play', async () => {
+    const { DB } = await loadApp({
+        ...LEGACY,
+        tb_participants: LEGACY.tb_participants.map(participant => ({ ...participant, eliminatedAtRound: 1 })),
+        tb_matches: [
+            ...LEGACY.tb_matches,
+            { id: 'm2', tournamentId: 't1', round: 2, matchNumber: 2, bracket: 'third_place', participant1Id: 'p2', participant2Id: null, status: 'upcoming' }
+        ],
+        tb_settings: [{ id: 'schema', version: 11 }]
+    });
+
+    const loser = DB.getById(DB.KEYS.PARTICIPANTS, 'p2');
+    assert.equal(loser.status, 'active');
+    assert.equal(loser.eliminatedAtRound, null);
+    assert.equal(DB.getById(DB.KEYS.PARTICIPANTS, 'p1').eliminatedAtRound, 1);
+});
+
+test('migrates legacy passwords before the other scripts have loaded', async () => {
+    const { DB } = await loadApp(LEGACY, ['database']);
+
+    assert.equal(DB.getSchemaVersion(), DB.SCHEMA_VERSION);
+    const { passwordHash } = DB.getById(DB.KEYS.TOURNAMENTS, 't1').credentials[0];
+    const expected = crypto.pbkdf2Sync('rahasia', Buffer.from(passwordHash.salt, 'base64'), passwordHash.iterations, 32, 'sha256');
+    assert.equal(passwordHash.hash, expected.toString('base64'));
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, plain } = require('./helpers/load');
+
+/**
+ * Start an 8-team knockout on venues A and B with an organiser, a
+ * scorekeeper and a referee assigned to match 2 and to venue A
+ * @returns {Promise<Object>} Services, the tournament, the first round and a login helper
+ */
+async function staffedTournament() {
+    const app = await loadApp();
+    const { TournamentService, BracketService, ScheduleService } = app;
+    const tournament = createTournament(app, { participantCount: 8 });
+    ScheduleService.generate(tournament.id, { venues: ['A', 'B'], startTime: '2026-11-01T09:00', matchDuration: 60, restTime: 30 });
+
+    const firstRound = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    await TournamentService.setAdminPassword(tournament.id, 'panitia');
+    await TournamentService.addCredential(tournament.id, { name: 'Meja Skor', role: 'scorekeeper', password: 'skor123' });
+    await TournamentService.addCredential(tournament.id, {
+        name: 'Wasit', role: 'referee', password: 'wasit123', matchIds: [firstRound[1].id], venues: ['A']
+    });
+    await TournamentService.logoutAdmin(tournament.id);
+
+    const loginAs = async password => {
+        await TournamentService.logoutAdmin(tournament.id);
+        assert.equal(await TournamentService.authenticate(tournament.id, password), true);
+    };
+    return { app, tournament, firstRound, loginAs };
+}
+
+test('lets a referee score only assigned matches and matches on their venue', async () => {
+    const { app, firstRound, loginAs } = await staffedTournament();
+    const { TournamentService, BracketService } = app;
+    assert.deepEqual(plain(firstRound.map(match => match.venue)), ['A', 'B', 'A', 'B']);
+
+    await loginAs('wasit123');
+    assert.deepEqual(plain(firstRound.map(match => TournamentService.canScore(match))), [true, true, true, false]);
+    assert.throws(() => BracketService.updateScore(firstRound[3].id, 1, 0), /tidak ditugaskan kepada Anda/);
+    assert.equal(BracketService.updateScore(firstRound[1].id, 1, 0).status, 'completed');
+});
+
+test('lets a scorekeeper enter every result but not manage the tournament', async () => {
+    const { app, tournament, firstRound, loginAs } = await staffedTournament();
+    const { TournamentService, BracketService, ScheduleService } = app;
+
+    await loginAs('skor123');
+    assert.equal(TournamentService.getRole(tournament.id), 'scorekeeper');
+    assert.equal(BracketService.updateScore(firstRound[3].id, 1, 0).status, 'completed');
+    assert.throws(() => ScheduleService.delay(firstRound[0].id, 10), /bukan admin/);
+    assert.throws(() => TournamentService.update(tournament.id, { name: 'Renamed' }), /bukan admin/);
+});
+
+test('leaves spectators without a login read-only', async () => {
+    const { app, tournament, firstRound } = await staffedTournament();
+    const { TournamentService, BracketService } = app;
+
+    assert.equal(TournamentService.getRole(tournament.id), 'viewer');
+    assert.equal(TournamentService.canScore(firstRound[0]), false);
+    assert.throws(() => BracketService.updateScore(firstRound[0].id, 1, 0), /bukan admin/);
+});
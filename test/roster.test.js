@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament } = require('./helpers/load');
+
+test('validates player names, numbers, positions and dates of birth', async () => {
+    const app = await loadApp();
+    const { ParticipantService, DB } = app;
+    const draft = createTournament(app, { participantCount: 4 }, false);
+    const tournament = DB.getById(DB.KEYS.TOURNAMENTS, draft.id);
+    const others = [{ id: 'x', name: 'Budi', number: 10 }];
+    const check = data => () => ParticipantService.validatePlayer({ name: 'Andi', ...data }, tournament, others);
+
+    assert.doesNotThrow(check({ number: 7, position: 'Pivot', dateOfBirth: '2004-05-06' }));
+    assert.throws(check({ name: '  ' }), /Nama pemain wajib diisi/);
+    assert.throws(check({ name: 'A'.repeat(51) }), /maksimal 50 karakter/);
+    assert.throws(check({ number: 100 }), /antara 0 dan 99/);
+    assert.throws(check({ number: 10 }), /Nomor punggung 10 sudah dipakai/);
+    // Futsal only knows its own positions
+    assert.throws(check({ position: 'Striker' }), /Posisi tidak valid/);
+    assert.throws(check({ dateOfBirth: '06-05-2004' }), /Format tanggal lahir tidak valid/);
+    assert.throws(check({ dateOfBirth: '2999-01-01' }), /masa depan/);
+});
+
+test('keeps rosters between the minimum and maximum and locks them at the start', async () => {
+    const app = await loadApp();
+    const { TournamentService, ParticipantService } = app;
+    const draft = createTournament(app, { participantCount: 2, type: 'chess' }, false);
+    const [first, second] = ParticipantService.getByTournament(draft.id);
+    const addPlayers = (team, count) => {
+        for (let i = 0; i < count; i++) {
+            const number = ParticipantService.getById(team.id).players.length + 1;
+            ParticipantService.addPlayer(team.id, { name: `${team.name} ${number}`, number });
+        }
+    };
+
+    // Rosters are optional until one team has one
+    assert.equal(TournamentService.canStart(draft.id).canStart, true);
+
+    addPlayers(first, 4);
+    addPlayers(second, 3);
+    assert.throws(() => TournamentService.start(draft.id), /Daftar pemain kurang dari 4: Team 2/);
+
+    addPlayers(second, 3);
+    assert.throws(() => addPlayers(second, 1), /batas maksimal \(6\)/);
+    TournamentService.start(draft.id);
+    assert.throws(() => ParticipantService.addPlayer(second.id, { name: 'Late' }), /dikunci setelah turnamen dimulai/);
+});
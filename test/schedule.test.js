@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, plain } = require('./helpers/load');
+
+const OPTIONS = { venues: ['A', 'B'], startTime: '2026-11-01T09:00', matchDuration: 60, restTime: 30 };
+
+const slotOf = match => `${match.venue} ${match.schedule.slice(11)}`;
+
+test('starts a match once its feeders are done and both teams have rested', async () => {
+    const app = await loadApp();
+    const { BracketService, ScheduleService } = app;
+    const tournament = createTournament(app, { participantCount: 4 });
+
+    ScheduleService.generate(tournament.id, OPTIONS);
+
+    const semifinals = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    const final = BracketService.getRoundMatches(tournament.id, 'winners', 2)[0];
+    assert.deepEqual(plain(semifinals.map(slotOf)), ['A 09:00', 'B 09:00']);
+    assert.equal(slotOf(final), 'A 10:30');
+});
+
+test('moves matches that would end after the daily window to the next day', async () => {
+    const app = await loadApp();
+    const { DB, ScheduleService } = app;
+    const tournament = createTournament(app, { participantCount: 8 });
+
+    const scheduled = ScheduleService.generate(tournament.id, {
+        ...OPTIONS, venues: ['A'], restTime: 0, dayStart: '09:00', dayEnd: '12:00'
+    });
+
+    assert.deepEqual(plain(scheduled.map(match => match.schedule)), [
+        '2026-11-01T09:00', '2026-11-01T10:00', '2026-11-01T11:00',
+        '2026-11-02T09:00', '2026-11-02T10:00', '2026-11-02T11:00',
+        '2026-11-03T09:00'
+    ]);
+    assert.equal(DB.getById(DB.KEYS.TOURNAMENTS, tournament.id).scheduleSettings.dayEnd, '12:00');
+});
+
+test('rejects scheduling without a venue', async () => {
+    const app = await loadApp();
+    const tournament = createTournament(app, { participantCount: 4 });
+
+    assert.throws(() => app.ScheduleService.generate(tournament.id, { ...OPTIONS, venues: [' '] }), /minimal satu lapangan/);
+});
+
+test('pushes dependent matches on other venues when a match runs late', async () => {
+    const app = await loadApp();
+    const { BracketService, ScheduleService } = app;
+    const tournament = createTournament(app, { participantCount: 4 });
+    ScheduleService.generate(tournament.id, OPTIONS);
+
+    const [, semifinal] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    ScheduleService.delay(semifinal.id, 45);
+
+    // The final waits for the late semifinal plus rest, not just its own venue
+    const final = BracketService.getRoundMatches(tournament.id, 'winners', 2)[0];
+    assert.equal(slotOf(BracketService.getMatch(semifinal.id)), 'B 09:45');
+    assert.equal(slotOf(final), 'A 11:15');
+    assert.equal(final.delay, 45);
+});
+
+test('leaves matches that are not affected by a delay in place', async () => {
+    const app = await loadApp();
+    const { BracketService, ScheduleService } = app;
+    const tournament = createTournament(app, { participantCount: 8 });
+    ScheduleService.generate(tournament.id, OPTIONS);
+
+    const quarterfinals = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    const moved = ScheduleService.delay(quarterfinals[1].id, 20);
+
+    const slots = round => plain(BracketService.getRoundMatches(tournament.id, 'winners', round).map(slotOf));
+    assert.deepEqual(slots(1), ['A 09:00', 'B 09:20', 'A 10:00', 'B 10:20']);
+    // Semifinal 2 waits for the late quarterfinal 4 to end and its winner to rest
+    assert.deepEqual(slots(2), ['A 11:00', 'B 11:50']);
+    assert.deepEqual(slots(3), ['A 13:20']);
+    assert.equal(moved.length, 4);
+});
+
+test('refuses a delay that pushes a match past closing time', async () => {
+    const app = await loadApp();
+    const { BracketService, ScheduleService } = app;
+    const tournament = createTournament(app, { participantCount: 8 });
+    ScheduleService.generate(tournament.id, { ...OPTIONS, venues: ['A'], restTime: 0, dayStart: '09:00', dayEnd: '12:30' });
+
+    const [first] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    assert.throws(() => ScheduleService.delay(first.id, 45), /Match #3 akan selesai setelah jam main harian \(12:30\)/);
+    assert.equal(BracketService.getMatch(first.id).schedule, '2026-11-01T09:00');
+
+    // A delay the day still has room for moves the day's matches back
+    assert.equal(ScheduleService.delay(first.id, 20).length, 3);
+});
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, plain } = require('./helpers/load');
+
+const seedsOf = (app, match) => [match.participant1Id, match.participant2Id]
+    .map(id => (id ? app.ParticipantService.getById(id).seed : null));
+
+test('places seeds so the top two can only meet in the final', async () => {
+    const app = await loadApp();
+    const tournament = createTournament(app, { participantCount: 8 });
+
+    const firstRound = app.BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    assert.deepEqual(plain(firstRound.map(match => seedsOf(app, match))), [[1, 8], [4, 5], [2, 7], [3, 6]]);
+});
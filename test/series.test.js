@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, plain } = require('./helpers/load');
+
+test('completes a series once a side reaches the required game wins', async () => {
+    const app = await loadApp();
+    const { BracketService } = app;
+    const tournament = createTournament(app, { participantCount: 4, bestOf: 3, finalBestOf: 5 });
+    const [semifinal] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    const final = BracketService.getRoundMatches(tournament.id, 'winners', 2)[0];
+    assert.deepEqual([semifinal.bestOf, final.bestOf], [3, 5]);
+
+    BracketService.addGame(semifinal.id, { map: ' Dust ', score1: 13, score2: 9 });
+    const open = BracketService.addGame(semifinal.id, { score1: 5, score2: 13 });
+    assert.equal(open.status, 'upcoming');
+    assert.deepEqual(plain(open.games.map(game => game.map)), ['Dust', null]);
+
+    const decided = BracketService.addGame(semifinal.id, { score1: 13, score2: 2 });
+    assert.equal(decided.status, 'completed');
+    assert.equal(BracketService.formatScore(decided), '2–1');
+    assert.equal(decided.winnerId, semifinal.participant1Id);
+    assert.equal(BracketService.getMatch(final.id).participant1Id, semifinal.participant1Id);
+});
+
+test('only accepts a series score that decides the series', async () => {
+    const app = await loadApp();
+    const { BracketService } = app;
+    const tournament = createTournament(app, { participantCount: 4, bestOf: 3 });
+    const [, semifinal] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+
+    assert.throws(() => BracketService.updateScore(semifinal.id, 3, 1), /meraih 2 game/);
+    assert.throws(() => BracketService.addGame(semifinal.id, { score1: 1, score2: 1 }), /tidak boleh sama/);
+    assert.equal(BracketService.updateScore(semifinal.id, 0, 2).winnerId, semifinal.participant2Id);
+
+    // The round's length is fixed once it has started
+    assert.throws(() => BracketService.setRoundBestOf(tournament.id, 'winners', 1, 5), /setelah babak dimulai/);
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Store, Auth, createServer } = require('../server/server');
+
+const NOW = new Date().toISOString();
+
+/**
+ * Credential with one live session, whose token is its ID
+ * @param {string} id - Credential ID (also the session token)
+ * @param {string} role - ROLES key
+ * @param {Object} assignment - Referee matchIds and venues
+ * @returns {Object} Credential
+ */
+function credential(id, role, { matchIds = [], venues = [] } = {}) {
+    const tokenHash = crypto.createHash('sha256').update(id).digest('hex');
+    return { id, name: id, role, matchIds, venues, passwordHash: 'secret', sessions: [{ tokenHash, expiresAt: Date.now() + 60000 }] };
+}
+
+/**
+ * Fill the in-memory store with one protected tournament: m1 assigned to
+ * the referee, m2 on the referee's venue, m3 and m4 elsewhere
+ */
+function seed() {
+    Store.load(null);
+    Store.put('tournaments', {
+        id: 't1',
+        name: 'Cup',
+        status: 'ongoing',
+        currentRound: 1,
+        updatedAt: NOW,
+        credentials: [
+            credential('organiser', 'organiser'),
+            credential('scorekeeper', 'scorekeeper'),
+            credential('referee', 'referee', { matchIds: ['m1'], venues: ['A'] })
+        ]
+    }, null);
+
+    const match = (id, fields) => Store.put('matches', {
+        id, tournamentId: 't1', participant1Id: null, participant2Id: null, score1: null, score2: null,
+        winnerId: null, status: 'pending', venue: null, updatedAt: NOW, ...fields
+    }, null);
+    match('m1', { participant1Id: 'p1', participant2Id: 'p2', status: 'upcoming', venue: 'B' });
+    match('m2', { participant1Id: 'p3', participant2Id: 'p4', status: 'upcoming', venue: 'A' });
+    match('m3', { participant1Id: 'p5', participant2Id: 'p6', status: 'upcoming', venue: 'B' });
+    match('m4', {});
+}
+
+/**
+ * Run a server on a free port for the length of a test
+ * @param {Function} run - Receives a request helper: (method, path, body, headers) => { status, body }
+ * @returns {Promise} Resolves once the server has closed
+ */
+async function withServer(run) {
+    const server = createServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+
+    const request = async (method, path, body, headers = {}) => {
+        const response = await fetch(`http://localhost:${port}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    try {
+        await run(request);
+    } finally {
+        server.close();
+    }
+}
+
+const as = token => () => token;
+const write = (token, collection, id, changes) => Auth.checkWrite(
+    collection, id, changes && { ...Store.get(collection, id), ...changes, updatedAt: 'later' }, as(token)
+);
+
+test('lets a referee score only the matches assigned to them', () => {
+    seed();
+    const result = { score1: 2, score2: 1, winnerId: 'p1', status: 'completed' };
+
+    assert.doesNotThrow(() => write('referee', 'matches', 'm1', result));
+    assert.doesNotThrow(() => write('referee', 'matches', 'm2', { ...result, winnerId: 'p3' }));
+    assert.throws(() => write('referee', 'matches', 'm3', { ...result, winnerId: 'p5' }), { status: 403 });
+    assert.throws(() => write('referee', 'matches', 'm1', { venue: 'C' }), { status: 403 });
+    assert.doesNotThrow(() => write('scorekeeper', 'matches', 'm3', { ...result, winnerId: 'p5' }));
+});
+
+test('lets staff move a winner on but not change who already plays', () => {
+    seed();
+
+    assert.doesNotThrow(() => write('referee', 'matches', 'm4', { participant1Id: 'p1' }));
+    assert.throws(() => write('referee', 'matches', 'm3', { participant1Id: 'p1' }), { status: 403 });
+    assert.throws(() => write('referee', 'matches', 'm4', { participant1Id: 'p1', winnerId: 'p1', status: 'completed' }), { status: 403 });
+    assert.throws(() => write('scorekeeper', 'matches', 'm4', null), { status: 403 });
+});
+
+test('keeps tournament settings for organisers while results may finish it', () => {
+    seed();
+
+    assert.throws(() => write('referee', 'tournaments', 't1', { name: 'Renamed' }), { status: 403 });
+    assert.throws(() => write('scorekeeper', 'tournaments', 't1', { status: 'draft' }), { status: 403 });
+    assert.doesNotThrow(() => write('scorekeeper', 'tournaments', 't1', { status: 'completed', currentRound: 2 }));
+    assert.equal(write('organiser', 'tournaments', 't1', { name: 'Renamed' }).name, 'Renamed');
+});
+
+test('turns away writes without a session', () => {
+    seed();
+
+    assert.throws(() => write(null, 'matches', 'm1', { score1: 1 }), { status: 401 });
+    assert.throws(() => write('stranger', 'tournaments', 't1', { name: 'Mine' }), { status: 401 });
+});
+
+test('keeps settings on each device and checks every batch entry', async () => {
+    seed();
+
+    assert.throws(() => Auth.checkWrite('settings', 'schema', { id: 'schema', version: 99 }, as('organiser')), { status: 403 });
+    assert.throws(() => Store.put('matches', { id: 'x" onclick="alert(1)', tournamentId: 't1' }, null), { status: 400 });
+
+    await withServer(async request => {
+        assert.equal((await request('POST', '/api/batch', { operations: [null] })).status, 400);
+    });
+});
+
+test('answers an edit of a stale copy with 409 and the current record', async () => {
+    seed();
+
+    await withServer(async request => {
+        const open = { id: 't2', name: 'Open Cup', updatedAt: 'v1' };
+        assert.equal((await request('PUT', '/api/tournaments/t2', open)).status, 200);
+        assert.equal((await request('PUT', '/api/tournaments/t2', { ...open, name: 'First', updatedAt: 'v2' }, { 'If-Match': 'v1' })).status, 200);
+
+        const stale = await request('PUT', '/api/tournaments/t2', { ...open, name: 'Second', updatedAt: 'v2' }, { 'If-Match': 'v1' });
+        assert.equal(stale.status, 409);
+        assert.equal(stale.body.current.name, 'First');
+
+        // Other devices poll for what changed since their last sequence number
+        const { body } = await request('GET', `/api/changes?since=${Store.seq - 2}`);
+        assert.deepEqual(body.changes.map(change => change.record.name), ['Open Cup', 'First']);
+        assert.equal((await request('GET', '/api/changes?since=999')).body.reset, true);
+    });
+});
+
+test('never sends password hashes to clients', async () => {
+    seed();
+
+    await withServer(async request => {
+        const { body: tournament } = await request('GET', '/api/tournaments/t1');
+        assert.equal(tournament.credentials.length, 3);
+        assert.ok(tournament.credentials.every(credential => !('passwordHash' in credential)));
+
+        const { body } = await request('GET', '/api/changes?since=0');
+        assert.ok(body.changes.every(change => !JSON.stringify(change).includes('passwordHash')));
+    });
+});
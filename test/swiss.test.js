@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, playAll, plain } = require('./helpers/load');
+
+/**
+ * Start a five-player Swiss event
+ * @returns {Promise<Object>} Services, the tournament and a seed lookup
+ */
+async function swissEvent() {
+    const app = await loadApp();
+    const tournament = createTournament(app, { participantCount: 5, format: 'swiss', type: 'chess' });
+
+    const seed = id => (id ? app.ParticipantService.getById(id).seed : null);
+    const pairingsOf = round => round.matches.map(match => [seed(match.participant1Id), seed(match.participant2Id)]);
+    return { app, tournament, seed, pairingsOf };
+}
+
+test('pairs the top half against the bottom half and gives the last player a bye', async () => {
+    const { app, tournament, pairingsOf } = await swissEvent();
+
+    const [first] = app.SwissService.getRounds(tournament.id);
+    assert.equal(app.TournamentService.getById(tournament.id).totalRounds, 3);
+    // White alternates by board
+    assert.deepEqual(plain(pairingsOf(first)), [[1, 3], [4, 2], [5, null]]);
+    assert.equal(first.matches[2].isBye, true);
+    assert.equal(first.matches[2].status, 'completed');
+});
+
+test('never repeats an opponent or a bye and ranks ties by Buchholz', async () => {
+    const { app, tournament, seed, pairingsOf } = await swissEvent();
+    const { DB, SwissService } = app;
+
+    playAll(app, tournament.id);
+
+    const rounds = SwissService.getRounds(tournament.id);
+    const games = rounds.flatMap(pairingsOf).filter(([, black]) => black);
+    const byes = rounds.flatMap(pairingsOf).filter(([, black]) => !black).map(([white]) => white);
+    assert.equal(new Set(games.map(game => [...game].sort((a, b) => a - b).join('-'))).size, games.length);
+    assert.equal(new Set(byes).size, rounds.length);
+
+    // 1, 5, 2 and 3 all end on 2 points
+    const standings = SwissService.getStandings(tournament.id);
+    assert.deepEqual(plain(standings.map(row => seed(row.participant.id))), [1, 5, 2, 3, 4]);
+    assert.deepEqual(plain(standings.map(row => row.buchholz)), [5, 4, 3, 3, 6]);
+
+    const result = DB.find(DB.KEYS.RESULTS, { tournamentId: tournament.id })[0];
+    assert.equal(seed(result.championId), 1);
+});
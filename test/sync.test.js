@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load');
+const { createIndexedDB } = require('./helpers/indexeddb');
+
+test('passes localStorage writes from another tab on as one batch', async () => {
+    const handlers = [];
+    const { DB } = await loadApp({}, undefined, { addEventListener: (type, handler) => handlers.push(handler) });
+    const received = [];
+    DB.subscribeRemote(changes => received.push(changes));
+
+    // What the storage events of one operation in another tab carry
+    const participant = { id: 'p1', tournamentId: 't1', name: 'Alpha' };
+    const match = { id: 'm1', tournamentId: 't1', status: 'upcoming' };
+    handlers.forEach(handler => {
+        handler({ key: DB.KEYS.PARTICIPANTS, oldValue: '[]', newValue: JSON.stringify([participant]) });
+        handler({ key: DB.KEYS.MATCHES, oldValue: JSON.stringify([match]), newValue: JSON.stringify([{ ...match, status: 'live' }]) });
+        handler({ key: 'unrelated', oldValue: null, newValue: '[]' });
+    });
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    assert.equal(received.length, 1);
+    assert.deepEqual(plain(received[0].map(change => `${change.action} ${change.key}`)), ['insert tb_participants', 'update tb_matches']);
+    assert.equal(received[0][1].after.status, 'live');
+});
+
+test('refreshes the IndexedDB cache of other tabs when a tab writes', async () => {
+    const indexedDB = createIndexedDB();
+    const globals = { indexedDB, BroadcastChannel, addEventListener: () => {} };
+    const first = await loadApp({}, undefined, globals);
+    const second = await loadApp({}, undefined, globals);
+
+    try {
+        const received = new Promise(resolve => second.DB.subscribeRemote(resolve));
+        const inserted = first.DB.insert(first.DB.KEYS.PARTICIPANTS, { tournamentId: 't1', name: 'Alpha' });
+
+        const [change] = await received;
+        assert.equal(change.action, 'insert');
+        assert.equal(second.DB.getById(second.DB.KEYS.PARTICIPANTS, inserted.id).name, 'Alpha');
+    } finally {
+        first.DB.channel.close();
+        second.DB.channel.close();
+    }
+});
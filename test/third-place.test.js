@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, playAll, plain } = require('./helpers/load');
+
+test('plays a single elimination with a bronze match to a full result', async () => {
+    const app = await loadApp();
+    const { DB, TournamentService, ParticipantService } = app;
+    const tournament = createTournament(app, { participantCount: 8, thirdPlaceMatch: true });
+
+    playAll(app, tournament.id);
+
+    const result = DB.find(DB.KEYS.RESULTS, { tournamentId: tournament.id })[0];
+    const seed = id => ParticipantService.getById(id).seed;
+    assert.equal(TournamentService.getById(tournament.id).status, 'completed');
+    assert.equal(seed(result.championId), 1);
+    assert.equal(seed(result.runnerUpId), 2);
+    assert.deepEqual(plain(result.thirdPlaceIds.map(seed)), [4]);
+    assert.equal(seed(result.fourthPlaceId), 3);
+});
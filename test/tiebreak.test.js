@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament } = require('./helpers/load');
+
+test('decides a level knockout match by extra time, then penalties', async () => {
+    const app = await loadApp();
+    const { BracketService } = app;
+    const tournament = createTournament(app, { participantCount: 4 });
+    const [first, second] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+
+    assert.throws(() => BracketService.updateScore(first.id, 1, 1), /Isi perpanjangan waktu atau adu penalti/);
+
+    const afterExtraTime = BracketService.updateScore(first.id, 1, 1, { extraTime1: 1, extraTime2: 2 });
+    assert.equal(afterExtraTime.winnerId, first.participant2Id);
+    assert.equal(BracketService.formatScore(afterExtraTime), '1–1 (1–2 aet)');
+
+    const afterPenalties = BracketService.updateScore(second.id, 2, 2, { extraTime1: 3, extraTime2: 3, penalties1: 5, penalties2: 4 });
+    assert.equal(afterPenalties.winnerId, second.participant1Id);
+    assert.equal(BracketService.formatScore(afterPenalties, true), '2–2 (3–3 aet, 4–5 pen)');
+});
+
+test('rejects tiebreak scores that do not follow a level score', async () => {
+    const app = await loadApp();
+    const { BracketService } = app;
+    const tournament = createTournament(app, { participantCount: 4 });
+    const [match] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+
+    assert.throws(() => BracketService.updateScore(match.id, 2, 1, { extraTime1: 2, extraTime2: 1 }), /skor normal imbang/);
+    assert.throws(() => BracketService.updateScore(match.id, 1, 1, { extraTime1: 0, extraTime2: 1 }), /tidak boleh lebih kecil/);
+    assert.throws(() => BracketService.updateScore(match.id, 1, 1, { extraTime1: 2, extraTime2: 1, penalties1: 4, penalties2: 3 }), /masih imbang/);
+    assert.throws(() => BracketService.updateScore(match.id, 1, 1, { penalties1: 3, penalties2: 3 }), /tidak boleh sama/);
+});
+
+test('lets group matches end level but not go to penalties', async () => {
+    const app = await loadApp();
+    const { BracketService } = app;
+    const tournament = createTournament(app, { participantCount: 4, format: 'round_robin', groupCount: 1 });
+    const [first, second] = BracketService.getRoundMatches(tournament.id, 'group', 1);
+
+    assert.equal(BracketService.updateScore(first.id, 0, 0).winnerId, null);
+    assert.throws(() => BracketService.updateScore(second.id, 1, 1, { penalties1: 5, penalties2: 4 }), /hanya untuk babak gugur/);
+});
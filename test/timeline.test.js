@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createTournament, plain } = require('./helpers/load');
+
+test('adds live goals to the score and counts roster scorers by player', async () => {
+    const app = await loadApp();
+    const { TournamentService, ParticipantService, BracketService, LiveService, TimelineService } = app;
+    const draft = createTournament(app, { participantCount: 4, type: 'custom' }, false);
+    const [budi, otherTeamPlayer] = ParticipantService.getByTournament(draft.id).map((team, index) =>
+        ParticipantService.addPlayer(team.id, { name: index === 0 ? 'Budi' : `Pemain ${index + 1}`, number: 9 })
+    );
+    TournamentService.start(draft.id);
+
+    const [match] = BracketService.getRoundMatches(draft.id, 'winners', 1);
+    LiveService.start(match.id);
+    const goal = { type: 'goal', participantId: match.participant1Id, playerId: budi.id };
+    TimelineService.add(match.id, { ...goal, minute: 30 });
+    const first = TimelineService.add(match.id, { ...goal, minute: 5 });
+    // An own goal counts for the other team
+    TimelineService.add(match.id, { type: 'own_goal', minute: 12, participantId: match.participant1Id, playerId: budi.id });
+
+    let live = BracketService.getMatch(match.id);
+    assert.deepEqual([live.score1, live.score2], [2, 1]);
+    assert.deepEqual(plain(live.events.map(event => event.minute)), [5, 12, 30]);
+    assert.throws(() => TimelineService.add(match.id, { ...goal, minute: 40, playerId: otherTeamPlayer.id }), /tidak terdaftar di tim ini/);
+
+    live = TimelineService.remove(match.id, first.id);
+    assert.deepEqual([live.score1, live.score2], [1, 1]);
+
+    const [top] = TimelineService.getTopScorers(draft.id);
+    assert.deepEqual([top.player, top.number, top.goals], ['Budi', 9, 1]);
+});
+
+test('groups typed scorer names per team and ranks fair play by card points', async () => {
+    const app = await loadApp();
+    const { BracketService, TimelineService } = app;
+    const tournament = createTournament(app, { participantCount: 4 });
+    const [first, second] = BracketService.getRoundMatches(tournament.id, 'winners', 1);
+    BracketService.updateScore(first.id, 2, 0);
+    BracketService.updateScore(second.id, 1, 0);
+
+    const log = (match, slot, type, player, minute = 10) => TimelineService.add(match.id, {
+        type, minute, player, participantId: match[`participant${slot}Id`]
+    });
+    log(first, 1, 'goal', 'Rudi');
+    log(first, 1, 'goal', 'rudi ');
+    log(second, 1, 'goal', 'Rudi');
+    log(first, 2, 'red_card', 'Dodi');
+    log(second, 2, 'yellow_card', 'Eko');
+
+    const scorers = TimelineService.getTopScorers(tournament.id);
+    assert.deepEqual(plain(scorers.map(row => [row.participant.seed, row.goals])), [[1, 2], [2, 1]]);
+
+    const fairPlay = TimelineService.getFairPlay(tournament.id);
+    assert.deepEqual(plain(fairPlay.map(row => row.points)), [0, 0, 1, 3]);
+    assert.equal(fairPlay[3].participant.id, first.participant2Id);
+});